@@ -7,6 +7,34 @@ ALTER TABLE products DISABLE ROW LEVEL SECURITY;
 ALTER TABLE orders DISABLE ROW LEVEL SECURITY;
 ALTER TABLE order_items DISABLE ROW LEVEL SECURITY;
 ALTER TABLE districts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE cart_items DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_status_events DISABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_rules DISABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_payouts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_commission_ledger DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_claims DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_assignments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE idempotency_keys DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_expiry_rules DISABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications DISABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_working_hours DISABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_holidays DISABLE ROW LEVEL SECURITY;
+ALTER TABLE delivery_slots DISABLE ROW LEVEL SECURITY;
+ALTER TABLE delivery_proofs DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_messages DISABLE ROW LEVEL SECURITY;
+ALTER TABLE order_message_reads DISABLE ROW LEVEL SECURITY;
+ALTER TABLE reviews DISABLE ROW LEVEL SECURITY;
+ALTER TABLE price_offers DISABLE ROW LEVEL SECURITY;
+ALTER TABLE preorders DISABLE ROW LEVEL SECURITY;
+ALTER TABLE subscriptions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_runs DISABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE demand_posts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE demand_quotes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE auctions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE auction_bids DISABLE ROW LEVEL SECURITY;
 
 -- Note: This removes security restrictions, only use for testing
 -- You should re-enable RLS and fix policies later for production
@@ -26,6 +26,12 @@ BEGIN
             SELECT COUNT(*) FROM orders o
             JOIN products p ON o.product_id = p.id
             WHERE p.farmer_id = $1 AND o.status IN ('booked', 'confirmed', 'picked')
+        ),
+        'rating_average', (
+            SELECT u.rating_average FROM users u WHERE u.id = $1
+        ),
+        'rating_count', (
+            SELECT COALESCE(u.rating_count, 0) FROM users u WHERE u.id = $1
         )
     ) INTO result;
     
@@ -74,8 +80,18 @@ BEGIN
             WHERE agent_id = $1
         ),
         'total_commission', (
-            SELECT COALESCE(SUM(commission), 0) FROM orders
-            WHERE agent_id = $1 AND status = 'delivered'
+            SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+            FROM agent_commission_ledger l
+            WHERE l.agent_id = $1 AND entry_type IN ('credit', 'reversal')
+        ),
+        'total_paid_out', (
+            SELECT COALESCE(SUM(amount), 0) FROM agent_commission_ledger l
+            WHERE l.agent_id = $1 AND entry_type = 'debit'
+        ),
+        'commission_balance', (
+            SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+            FROM agent_commission_ledger l
+            WHERE l.agent_id = $1
         ),
         'pending_orders', (
             SELECT COUNT(*) FROM orders
@@ -84,6 +100,12 @@ BEGIN
         'completed_orders', (
             SELECT COUNT(*) FROM orders
             WHERE agent_id = $1 AND status = 'delivered'
+        ),
+        'rating_average', (
+            SELECT u.rating_average FROM users u WHERE u.id = $1
+        ),
+        'rating_count', (
+            SELECT COALESCE(u.rating_count, 0) FROM users u WHERE u.id = $1
         )
     ) INTO result;
     
@@ -326,3 +348,1275 @@ BEGIN
     RETURN result;
 END;
 $$ LANGUAGE plpgsql;
+
+-- Function to get promotion usage for admin dashboard.
+-- Redemptions released by cancelled orders are counted separately from those in use.
+CREATE OR REPLACE FUNCTION get_admin_promotion_stats()
+RETURNS JSON AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'total_redemptions', (
+            SELECT COUNT(*) FROM promotion_redemptions WHERE released_at IS NULL
+        ),
+        'total_discount', (
+            SELECT COALESCE(SUM(discount_amount), 0) FROM promotion_redemptions WHERE released_at IS NULL
+        ),
+        'discount_by_month', (
+            SELECT json_object_agg(month, discount)
+            FROM (
+                SELECT
+                    TO_CHAR(created_at, 'YYYY-MM') as month,
+                    COALESCE(SUM(discount_amount), 0) as discount
+                FROM promotion_redemptions
+                WHERE created_at >= NOW() - INTERVAL '12 months'
+                AND released_at IS NULL
+                GROUP BY TO_CHAR(created_at, 'YYYY-MM')
+                ORDER BY month DESC
+            ) sub
+        ),
+        'promotions', (
+            SELECT COALESCE(json_agg(sub ORDER BY sub.redemptions DESC, sub.name), '[]'::json)
+            FROM (
+                SELECT
+                    p.id,
+                    p.name,
+                    p.code,
+                    p.discount_type,
+                    p.discount_value,
+                    p.is_active,
+                    p.usage_limit,
+                    p.used_count,
+                    COUNT(r.id) FILTER (WHERE r.released_at IS NULL) as redemptions,
+                    COUNT(r.id) FILTER (WHERE r.released_at IS NOT NULL) as released,
+                    COUNT(DISTINCT r.customer_id) FILTER (WHERE r.released_at IS NULL) as customers,
+                    COALESCE(SUM(r.discount_amount) FILTER (WHERE r.released_at IS NULL), 0) as total_discount,
+                    COALESCE(SUM(o.total_price) FILTER (WHERE o.status = 'delivered'), 0) as delivered_revenue
+                FROM promotions p
+                LEFT JOIN promotion_redemptions r ON r.promotion_id = p.id
+                LEFT JOIN orders o ON o.id = r.order_id
+                GROUP BY p.id
+            ) sub
+        )
+    ) INTO result;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Coupon codes are only readable by the API with the service role
+REVOKE EXECUTE ON FUNCTION get_admin_promotion_stats() FROM PUBLIC, anon, authenticated;
+
+
+-- Function to create an order with its line items and reserve stock in one transaction.
+-- Stock is decremented with a conditional update (locking products in a fixed order),
+-- so concurrent orders for the last units cannot both succeed.
+CREATE OR REPLACE FUNCTION place_order(p_order JSONB, p_items JSONB)
+RETURNS UUID AS $$
+DECLARE
+    new_order_id UUID;
+    item JSONB;
+    user_limit INTEGER;
+BEGIN
+    INSERT INTO orders (
+        product_id, customer_id, agent_id, quantity, unit_price, total_price,
+        commission, commission_rate, commission_rule_id, status, delivery_address, customer_notes,
+        assignment_status, assignment_expires_at, delivery_slot_id, subscription_id,
+        promotion_id, discount_amount, commission_basis
+    )
+    SELECT
+        product_id, customer_id, agent_id, quantity, unit_price, total_price,
+        commission, commission_rate, commission_rule_id, COALESCE(status, 'booked'), delivery_address, customer_notes,
+        assignment_status, assignment_expires_at, delivery_slot_id, subscription_id,
+        promotion_id, COALESCE(discount_amount, 0), COALESCE(commission_basis, 'net')
+    FROM jsonb_populate_record(NULL::orders, p_order)
+    RETURNING id INTO new_order_id;
+
+    -- Redeem the promotion. The conditional update keeps it within its validity window and overall
+    -- limit, and its row lock makes concurrent orders of the same customer count their uses one at a time.
+    IF p_order->>'promotion_id' IS NOT NULL THEN
+        UPDATE promotions
+        SET used_count = used_count + 1
+        WHERE id = (p_order->>'promotion_id')::UUID
+          AND is_active = true
+          AND (valid_from IS NULL OR valid_from <= NOW())
+          AND (valid_until IS NULL OR valid_until > NOW())
+          AND (usage_limit IS NULL OR used_count < usage_limit)
+        RETURNING per_user_limit INTO user_limit;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'PROMOTION_UNAVAILABLE'
+                USING DETAIL = p_order->>'promotion_id';
+        END IF;
+
+        IF user_limit IS NOT NULL AND (
+            SELECT COUNT(*) FROM promotion_redemptions
+            WHERE promotion_id = (p_order->>'promotion_id')::UUID
+              AND customer_id = (p_order->>'customer_id')::UUID
+              AND released_at IS NULL
+        ) >= user_limit THEN
+            RAISE EXCEPTION 'PROMOTION_USER_LIMIT'
+                USING DETAIL = p_order->>'promotion_id';
+        END IF;
+
+        INSERT INTO promotion_redemptions (promotion_id, order_id, customer_id, discount_amount)
+        VALUES (
+            (p_order->>'promotion_id')::UUID,
+            new_order_id,
+            (p_order->>'customer_id')::UUID,
+            (p_order->>'discount_amount')::DECIMAL
+        );
+    END IF;
+
+    -- Link the pre-order this order fills, or the auction it settles, in the same transaction,
+    -- so a retried or concurrent attempt cannot order it twice
+    IF p_order->>'preorder_id' IS NOT NULL THEN
+        UPDATE preorders
+        SET status = 'converted', order_id = new_order_id, converted_at = NOW()
+        WHERE id = (p_order->>'preorder_id')::UUID AND status = 'processing';
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'PREORDER_ALREADY_HANDLED'
+                USING DETAIL = p_order->>'preorder_id';
+        END IF;
+    END IF;
+
+    IF p_order->>'auction_id' IS NOT NULL THEN
+        UPDATE auctions
+        SET order_id = new_order_id
+        WHERE id = (p_order->>'auction_id')::UUID AND status = 'sold' AND order_id IS NULL;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'AUCTION_ALREADY_SETTLED'
+                USING DETAIL = p_order->>'auction_id';
+        END IF;
+    END IF;
+
+    -- Take a place in the chosen delivery slot; the conditional update keeps it from overbooking
+    IF p_order->>'delivery_slot_id' IS NOT NULL THEN
+        UPDATE delivery_slots
+        SET booked_count = booked_count + 1
+        WHERE id = (p_order->>'delivery_slot_id')::UUID
+          AND is_active = true
+          AND booked_count < capacity;
+
+        IF NOT FOUND THEN
+            RAISE EXCEPTION 'DELIVERY_SLOT_UNAVAILABLE'
+                USING DETAIL = p_order->>'delivery_slot_id';
+        END IF;
+    END IF;
+
+    -- A chosen agent receives an offer they still have to accept
+    INSERT INTO order_assignments (order_id, agent_id, offered_by, expires_at)
+    SELECT id, agent_id, customer_id, assignment_expires_at
+    FROM orders
+    WHERE id = new_order_id AND agent_id IS NOT NULL;
+
+    FOR item IN
+        SELECT value FROM jsonb_array_elements(p_items) ORDER BY value->>'product_id'
+    LOOP
+        -- Auction lots and harvest shares of pre-orders never went into available stock
+        IF NOT COALESCE((item->>'stock_reserved')::BOOLEAN, false) THEN
+            UPDATE products
+            SET available_quantity = available_quantity - (item->>'quantity')::DECIMAL
+            WHERE id = (item->>'product_id')::UUID
+              AND is_active = true
+              AND available_quantity >= (item->>'quantity')::DECIMAL;
+
+            IF NOT FOUND THEN
+                RAISE EXCEPTION 'INSUFFICIENT_QUANTITY'
+                    USING DETAIL = item->>'product_id';
+            END IF;
+        END IF;
+
+        INSERT INTO order_items (order_id, product_id, quantity, unit_price, subtotal)
+        SELECT new_order_id, product_id, quantity, unit_price, subtotal
+        FROM jsonb_populate_record(NULL::order_items, item);
+    END LOOP;
+
+    RETURN new_order_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Stock-changing functions are only called by the API with the service role
+REVOKE EXECUTE ON FUNCTION place_order(JSONB, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Function to return an order's reserved quantity to its products.
+-- stock_restored_at is claimed first under the order's row lock, so stock is restored at most once.
+CREATE OR REPLACE FUNCTION restore_order_stock(p_order_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE orders
+    SET stock_restored_at = NOW()
+    WHERE id = p_order_id AND stock_restored_at IS NULL;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    -- Orders created before order_items was used only carry their product on the order row
+    WITH lines AS (
+        SELECT product_id, SUM(quantity) AS quantity
+        FROM order_items
+        WHERE order_id = p_order_id
+        GROUP BY product_id
+        UNION ALL
+        SELECT product_id, quantity
+        FROM orders
+        WHERE id = p_order_id
+          AND NOT EXISTS (SELECT 1 FROM order_items WHERE order_id = p_order_id)
+    )
+    UPDATE products p
+    SET available_quantity = p.available_quantity + lines.quantity
+    FROM lines
+    WHERE p.id = lines.product_id;
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to give an order's place in its delivery slot back. Callers hold the order's
+-- row lock and call it once, when the order is cancelled or deleted before delivery.
+CREATE OR REPLACE FUNCTION release_delivery_slot(p_order_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE delivery_slots s
+    SET booked_count = GREATEST(s.booked_count - 1, 0)
+    FROM orders o
+    WHERE o.id = p_order_id AND s.id = o.delivery_slot_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to give an order's promotion use back. Callers hold the order's row lock;
+-- released_at makes repeated calls harmless.
+CREATE OR REPLACE FUNCTION release_promotion(p_order_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    WITH released AS (
+        UPDATE promotion_redemptions
+        SET released_at = NOW()
+        WHERE order_id = p_order_id AND released_at IS NULL
+        RETURNING promotion_id
+    )
+    UPDATE promotions p
+    SET used_count = GREATEST(p.used_count - 1, 0)
+    FROM released
+    WHERE p.id = released.promotion_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to cancel an order and restock it unless it was already delivered.
+-- Returns the status the order had before cancelling, or NULL if it was already cancelled.
+-- p_expected_statuses guards automatic cancellations against orders that moved on meanwhile.
+DROP FUNCTION IF EXISTS cancel_order(UUID, UUID, TEXT);
+CREATE OR REPLACE FUNCTION cancel_order(
+    p_order_id UUID,
+    p_cancelled_by UUID,
+    p_reason TEXT,
+    p_expected_statuses TEXT[] DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+    previous_status TEXT;
+BEGIN
+    SELECT status INTO previous_status
+    FROM orders
+    WHERE id = p_order_id
+    FOR UPDATE;
+
+    IF previous_status IS NULL OR previous_status = 'cancelled' THEN
+        RETURN NULL;
+    END IF;
+
+    IF p_expected_statuses IS NOT NULL AND NOT previous_status = ANY(p_expected_statuses) THEN
+        RAISE EXCEPTION 'ORDER_STATUS_CHANGED'
+            USING DETAIL = previous_status;
+    END IF;
+
+    UPDATE orders
+    SET status = 'cancelled',
+        cancellation_reason = p_reason,
+        cancelled_by = p_cancelled_by,
+        cancelled_at = NOW()
+    WHERE id = p_order_id;
+
+    UPDATE order_assignments
+    SET status = 'withdrawn', responded_at = NOW()
+    WHERE order_id = p_order_id AND status = 'pending';
+
+    -- A payment still in progress is refunded if the gateway reports it paid later
+    UPDATE payments
+    SET status = 'cancelled'
+    WHERE order_id = p_order_id AND status = 'pending';
+
+    IF previous_status <> 'delivered' THEN
+        PERFORM restore_order_stock(p_order_id);
+        PERFORM release_delivery_slot(p_order_id);
+        PERFORM release_promotion(p_order_id);
+    END IF;
+
+    RETURN previous_status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to hard-delete an order, restocking it first unless it was delivered
+CREATE OR REPLACE FUNCTION delete_order(p_order_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    order_status TEXT;
+BEGIN
+    SELECT status INTO order_status
+    FROM orders
+    WHERE id = p_order_id
+    FOR UPDATE;
+
+    IF order_status IS NULL THEN
+        RETURN false;
+    END IF;
+
+    IF order_status <> 'delivered' THEN
+        PERFORM restore_order_stock(p_order_id);
+        PERFORM release_delivery_slot(p_order_id);
+        PERFORM release_promotion(p_order_id);
+    END IF;
+
+    DELETE FROM orders WHERE id = p_order_id;
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION restore_order_stock(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_delivery_slot(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_promotion(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_order(UUID, UUID, TEXT, TEXT[]) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION delete_order(UUID) FROM PUBLIC, anon, authenticated;
+
+-- Trigger function keeping the agent commission ledger in step with order status:
+-- credits the agent when an order is delivered, reverses what is left if it is later cancelled
+CREATE OR REPLACE FUNCTION sync_agent_commission_ledger()
+RETURNS TRIGGER AS $$
+DECLARE
+    outstanding DECIMAL(10,2);
+BEGIN
+    -- Orders assigned before offers existed have no assignment_status and count as accepted
+    IF NEW.status = 'delivered' AND OLD.status <> 'delivered'
+       AND NEW.agent_id IS NOT NULL AND NEW.commission > 0
+       AND COALESCE(NEW.assignment_status, 'accepted') = 'accepted' THEN
+        INSERT INTO agent_commission_ledger (agent_id, order_id, entry_type, amount, note)
+        VALUES (NEW.agent_id, NEW.id, 'credit', NEW.commission, 'Commission for delivered order')
+        ON CONFLICT (order_id) WHERE entry_type = 'credit' DO NOTHING;
+    ELSIF NEW.status = 'cancelled' AND OLD.status = 'delivered' THEN
+        SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+        INTO outstanding
+        FROM agent_commission_ledger
+        WHERE order_id = NEW.id AND entry_type IN ('credit', 'reversal');
+
+        IF outstanding > 0 THEN
+            INSERT INTO agent_commission_ledger (agent_id, order_id, entry_type, amount, note)
+            SELECT agent_id, order_id, 'reversal', outstanding, 'Order cancelled after delivery'
+            FROM agent_commission_ledger
+            WHERE order_id = NEW.id AND entry_type = 'credit';
+        END IF;
+    END IF;
+
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_agent_commission_ledger ON orders;
+CREATE TRIGGER sync_agent_commission_ledger AFTER UPDATE OF status ON orders
+    FOR EACH ROW EXECUTE FUNCTION sync_agent_commission_ledger();
+
+-- Function to record agent payouts in bulk. Each payout is debited from the agent's ledger;
+-- the whole batch fails with INSUFFICIENT_BALANCE if any agent would be overpaid.
+CREATE OR REPLACE FUNCTION record_agent_payouts(p_payouts JSONB, p_paid_by UUID)
+RETURNS SETOF agent_payouts AS $$
+DECLARE
+    payout JSONB;
+    balance DECIMAL(10,2);
+    new_payout agent_payouts;
+BEGIN
+    FOR payout IN
+        SELECT value FROM jsonb_array_elements(p_payouts) ORDER BY value->>'agent_id'
+    LOOP
+        -- Serialize payouts per agent so two batches cannot both spend the same balance
+        PERFORM pg_advisory_xact_lock(hashtext(payout->>'agent_id'));
+
+        SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+        INTO balance
+        FROM agent_commission_ledger
+        WHERE agent_id = (payout->>'agent_id')::UUID;
+
+        IF balance < (payout->>'amount')::DECIMAL THEN
+            RAISE EXCEPTION 'INSUFFICIENT_BALANCE'
+                USING DETAIL = payout->>'agent_id';
+        END IF;
+
+        INSERT INTO agent_payouts (agent_id, amount, method, reference, note, paid_by)
+        VALUES (
+            (payout->>'agent_id')::UUID,
+            (payout->>'amount')::DECIMAL,
+            COALESCE(payout->>'method', 'cash'),
+            payout->>'reference',
+            payout->>'note',
+            p_paid_by
+        )
+        RETURNING * INTO new_payout;
+
+        INSERT INTO agent_commission_ledger (agent_id, payout_id, entry_type, amount, note)
+        VALUES (new_payout.agent_id, new_payout.id, 'debit', new_payout.amount, 'Payout');
+
+        RETURN NEXT new_payout;
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to get an agent's earnings summary with a per-period breakdown
+CREATE OR REPLACE FUNCTION get_agent_earnings(
+    agent_id UUID,
+    period TEXT DEFAULT 'month',
+    from_date TIMESTAMP WITH TIME ZONE DEFAULT NULL,
+    to_date TIMESTAMP WITH TIME ZONE DEFAULT NULL
+)
+RETURNS JSON AS $$
+DECLARE
+    result JSON;
+BEGIN
+    SELECT json_build_object(
+        'balance', (
+            SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+            FROM agent_commission_ledger
+            WHERE agent_commission_ledger.agent_id = $1
+        ),
+        'total_earned', (
+            SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+            FROM agent_commission_ledger
+            WHERE agent_commission_ledger.agent_id = $1 AND entry_type IN ('credit', 'reversal')
+        ),
+        'settled', (
+            SELECT COALESCE(SUM(amount), 0) FROM agent_commission_ledger
+            WHERE agent_commission_ledger.agent_id = $1 AND entry_type = 'debit'
+        ),
+        'pending', (
+            -- Commission on open orders, credited once they are delivered
+            SELECT COALESCE(SUM(commission), 0) FROM orders
+            WHERE orders.agent_id = $1 AND status IN ('booked', 'confirmed', 'picked')
+              AND COALESCE(assignment_status, 'accepted') = 'accepted'
+        ),
+        'breakdown', (
+            SELECT COALESCE(json_agg(sub ORDER BY sub.period_start DESC), '[]'::json)
+            FROM (
+                SELECT
+                    DATE_TRUNC($2, created_at) AS period_start,
+                    COALESCE(SUM(amount) FILTER (WHERE entry_type = 'credit'), 0) AS earned,
+                    COALESCE(SUM(amount) FILTER (WHERE entry_type = 'reversal'), 0) AS reversed,
+                    COALESCE(SUM(amount) FILTER (WHERE entry_type = 'debit'), 0) AS paid_out,
+                    COUNT(*) FILTER (WHERE entry_type = 'credit') AS delivered_orders
+                FROM agent_commission_ledger
+                WHERE agent_commission_ledger.agent_id = $1
+                  AND ($3 IS NULL OR created_at >= $3)
+                  AND ($4 IS NULL OR created_at < $4)
+                GROUP BY DATE_TRUNC($2, created_at)
+            ) sub
+        )
+    ) INTO result;
+
+    RETURN result;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION record_agent_payouts(JSONB, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function to resolve a return/refund claim in one transaction: records the decision,
+-- adds the refund to the order, takes back the agent's commission in proportion to the
+-- refund and returns any resellable items to stock. Items restocked across all of the order's
+-- claims can never add up to more than was ordered; a rejected claim restocks nothing.
+CREATE OR REPLACE FUNCTION resolve_order_claim(
+    p_claim_id UUID,
+    p_resolution TEXT,
+    p_refund_amount DECIMAL,
+    p_note TEXT,
+    p_resolved_by UUID,
+    p_restock_items JSONB DEFAULT '[]'
+)
+RETURNS order_claims AS $$
+DECLARE
+    claim order_claims;
+    target_order orders;
+    item JSONB;
+    outstanding DECIMAL(10,2);
+    commission_reversal DECIMAL(10,2);
+BEGIN
+    SELECT * INTO claim FROM order_claims WHERE id = p_claim_id FOR UPDATE;
+
+    IF claim.id IS NULL OR claim.status NOT IN ('open', 'responded') THEN
+        RAISE EXCEPTION 'CLAIM_NOT_OPEN';
+    END IF;
+
+    -- The order's row lock also makes claims on the same order restock one at a time
+    SELECT * INTO target_order FROM orders WHERE id = claim.order_id FOR UPDATE;
+
+    IF p_resolution = 'rejected' AND jsonb_array_length(COALESCE(p_restock_items, '[]'::jsonb)) > 0 THEN
+        RAISE EXCEPTION 'RESTOCK_NOT_ALLOWED';
+    END IF;
+
+    IF p_refund_amount > target_order.total_price - COALESCE(target_order.refunded_amount, 0) THEN
+        RAISE EXCEPTION 'REFUND_EXCEEDS_TOTAL';
+    END IF;
+
+    UPDATE order_claims
+    SET status = CASE WHEN p_resolution = 'rejected' THEN 'rejected' ELSE 'resolved' END,
+        resolution = p_resolution,
+        refund_amount = p_refund_amount,
+        refund_status = CASE WHEN p_refund_amount > 0 THEN 'pending' ELSE 'not_required' END,
+        restocked_items = COALESCE(p_restock_items, '[]'::jsonb),
+        resolution_note = p_note,
+        resolved_by = p_resolved_by,
+        resolved_at = NOW()
+    WHERE id = p_claim_id
+    RETURNING * INTO claim;
+
+    IF p_refund_amount > 0 THEN
+        UPDATE orders
+        SET refunded_amount = COALESCE(refunded_amount, 0) + p_refund_amount
+        WHERE id = target_order.id;
+
+        SELECT COALESCE(SUM(CASE WHEN entry_type = 'credit' THEN amount ELSE -amount END), 0)
+        INTO outstanding
+        FROM agent_commission_ledger
+        WHERE order_id = target_order.id AND entry_type IN ('credit', 'reversal');
+
+        commission_reversal := LEAST(
+            outstanding,
+            ROUND(target_order.commission * p_refund_amount / target_order.total_price, 2)
+        );
+
+        IF commission_reversal > 0 THEN
+            INSERT INTO agent_commission_ledger (agent_id, order_id, entry_type, amount, note)
+            SELECT agent_id, order_id, 'reversal', commission_reversal, 'Refund on claim ' || p_claim_id
+            FROM agent_commission_ledger
+            WHERE order_id = target_order.id AND entry_type = 'credit';
+        END IF;
+    END IF;
+
+    FOR item IN
+        SELECT value FROM jsonb_array_elements(COALESCE(p_restock_items, '[]'::jsonb))
+    LOOP
+        -- restocked_items already holds this claim's items, so earlier claims are counted with them
+        IF (
+            SELECT COALESCE(SUM((restocked->>'quantity')::DECIMAL), 0)
+            FROM order_claims, jsonb_array_elements(restocked_items) AS restocked
+            WHERE order_claims.order_id = target_order.id
+              AND restocked->>'product_id' = item->>'product_id'
+        ) > (
+            SELECT COALESCE(SUM(quantity), 0) FROM order_items
+            WHERE order_id = target_order.id
+              AND product_id = (item->>'product_id')::UUID
+        ) THEN
+            RAISE EXCEPTION 'INVALID_RESTOCK_ITEM'
+                USING DETAIL = item->>'product_id';
+        END IF;
+
+        UPDATE products
+        SET available_quantity = available_quantity + (item->>'quantity')::DECIMAL
+        WHERE id = (item->>'product_id')::UUID;
+    END LOOP;
+
+    RETURN claim;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION resolve_order_claim(UUID, TEXT, DECIMAL, TEXT, UUID, JSONB) FROM PUBLIC, anon, authenticated;
+
+-- Function to find booked/confirmed orders past their district's deadline.
+-- An order's age is measured from when it entered its current status.
+-- A NULL default with no district rule means that status never expires.
+DROP FUNCTION IF EXISTS find_expired_orders(INTEGER, INTEGER, INTEGER);
+CREATE OR REPLACE FUNCTION find_expired_orders(
+    p_booked_hours INTEGER,
+    p_confirmed_hours INTEGER,
+    p_limit INTEGER DEFAULT 100
+)
+RETURNS TABLE (
+    order_id UUID,
+    status TEXT,
+    payment_status TEXT,
+    customer_id UUID,
+    district_id UUID,
+    status_since TIMESTAMP WITH TIME ZONE,
+    deadline_hours INTEGER
+) AS $$
+    SELECT o.id, o.status::TEXT, o.payment_status::TEXT, o.customer_id, p.district_id, since.at, deadline.hours
+    FROM orders o
+    JOIN products p ON p.id = o.product_id
+    LEFT JOIN order_expiry_rules r ON r.district_id = p.district_id
+    CROSS JOIN LATERAL (
+        SELECT COALESCE(
+            (SELECT MAX(e.created_at) FROM order_status_events e
+             WHERE e.order_id = o.id AND e.to_status = o.status),
+            o.created_at
+        ) AS at
+    ) since
+    CROSS JOIN LATERAL (
+        SELECT CASE o.status
+            WHEN 'booked' THEN COALESCE(r.booked_expiry_hours, p_booked_hours)
+            ELSE COALESCE(r.confirmed_expiry_hours, p_confirmed_hours)
+        END AS hours
+    ) deadline
+    WHERE o.status IN ('booked', 'confirmed')
+      AND deadline.hours IS NOT NULL
+      AND since.at < NOW() - make_interval(hours => deadline.hours)
+    ORDER BY since.at
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION find_expired_orders(INTEGER, INTEGER, INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Function to release an order from an agent whose offer was declined or lapsed.
+-- The order loses its agent and commission until it is offered to someone else.
+CREATE OR REPLACE FUNCTION release_order_assignment(p_assignment_id UUID, p_status TEXT, p_reason TEXT DEFAULT NULL)
+RETURNS order_assignments AS $$
+DECLARE
+    offer order_assignments;
+BEGIN
+    UPDATE order_assignments
+    SET status = p_status,
+        decline_reason = p_reason,
+        responded_at = CASE WHEN p_status = 'declined' THEN NOW() ELSE responded_at END
+    WHERE id = p_assignment_id
+    RETURNING * INTO offer;
+
+    UPDATE orders
+    SET agent_id = NULL,
+        commission = 0,
+        commission_rule_id = NULL,
+        assignment_status = p_status,
+        assignment_expires_at = NULL
+    WHERE id = offer.order_id AND agent_id = offer.agent_id;
+
+    RETURN offer;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to offer an order to an agent with the commission they would earn.
+-- Any open offer or earlier acceptance on the order is withdrawn first.
+CREATE OR REPLACE FUNCTION offer_order_assignment(
+    p_order_id UUID,
+    p_agent_id UUID,
+    p_offered_by UUID,
+    p_expires_at TIMESTAMP WITH TIME ZONE,
+    p_commission DECIMAL,
+    p_commission_rate DECIMAL,
+    p_commission_rule_id UUID
+)
+RETURNS order_assignments AS $$
+DECLARE
+    offer order_assignments;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    UPDATE order_assignments
+    SET status = 'withdrawn', responded_at = COALESCE(responded_at, NOW())
+    WHERE order_id = p_order_id AND status IN ('pending', 'accepted');
+
+    INSERT INTO order_assignments (order_id, agent_id, offered_by, expires_at)
+    VALUES (p_order_id, p_agent_id, p_offered_by, p_expires_at)
+    RETURNING * INTO offer;
+
+    UPDATE orders
+    SET agent_id = p_agent_id,
+        commission = p_commission,
+        commission_rate = p_commission_rate,
+        commission_rule_id = p_commission_rule_id,
+        assignment_status = 'pending',
+        assignment_expires_at = p_expires_at
+    WHERE id = p_order_id;
+
+    RETURN offer;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function for an agent to accept or decline their pending offer.
+-- An offer past its deadline lapses instead and is returned with status 'expired'.
+CREATE OR REPLACE FUNCTION respond_to_order_assignment(
+    p_order_id UUID,
+    p_agent_id UUID,
+    p_accept BOOLEAN,
+    p_reason TEXT DEFAULT NULL
+)
+RETURNS order_assignments AS $$
+DECLARE
+    offer order_assignments;
+BEGIN
+    PERFORM 1 FROM orders WHERE id = p_order_id FOR UPDATE;
+
+    SELECT * INTO offer
+    FROM order_assignments a
+    WHERE a.order_id = p_order_id AND a.agent_id = p_agent_id AND a.status = 'pending'
+    FOR UPDATE;
+
+    IF offer.id IS NULL THEN
+        RAISE EXCEPTION 'NO_PENDING_ASSIGNMENT';
+    END IF;
+
+    IF offer.expires_at <= NOW() THEN
+        RETURN release_order_assignment(offer.id, 'expired');
+    END IF;
+
+    IF NOT p_accept THEN
+        RETURN release_order_assignment(offer.id, 'declined', p_reason);
+    END IF;
+
+    UPDATE order_assignments
+    SET status = 'accepted', responded_at = NOW()
+    WHERE id = offer.id
+    RETURNING * INTO offer;
+
+    UPDATE orders
+    SET assignment_status = 'accepted', assignment_expires_at = NULL
+    WHERE id = p_order_id;
+
+    RETURN offer;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to lapse every pending offer past its deadline; returns the lapsed offers
+CREATE OR REPLACE FUNCTION expire_assignment_offers(p_limit INTEGER DEFAULT 100)
+RETURNS SETOF order_assignments AS $$
+DECLARE
+    offer order_assignments;
+BEGIN
+    FOR offer IN
+        SELECT * FROM order_assignments a
+        WHERE a.status = 'pending' AND a.expires_at <= NOW()
+        ORDER BY a.expires_at
+        LIMIT p_limit
+        FOR UPDATE SKIP LOCKED
+    LOOP
+        RETURN NEXT release_order_assignment(offer.id, 'expired');
+    END LOOP;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION release_order_assignment(UUID, TEXT, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION offer_order_assignment(UUID, UUID, UUID, TIMESTAMP WITH TIME ZONE, DECIMAL, DECIMAL, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION respond_to_order_assignment(UUID, UUID, BOOLEAN, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION expire_assignment_offers(INTEGER) FROM PUBLIC, anon, authenticated;
+
+-- Function to update an agent's availability in one transaction. Weekly working hours and
+-- holidays are replaced when given (NULL leaves them as they are); the capacity is only
+-- changed when p_update_capacity is set, since NULL there means no limit.
+DROP FUNCTION IF EXISTS set_agent_working_hours(UUID, JSONB);
+CREATE OR REPLACE FUNCTION set_agent_availability(
+    p_agent_id UUID,
+    p_working_hours JSONB,
+    p_holidays JSONB,
+    p_max_concurrent_orders INTEGER,
+    p_update_capacity BOOLEAN DEFAULT false
+)
+RETURNS VOID AS $$
+BEGIN
+    IF p_working_hours IS NOT NULL THEN
+        DELETE FROM agent_working_hours h WHERE h.agent_id = p_agent_id;
+
+        INSERT INTO agent_working_hours (agent_id, day_of_week, start_time, end_time)
+        SELECT p_agent_id, (slot->>'day_of_week')::SMALLINT, (slot->>'start_time')::TIME, (slot->>'end_time')::TIME
+        FROM jsonb_array_elements(p_working_hours) slot;
+    END IF;
+
+    IF p_holidays IS NOT NULL THEN
+        DELETE FROM agent_holidays h WHERE h.agent_id = p_agent_id;
+
+        INSERT INTO agent_holidays (agent_id, holiday_date, reason)
+        SELECT p_agent_id, (holiday->>'date')::DATE, MAX(holiday->>'reason')
+        FROM jsonb_array_elements(p_holidays) holiday
+        GROUP BY (holiday->>'date')::DATE;
+    END IF;
+
+    IF p_update_capacity THEN
+        UPDATE users
+        SET max_concurrent_orders = p_max_concurrent_orders
+        WHERE id = p_agent_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to list a district's active agents with their availability on p_date.
+-- An agent is available when they are not on holiday, work that weekday (agents who have
+-- not declared hours work every day) and have open orders below their capacity.
+-- p_only_available leaves out everyone else.
+DROP FUNCTION IF EXISTS get_district_agent_availability(UUID, DATE, BOOLEAN);
+CREATE OR REPLACE FUNCTION get_district_agent_availability(
+    p_district_id UUID,
+    p_date DATE,
+    p_only_available BOOLEAN DEFAULT true
+)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    phone TEXT,
+    image_url TEXT,
+    district_id UUID,
+    registration_date TIMESTAMP WITH TIME ZONE,
+    rating_average DECIMAL,
+    rating_count INTEGER,
+    max_concurrent_orders INTEGER,
+    open_orders INTEGER,
+    remaining_capacity INTEGER,
+    on_holiday BOOLEAN,
+    works_on_date BOOLEAN,
+    is_available BOOLEAN
+) AS $$
+    SELECT a.*, (NOT a.on_holiday AND a.works_on_date AND COALESCE(a.remaining_capacity > 0, true))
+    FROM (
+        SELECT
+            u.id,
+            u.name::TEXT,
+            u.phone::TEXT,
+            u.image_url,
+            u.district_id,
+            u.registration_date,
+            u.rating_average,
+            u.rating_count,
+            u.max_concurrent_orders,
+            load.open_orders,
+            GREATEST(u.max_concurrent_orders - load.open_orders, 0),
+            EXISTS (
+                SELECT 1 FROM agent_holidays h
+                WHERE h.agent_id = u.id AND h.holiday_date = p_date
+            ),
+            NOT EXISTS (SELECT 1 FROM agent_working_hours h WHERE h.agent_id = u.id)
+                OR EXISTS (
+                    SELECT 1 FROM agent_working_hours h
+                    WHERE h.agent_id = u.id AND h.day_of_week = EXTRACT(DOW FROM p_date)
+                )
+        FROM users u
+        CROSS JOIN LATERAL (
+            SELECT COUNT(*)::INTEGER AS open_orders
+            FROM orders o
+            WHERE o.agent_id = u.id AND o.status IN ('booked', 'confirmed', 'picked')
+        ) load
+        WHERE u.role = 'agent' AND u.is_active = true AND u.district_id = p_district_id
+    ) a (id, name, phone, image_url, district_id, registration_date, rating_average, rating_count,
+         max_concurrent_orders, open_orders, remaining_capacity, on_holiday, works_on_date)
+    WHERE NOT p_only_available
+       OR (NOT a.on_holiday AND a.works_on_date AND COALESCE(a.remaining_capacity > 0, true))
+    ORDER BY a.name;
+$$ LANGUAGE sql STABLE;
+
+-- Function to gather what automatic agent matching scores each active agent of a district on:
+-- availability on the day of p_at, open orders, delivered vs. cancelled orders they had
+-- accepted, and whether p_at (in p_timezone) falls within their declared working hours.
+DROP FUNCTION IF EXISTS get_agent_match_stats(UUID, TIMESTAMP WITH TIME ZONE, TEXT);
+CREATE OR REPLACE FUNCTION get_agent_match_stats(
+    p_district_id UUID,
+    p_at TIMESTAMP WITH TIME ZONE,
+    p_timezone TEXT DEFAULT 'Asia/Dhaka'
+)
+RETURNS TABLE (
+    agent_id UUID,
+    name TEXT,
+    phone TEXT,
+    image_url TEXT,
+    is_available BOOLEAN,
+    on_holiday BOOLEAN,
+    works_on_date BOOLEAN,
+    max_concurrent_orders INTEGER,
+    remaining_capacity INTEGER,
+    open_orders INTEGER,
+    delivered_orders INTEGER,
+    cancelled_orders INTEGER,
+    has_working_hours BOOLEAN,
+    on_duty BOOLEAN
+) AS $$
+    SELECT
+        a.id,
+        a.name,
+        a.phone,
+        a.image_url,
+        a.is_available,
+        a.on_holiday,
+        a.works_on_date,
+        a.max_concurrent_orders,
+        a.remaining_capacity,
+        a.open_orders,
+        (SELECT COUNT(*) FROM orders o
+         WHERE o.agent_id = a.id AND o.status = 'delivered')::INTEGER,
+        (SELECT COUNT(*) FROM orders o
+         WHERE o.agent_id = a.id AND o.status = 'cancelled'
+           AND COALESCE(o.assignment_status, 'accepted') = 'accepted')::INTEGER,
+        EXISTS (SELECT 1 FROM agent_working_hours h WHERE h.agent_id = a.id),
+        EXISTS (
+            SELECT 1 FROM agent_working_hours h
+            WHERE h.agent_id = a.id
+              AND h.day_of_week = EXTRACT(DOW FROM local_time.at)
+              AND local_time.at::TIME >= h.start_time
+              AND local_time.at::TIME < h.end_time
+        )
+    FROM (SELECT p_at AT TIME ZONE p_timezone AS at) local_time
+    CROSS JOIN LATERAL get_district_agent_availability(p_district_id, local_time.at::DATE, false) a;
+$$ LANGUAGE sql STABLE;
+
+REVOKE EXECUTE ON FUNCTION set_agent_availability(UUID, JSONB, JSONB, INTEGER, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_district_agent_availability(UUID, DATE, BOOLEAN) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION get_agent_match_stats(UUID, TIMESTAMP WITH TIME ZONE, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Function to recompute the rating average and count of a product, a farmer and/or an agent
+-- from their visible reviews. Farmers are rated through reviews of their products.
+CREATE OR REPLACE FUNCTION refresh_review_ratings(p_product_id UUID, p_farmer_id UUID, p_agent_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    IF p_product_id IS NOT NULL THEN
+        UPDATE products p
+        SET (rating_average, rating_count) = (
+            SELECT ROUND(AVG(r.rating), 2), COUNT(*)
+            FROM reviews r
+            WHERE r.target_type = 'product' AND r.product_id = p_product_id AND NOT r.is_hidden
+        )
+        WHERE p.id = p_product_id;
+    END IF;
+
+    IF p_farmer_id IS NOT NULL THEN
+        UPDATE users u
+        SET (rating_average, rating_count) = (
+            SELECT ROUND(AVG(r.rating), 2), COUNT(*)
+            FROM reviews r
+            WHERE r.target_type = 'product' AND r.farmer_id = p_farmer_id AND NOT r.is_hidden
+        )
+        WHERE u.id = p_farmer_id;
+    END IF;
+
+    IF p_agent_id IS NOT NULL THEN
+        UPDATE users u
+        SET (rating_average, rating_count) = (
+            SELECT ROUND(AVG(r.rating), 2), COUNT(*)
+            FROM reviews r
+            WHERE r.target_type = 'agent' AND r.agent_id = p_agent_id AND NOT r.is_hidden
+        )
+        WHERE u.id = p_agent_id;
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Trigger function keeping rating averages in step with reviews being added, edited,
+-- hidden/unhidden by moderators or deleted
+CREATE OR REPLACE FUNCTION sync_review_ratings()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        PERFORM refresh_review_ratings(OLD.product_id, OLD.farmer_id, OLD.agent_id);
+    END IF;
+
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        PERFORM refresh_review_ratings(NEW.product_id, NEW.farmer_id, NEW.agent_id);
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS sync_review_ratings ON reviews;
+CREATE TRIGGER sync_review_ratings AFTER INSERT OR UPDATE OF rating, is_hidden OR DELETE ON reviews
+    FOR EACH ROW EXECUTE FUNCTION sync_review_ratings();
+
+REVOKE EXECUTE ON FUNCTION refresh_review_ratings(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+
+-- Function to create a pre-order and reserve its quantity against the product's projected
+-- harvest in one transaction. The conditional update keeps pre-orders within the projection.
+CREATE OR REPLACE FUNCTION place_preorder(p_preorder JSONB)
+RETURNS UUID AS $$
+DECLARE
+    new_preorder_id UUID;
+BEGIN
+    UPDATE products
+    SET preordered_quantity = preordered_quantity + (p_preorder->>'quantity')::DECIMAL
+    WHERE id = (p_preorder->>'product_id')::UUID
+      AND is_active = true
+      AND expected_harvest_date IS NOT NULL
+      AND preordered_quantity + (p_preorder->>'quantity')::DECIMAL <= projected_quantity;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'PREORDER_QUANTITY_UNAVAILABLE'
+            USING DETAIL = p_preorder->>'product_id';
+    END IF;
+
+    INSERT INTO preorders (
+        product_id, customer_id, farmer_id, quantity, unit_price, accept_partial,
+        deposit_amount, deposit_status, delivery_address, customer_notes
+    )
+    SELECT
+        product_id, customer_id, farmer_id, quantity, unit_price, COALESCE(accept_partial, true),
+        COALESCE(deposit_amount, 0), CASE WHEN deposit_amount > 0 THEN 'unpaid' ELSE 'none' END,
+        delivery_address, customer_notes
+    FROM jsonb_populate_record(NULL::preorders, p_preorder)
+    RETURNING id INTO new_preorder_id;
+
+    RETURN new_preorder_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to cancel a pending pre-order and give its quantity back to the projection.
+-- Returns false if the pre-order was no longer pending.
+CREATE OR REPLACE FUNCTION cancel_preorder(p_preorder_id UUID, p_reason TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    cancelled preorders%ROWTYPE;
+BEGIN
+    UPDATE preorders
+    SET status = 'cancelled', cancellation_reason = p_reason
+    WHERE id = p_preorder_id AND status = 'pending'
+    RETURNING * INTO cancelled;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    -- Once the harvest is recorded there is no projection left to give back to
+    UPDATE products
+    SET preordered_quantity = GREATEST(preordered_quantity - cancelled.quantity, 0)
+    WHERE id = cancelled.product_id AND expected_harvest_date IS NOT NULL;
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to record a product's harvest. Under the product's row lock the yield is shared out
+-- to pending pre-orders first come first served (a short yield fills a pre-order partially when
+-- it accepts that, otherwise not at all): each is moved to 'processing' with its share in
+-- fulfilled_quantity, and only the rest goes into stock. The projection closes, so no new
+-- pre-orders are taken and a harvest cannot be recorded twice.
+CREATE OR REPLACE FUNCTION record_harvest(p_product_id UUID, p_quantity DECIMAL)
+RETURNS VOID AS $$
+DECLARE
+    harvested products;
+    pending preorders;
+    remaining DECIMAL := p_quantity;
+    fill DECIMAL;
+BEGIN
+    SELECT * INTO harvested FROM products WHERE id = p_product_id FOR UPDATE;
+
+    IF harvested.expected_harvest_date IS NULL THEN
+        -- A zero quantity only retries pre-orders that are still being converted
+        IF p_quantity > 0 THEN
+            RAISE EXCEPTION 'HARVEST_ALREADY_RECORDED'
+                USING DETAIL = p_product_id::TEXT;
+        END IF;
+        RETURN;
+    END IF;
+
+    FOR pending IN
+        SELECT * FROM preorders
+        WHERE product_id = p_product_id AND status = 'pending'
+        ORDER BY created_at
+        FOR UPDATE
+    LOOP
+        fill := CASE
+            WHEN remaining >= pending.quantity THEN pending.quantity
+            WHEN pending.accept_partial THEN remaining
+            ELSE 0
+        END;
+
+        UPDATE preorders
+        SET status = 'processing', fulfilled_quantity = fill
+        WHERE id = pending.id;
+
+        remaining := remaining - fill;
+    END LOOP;
+
+    UPDATE products
+    SET available_quantity = available_quantity + remaining,
+        expected_harvest_date = NULL,
+        projected_quantity = NULL,
+        preordered_quantity = 0
+    WHERE id = p_product_id;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION place_preorder(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_preorder(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION record_harvest(UUID, DECIMAL) FROM PUBLIC, anon, authenticated;
+
+-- Function to list a product lot for auction, taking its quantity out of stock in the
+-- same transaction so the lot cannot be sold twice while the auction runs.
+CREATE OR REPLACE FUNCTION create_auction(p_auction JSONB)
+RETURNS UUID AS $$
+DECLARE
+    new_auction_id UUID;
+BEGIN
+    UPDATE products
+    SET available_quantity = available_quantity - (p_auction->>'quantity')::DECIMAL
+    WHERE id = (p_auction->>'product_id')::UUID
+      AND farmer_id = (p_auction->>'farmer_id')::UUID
+      AND is_active = true
+      AND available_quantity >= (p_auction->>'quantity')::DECIMAL;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'INSUFFICIENT_QUANTITY'
+            USING DETAIL = p_auction->>'product_id';
+    END IF;
+
+    INSERT INTO auctions (
+        product_id, farmer_id, quantity, start_price, reserve_price, bid_increment,
+        starts_at, ends_at, original_ends_at
+    )
+    SELECT
+        product_id, farmer_id, quantity, start_price, reserve_price, bid_increment,
+        starts_at, ends_at, ends_at
+    FROM jsonb_populate_record(NULL::auctions, p_auction)
+    RETURNING id INTO new_auction_id;
+
+    RETURN new_auction_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to place a bid. The auction's row lock puts concurrent bids in order, so each
+-- is checked against the price the one before it set. A bid in the last p_extension_minutes
+-- pushes the end back to p_extension_minutes from now, so there is always time to answer it.
+-- Also returns the leader the bid overtook (NULL when the bidder was already leading or
+-- there was none) with their price, and the lowest bid that now leads.
+DROP FUNCTION IF EXISTS place_auction_bid(UUID, UUID, DECIMAL, INTEGER);
+CREATE OR REPLACE FUNCTION place_auction_bid(
+    p_auction_id UUID,
+    p_bidder_id UUID,
+    p_unit_price DECIMAL,
+    p_extension_minutes INTEGER
+)
+RETURNS TABLE (
+    auction auctions,
+    outbid_bidder_id UUID,
+    outbid_unit_price DECIMAL,
+    next_minimum_bid DECIMAL
+) AS $$
+DECLARE
+    previous auctions;
+    minimum_bid DECIMAL;
+    extension INTERVAL := make_interval(mins => p_extension_minutes);
+BEGIN
+    SELECT * INTO previous FROM auctions WHERE id = p_auction_id FOR UPDATE;
+
+    IF previous.id IS NULL OR previous.status <> 'open' OR NOW() >= previous.ends_at THEN
+        RAISE EXCEPTION 'AUCTION_CLOSED';
+    END IF;
+
+    IF NOW() < previous.starts_at THEN
+        RAISE EXCEPTION 'AUCTION_NOT_STARTED';
+    END IF;
+
+    minimum_bid := CASE
+        WHEN previous.current_price IS NULL THEN previous.start_price
+        ELSE previous.current_price + previous.bid_increment
+    END;
+
+    IF p_unit_price < minimum_bid THEN
+        RAISE EXCEPTION 'BID_TOO_LOW'
+            USING DETAIL = minimum_bid::TEXT;
+    END IF;
+
+    IF previous.highest_bidder_id IS DISTINCT FROM p_bidder_id THEN
+        outbid_bidder_id := previous.highest_bidder_id;
+        outbid_unit_price := previous.current_price;
+    END IF;
+
+    INSERT INTO auction_bids (auction_id, bidder_id, unit_price)
+    VALUES (p_auction_id, p_bidder_id, p_unit_price);
+
+    UPDATE auctions
+    SET current_price = p_unit_price,
+        highest_bidder_id = p_bidder_id,
+        bid_count = bid_count + 1,
+        ends_at = GREATEST(ends_at, NOW() + extension),
+        extension_count = extension_count + CASE WHEN ends_at < NOW() + extension THEN 1 ELSE 0 END
+    WHERE id = p_auction_id
+    RETURNING * INTO auction;
+
+    next_minimum_bid := auction.current_price + auction.bid_increment;
+    RETURN NEXT;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to close an auction once its end has passed: sold when the highest bid meets
+-- the reserve, otherwise unsold with the lot returned to stock. Returns the new status,
+-- or NULL if the auction is not open or has been extended past now.
+CREATE OR REPLACE FUNCTION close_auction(p_auction_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    closed auctions;
+BEGIN
+    UPDATE auctions
+    SET status = CASE WHEN current_price >= reserve_price THEN 'sold' ELSE 'unsold' END,
+        closed_at = NOW()
+    WHERE id = p_auction_id AND status = 'open' AND ends_at <= NOW()
+    RETURNING * INTO closed;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    IF closed.status = 'unsold' THEN
+        UPDATE products
+        SET available_quantity = available_quantity + closed.quantity
+        WHERE id = closed.product_id;
+    END IF;
+
+    RETURN closed.status;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to cancel an open auction nobody has bid on and return its lot to stock.
+-- Returns false if the auction has closed or received a bid.
+CREATE OR REPLACE FUNCTION cancel_auction(p_auction_id UUID, p_reason TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    cancelled auctions;
+BEGIN
+    UPDATE auctions
+    SET status = 'cancelled', cancellation_reason = p_reason, closed_at = NOW()
+    WHERE id = p_auction_id AND status = 'open' AND bid_count = 0
+    RETURNING * INTO cancelled;
+
+    IF NOT FOUND THEN
+        RETURN false;
+    END IF;
+
+    UPDATE products
+    SET available_quantity = available_quantity + cancelled.quantity
+    WHERE id = cancelled.product_id;
+
+    RETURN true;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION create_auction(JSONB) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION place_auction_bid(UUID, UUID, DECIMAL, INTEGER) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION close_auction(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION cancel_auction(UUID, TEXT) FROM PUBLIC, anon, authenticated;
+
+-- Function to check the delivery OTP the agent entered for an order. Comparing and counting
+-- the wrong attempt happen in one conditional update under the row's lock, so parallel
+-- guesses cannot get past p_max_attempts. Returns 'verified', 'incorrect', 'locked' or
+-- 'missing' (the order has no OTP).
+CREATE OR REPLACE FUNCTION check_delivery_otp(p_order_id UUID, p_code_hash TEXT, p_max_attempts INTEGER)
+RETURNS TEXT AS $$
+DECLARE
+    matched BOOLEAN;
+BEGIN
+    UPDATE order_delivery_otps
+    SET failed_attempts = failed_attempts + CASE WHEN code_hash = p_code_hash THEN 0 ELSE 1 END,
+        verified_at = CASE WHEN code_hash = p_code_hash THEN NOW() ELSE verified_at END
+    WHERE order_id = p_order_id AND failed_attempts < p_max_attempts
+    RETURNING code_hash = p_code_hash INTO matched;
+
+    IF NOT FOUND THEN
+        RETURN CASE
+            WHEN EXISTS (SELECT 1 FROM order_delivery_otps WHERE order_id = p_order_id) THEN 'locked'
+            ELSE 'missing'
+        END;
+    END IF;
+
+    RETURN CASE WHEN matched THEN 'verified' ELSE 'incorrect' END;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION check_delivery_otp(UUID, TEXT, INTEGER) FROM PUBLIC, anon, authenticated;
@@ -22,6 +22,9 @@ CREATE TABLE users (
     image_url TEXT,
     nid VARCHAR(20), -- National ID (optional)
     district_id UUID REFERENCES districts(id) ON DELETE SET NULL,
+    max_concurrent_orders INTEGER CHECK (max_concurrent_orders > 0), -- Agents only; NULL means no limit
+    rating_average DECIMAL(3,2), -- Farmers: their products' reviews, agents: their own; maintained from reviews
+    rating_count INTEGER DEFAULT 0,
     registration_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
@@ -40,12 +43,115 @@ CREATE TABLE products (
     category VARCHAR(100),
     unit VARCHAR(50) DEFAULT 'kg', -- kg, piece, liter, etc.
     available_quantity DECIMAL(10,2) DEFAULT 0,
+    -- Wholesale tiers [{ min_quantity, unit_price }]; price is the base tier below them
+    price_tiers JSONB NOT NULL DEFAULT '[]' CHECK (jsonb_typeof(price_tiers) = 'array'),
+    -- Upcoming harvest open to pre-orders; preordered_quantity is maintained by place_preorder
+    expected_harvest_date DATE,
+    projected_quantity DECIMAL(10,2) CHECK (projected_quantity >= 0),
+    preordered_quantity DECIMAL(10,2) NOT NULL DEFAULT 0,
+    rating_average DECIMAL(3,2), -- Maintained from visible reviews
+    rating_count INTEGER DEFAULT 0,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create Commission Rules table (agent commission by district, category and agent)
+-- Empty scope columns match everything; highest priority, then most specific rule wins
+CREATE TABLE commission_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    rate DECIMAL(5,2) NOT NULL CHECK (rate >= 0 AND rate <= 100), -- Percentage
+    district_id UUID REFERENCES districts(id) ON DELETE CASCADE,
+    category VARCHAR(100),
+    agent_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    priority INTEGER NOT NULL DEFAULT 0,
+    valid_from TIMESTAMP WITH TIME ZONE,
+    valid_until TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from)
+);
+
+-- Create Delivery Slots table (per-district delivery windows customers book at order time)
+-- booked_count is changed only by place_order/cancel_order/delete_order
+CREATE TABLE delivery_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    district_id UUID NOT NULL REFERENCES districts(id) ON DELETE CASCADE,
+    slot_date DATE NOT NULL,
+    start_time TIME NOT NULL, -- Local time (TIMEZONE)
+    end_time TIME NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    booked_count INTEGER NOT NULL DEFAULT 0 CHECK (booked_count >= 0),
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (start_time < end_time),
+    CHECK (booked_count <= capacity),
+    UNIQUE(district_id, slot_date, start_time)
+);
+
+-- Create Subscriptions table (recurring orders placed on a schedule)
+-- delivery_day is a weekday (0 = Sunday) for weekly and biweekly subscriptions, a day of the month for monthly ones
+CREATE TABLE subscriptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    farmer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    agent_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Preferred agent; matched automatically when NULL or unavailable
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    delivery_day SMALLINT NOT NULL,
+    next_delivery_date DATE NOT NULL, -- Next cycle to order; its order is placed SUBSCRIPTION_LEAD_DAYS ahead
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused', 'cancelled')),
+    delivery_address TEXT,
+    customer_notes TEXT,
+    cancellation_reason TEXT,
+    paused_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (frequency = 'monthly' AND delivery_day BETWEEN 1 AND 28) OR
+        (frequency <> 'monthly' AND delivery_day BETWEEN 0 AND 6)
+    )
+);
+
+-- Create Promotions table (coupons redeemed by code, and automatic promotions without one)
+-- Scopes left NULL match any district, category, product or farmer
+CREATE TABLE promotions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    code VARCHAR(50) UNIQUE, -- Upper-case coupon code; NULL for automatic promotions
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percentage', 'fixed')),
+    discount_value DECIMAL(10,2) NOT NULL CHECK (discount_value > 0),
+    max_discount DECIMAL(10,2) CHECK (max_discount > 0), -- Cap on a percentage discount
+    min_order_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+    district_id UUID REFERENCES districts(id) ON DELETE CASCADE,
+    category VARCHAR(100),
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    farmer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    usage_limit INTEGER CHECK (usage_limit > 0), -- Redemptions overall, NULL for unlimited
+    per_user_limit INTEGER CHECK (per_user_limit > 0), -- Redemptions per customer, NULL for unlimited
+    used_count INTEGER NOT NULL DEFAULT 0 CHECK (used_count >= 0), -- Maintained by place_order and release_promotion
+    commission_basis VARCHAR(10) NOT NULL DEFAULT 'net' CHECK (commission_basis IN ('gross', 'net')), -- Agent commission on the price before or after the discount
+    valid_from TIMESTAMP WITH TIME ZONE,
+    valid_until TIMESTAMP WITH TIME ZONE,
+    is_active BOOLEAN DEFAULT true,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (discount_type <> 'percentage' OR discount_value <= 100),
+    CHECK (valid_from IS NULL OR valid_until IS NULL OR valid_until > valid_from)
+);
+
 -- Create Orders table
+-- product_id/quantity/unit_price describe the first line item; order_items holds every line
+-- total_price is what the customer pays, after discount_amount
 CREATE TABLE orders (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     product_id UUID NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
@@ -56,10 +162,24 @@ CREATE TABLE orders (
     total_price DECIMAL(10,2) NOT NULL,
     commission DECIMAL(10,2) DEFAULT 0,
     commission_rate DECIMAL(5,2) DEFAULT 5.00, -- Percentage
+    commission_rule_id UUID REFERENCES commission_rules(id) ON DELETE SET NULL, -- Rule applied, NULL for default rate
     status VARCHAR(20) DEFAULT 'booked' CHECK (status IN ('booked', 'confirmed', 'picked', 'delivered', 'cancelled')),
     delivery_address TEXT,
     customer_notes TEXT,
     agent_notes TEXT,
+    cancellation_reason TEXT,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    stock_restored_at TIMESTAMP WITH TIME ZONE, -- Set once reserved quantity is returned to products
+    payment_status VARCHAR(20) DEFAULT 'unpaid' CHECK (payment_status IN ('unpaid', 'pending', 'partially_paid', 'paid', 'refunded')),
+    refunded_amount DECIMAL(10,2) DEFAULT 0, -- Total refunded through resolved claims
+    assignment_status VARCHAR(20) CHECK (assignment_status IN ('pending', 'accepted', 'declined', 'expired')), -- Agent's answer to the latest offer
+    assignment_expires_at TIMESTAMP WITH TIME ZONE, -- When a pending offer lapses
+    delivery_slot_id UUID REFERENCES delivery_slots(id) ON DELETE SET NULL, -- Reserved delivery window
+    subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL, -- Placed by a recurring subscription
+    promotion_id UUID REFERENCES promotions(id) ON DELETE SET NULL, -- Coupon or automatic promotion applied
+    discount_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (discount_amount >= 0),
+    commission_basis VARCHAR(10) NOT NULL DEFAULT 'net' CHECK (commission_basis IN ('gross', 'net')), -- Copied from the promotion
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -75,6 +195,398 @@ CREATE TABLE order_items (
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create Cart Items table (persistent customer cart, checked out into order_items)
+CREATE TABLE cart_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (customer_id, product_id)
+);
+
+-- Create Order Status Events table (order timeline)
+CREATE TABLE order_status_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    event_type VARCHAR(30) NOT NULL DEFAULT 'status_change' CHECK (event_type IN ('created', 'status_change', 'agent_assigned', 'order_updated', 'payment_updated', 'claim_updated', 'assignment_updated')),
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20) NOT NULL, -- User role, or 'system' for automatic changes
+    note TEXT,
+    metadata JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Agent Payouts table (money paid out to agents)
+CREATE TABLE agent_payouts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    method VARCHAR(20) DEFAULT 'cash' CHECK (method IN ('cash', 'bkash', 'nagad', 'bank')),
+    reference VARCHAR(100), -- Transaction ID or receipt number
+    note TEXT,
+    paid_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Agent Commission Ledger table
+-- credit: commission earned on delivery, debit: payout, reversal: commission taken back
+CREATE TABLE agent_commission_ledger (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    payout_id UUID REFERENCES agent_payouts(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('credit', 'debit', 'reversal')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0), -- Always positive, entry_type gives the sign
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Pre-orders table (customer orders against a product's projected harvest)
+-- Pending pre-orders become orders when the farmer records the harvest. If the yield falls
+-- short, later pre-orders are filled partially (when the customer accepts that) or left
+-- unfilled, and any deposit they cannot use is refunded.
+CREATE TABLE preorders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    farmer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price > 0), -- Locked in when pre-ordering
+    accept_partial BOOLEAN NOT NULL DEFAULT true,
+    deposit_amount DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (deposit_amount >= 0),
+    deposit_status VARCHAR(20) NOT NULL DEFAULT 'none' CHECK (deposit_status IN ('none', 'unpaid', 'pending', 'paid', 'refunded')),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'converted', 'unfilled', 'cancelled')),
+    fulfilled_quantity DECIMAL(10,2), -- Share of the harvest, set when it is recorded
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    delivery_address TEXT,
+    customer_notes TEXT,
+    cancellation_reason TEXT,
+    converted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (deposit_amount <= quantity * unit_price)
+);
+
+-- Create Subscription runs table (one row per delivery cycle of a subscription)
+-- The unique cycle key stops two workers ordering the same delivery twice
+CREATE TABLE subscription_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    subscription_id UUID NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    delivery_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('processing', 'ordered', 'skipped', 'failed', 'missed')),
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    failure_code VARCHAR(50),
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(subscription_id, delivery_date)
+);
+
+-- Create Promotion redemptions table (one per order that used a promotion)
+-- Cancelling the order releases the redemption and gives the use back
+CREATE TABLE promotion_redemptions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    promotion_id UUID NOT NULL REFERENCES promotions(id) ON DELETE RESTRICT,
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    discount_amount DECIMAL(10,2) NOT NULL CHECK (discount_amount > 0),
+    released_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Demand posts table (buyer requests for quotes, matched to farmers by district and category)
+CREATE TABLE demand_posts (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    district_id UUID NOT NULL REFERENCES districts(id) ON DELETE RESTRICT, -- Where the goods are needed
+    category VARCHAR(100) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    unit VARCHAR(20) NOT NULL DEFAULT 'kg',
+    max_unit_price DECIMAL(10,2) CHECK (max_unit_price > 0), -- Budget per unit, shown to farmers
+    needed_by DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'fulfilled', 'cancelled', 'expired')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL, -- Order created from the accepted quote
+    delivery_address TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Demand quotes table (farmer quotes on demand posts, fulfilled from one of their products)
+CREATE TABLE demand_quotes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    demand_post_id UUID NOT NULL REFERENCES demand_posts(id) ON DELETE CASCADE,
+    farmer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price > 0),
+    note TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'rejected', 'withdrawn', 'expired')),
+    response_note TEXT, -- Customer's reason when rejecting
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Auctions table (timed auctions of a product lot; the lot is held out of stock while it runs).
+-- Prices are per unit of the product.
+CREATE TABLE auctions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    farmer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    start_price DECIMAL(10,2) NOT NULL CHECK (start_price > 0), -- Lowest opening bid
+    reserve_price DECIMAL(10,2) NOT NULL CHECK (reserve_price > 0), -- Lowest price the lot sells at
+    bid_increment DECIMAL(10,2) NOT NULL CHECK (bid_increment > 0),
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Pushed back by late bids
+    original_ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    extension_count INTEGER NOT NULL DEFAULT 0,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'sold', 'unsold', 'cancelled')),
+    current_price DECIMAL(10,2), -- Highest bid so far
+    highest_bidder_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    bid_count INTEGER NOT NULL DEFAULT 0,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL, -- Winner's order, linked by place_order
+    closed_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
+);
+
+-- Create Auction bids table (every accepted bid, kept as the auction's bid history)
+CREATE TABLE auction_bids (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    auction_id UUID NOT NULL REFERENCES auctions(id) ON DELETE CASCADE,
+    bidder_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    unit_price DECIMAL(10,2) NOT NULL CHECK (unit_price > 0),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Payments table (payment intents per order, or per pre-order for deposits)
+-- A deposit moves to the order its pre-order becomes
+CREATE TABLE payments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    preorder_id UUID REFERENCES preorders(id) ON DELETE RESTRICT,
+    provider VARCHAR(20) NOT NULL CHECK (provider IN ('cod', 'bkash', 'nagad')),
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'BDT',
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed', 'cancelled', 'refunded')),
+    refunded_amount DECIMAL(10,2) DEFAULT 0,
+    provider_payment_id VARCHAR(100), -- Gateway's payment ID (NULL for cash on delivery)
+    checkout_url TEXT,
+    provider_payload JSONB, -- Last callback received from the gateway
+    refund_required BOOLEAN NOT NULL DEFAULT false, -- Paid after it was superseded and not refunded automatically
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (provider, provider_payment_id),
+    CHECK (order_id IS NOT NULL OR preorder_id IS NOT NULL)
+);
+
+-- Create Order Assignments table (agent offers and their answers)
+-- Only an accepted assignment earns the agent commission
+CREATE TABLE order_assignments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    offered_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'expired', 'withdrawn')),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    decline_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Order Claims table (returns and refund requests on delivered orders)
+CREATE TABLE order_claims (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    farmer_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Copied from the order for role-based listing
+    agent_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    reason VARCHAR(30) NOT NULL CHECK (reason IN ('damaged', 'spoiled', 'wrong_item', 'short_quantity', 'other')),
+    description TEXT,
+    photo_urls TEXT[] DEFAULT '{}',
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'responded', 'resolved', 'rejected')),
+    response TEXT, -- Farmer/agent response
+    responded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    resolution VARCHAR(20) CHECK (resolution IN ('full_refund', 'partial_refund', 'rejected')),
+    refund_amount DECIMAL(10,2) DEFAULT 0,
+    refund_status VARCHAR(20) DEFAULT 'not_required' CHECK (refund_status IN ('not_required', 'pending', 'completed', 'failed')),
+    restocked_items JSONB DEFAULT '[]', -- [{ product_id, quantity }] returned to stock
+    resolution_note TEXT,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Idempotency Keys table (stored responses for safely retried requests)
+CREATE TABLE idempotency_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(255) NOT NULL,
+    request_method VARCHAR(10) NOT NULL,
+    request_path TEXT NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- SHA-256 of method, path and body
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    claimed_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- When the request now processing took the key; retries take over stale claims
+    response_status INTEGER,
+    response_body JSONB,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, idempotency_key)
+);
+
+-- Create Order Expiry Rules table (per-district deadlines before unconfirmed orders are auto-cancelled)
+-- NULL hours fall back to ORDER_BOOKED_EXPIRY_HOURS / ORDER_CONFIRMED_EXPIRY_HOURS
+CREATE TABLE order_expiry_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    district_id UUID NOT NULL UNIQUE REFERENCES districts(id) ON DELETE CASCADE,
+    booked_expiry_hours INTEGER CHECK (booked_expiry_hours > 0),
+    confirmed_expiry_hours INTEGER CHECK (confirmed_expiry_hours > 0),
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Notifications table (in-app notifications per user)
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL, -- e.g. order_expired
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL,
+    data JSONB, -- Related ids, e.g. { order_id }
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Agent Working Hours table (weekly hours agents declare, used by automatic matching)
+-- day_of_week runs from 0 (Sunday) to 6 (Saturday); times are local to TIMEZONE
+CREATE TABLE agent_working_hours (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6),
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (start_time < end_time)
+);
+
+-- Create Agent Holidays table (days an agent takes no orders)
+CREATE TABLE agent_holidays (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    agent_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    holiday_date DATE NOT NULL,
+    reason VARCHAR(255),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(agent_id, holiday_date)
+);
+
+-- Create Order Delivery OTPs table (one-time code the customer gives the agent at delivery)
+-- Only a hash is stored; the code itself is sent to the customer when the order is placed
+CREATE TABLE order_delivery_otps (
+    order_id UUID PRIMARY KEY REFERENCES orders(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Delivery Proofs table (evidence captured when an order is delivered)
+CREATE TABLE delivery_proofs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+    recorded_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    recipient_name VARCHAR(255) NOT NULL,
+    photo_url TEXT,
+    otp_verified BOOLEAN DEFAULT false,
+    latitude DECIMAL(9,6) CHECK (latitude BETWEEN -90 AND 90),
+    longitude DECIMAL(9,6) CHECK (longitude BETWEEN -180 AND 180),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create Order Messages table (message thread between an order's customer, farmer, agent and admins)
+CREATE TABLE order_messages (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    sender_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    sender_role VARCHAR(20) NOT NULL,
+    body TEXT,
+    attachment_urls TEXT[] DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (body IS NOT NULL OR cardinality(attachment_urls) > 0)
+);
+
+-- Create Order Message Reads table (read receipts: how far each participant has read a thread)
+CREATE TABLE order_message_reads (
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    last_read_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (order_id, user_id)
+);
+
+-- Create Reviews table (customer ratings of a delivered order's product/farmer and agent)
+-- Hidden reviews stay stored but no longer count towards averages
+CREATE TABLE reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    reviewer_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    target_type VARCHAR(20) NOT NULL CHECK (target_type IN ('product', 'agent')),
+    product_id UUID REFERENCES products(id) ON DELETE CASCADE,
+    farmer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    agent_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    photo_urls TEXT[] DEFAULT '{}',
+    is_hidden BOOLEAN DEFAULT false,
+    hidden_reason TEXT,
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (
+        (target_type = 'product' AND product_id IS NOT NULL AND farmer_id IS NOT NULL AND agent_id IS NULL) OR
+        (target_type = 'agent' AND agent_id IS NOT NULL AND product_id IS NULL AND farmer_id IS NULL)
+    )
+);
+
+-- Create Price Offers table (customer haggling on a product's price for a quantity)
+-- The farmer accepts, rejects or counters; the customer answers a counter. Accepted offers
+-- can be ordered at agreed_price until expires_at, which otherwise bounds the current turn.
+CREATE TABLE price_offers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    customer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    farmer_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    quantity DECIMAL(10,2) NOT NULL CHECK (quantity > 0),
+    offered_price DECIMAL(10,2) NOT NULL CHECK (offered_price > 0), -- Customer's unit price
+    counter_price DECIMAL(10,2) CHECK (counter_price > 0), -- Farmer's counter unit price
+    agreed_price DECIMAL(10,2),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'countered', 'accepted', 'rejected', 'expired', 'ordered')),
+    customer_note TEXT,
+    farmer_note TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    order_id UUID REFERENCES orders(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (status NOT IN ('accepted', 'ordered') OR agreed_price IS NOT NULL)
+);
+
 -- Create indexes for better performance
 CREATE INDEX idx_users_phone ON users(phone);
 CREATE INDEX idx_users_role ON users(role);
@@ -86,6 +598,64 @@ CREATE INDEX idx_orders_customer ON orders(customer_id);
 CREATE INDEX idx_orders_agent ON orders(agent_id);
 CREATE INDEX idx_orders_status ON orders(status);
 CREATE INDEX idx_orders_created ON orders(created_at);
+CREATE INDEX idx_order_items_order ON order_items(order_id);
+CREATE INDEX idx_cart_items_customer ON cart_items(customer_id);
+CREATE INDEX idx_commission_rules_active ON commission_rules(is_active, priority);
+CREATE INDEX idx_order_status_events_order ON order_status_events(order_id, created_at);
+CREATE INDEX idx_agent_payouts_agent ON agent_payouts(agent_id, paid_at);
+CREATE INDEX idx_agent_ledger_agent ON agent_commission_ledger(agent_id, created_at);
+CREATE INDEX idx_payments_order ON payments(order_id);
+CREATE INDEX idx_payments_preorder ON payments(preorder_id) WHERE preorder_id IS NOT NULL;
+CREATE INDEX idx_orders_payment_status ON orders(payment_status);
+CREATE INDEX idx_order_assignments_order ON order_assignments(order_id, created_at);
+CREATE INDEX idx_order_assignments_agent ON order_assignments(agent_id, status);
+CREATE INDEX idx_order_assignments_pending_expiry ON order_assignments(expires_at) WHERE status = 'pending';
+CREATE UNIQUE INDEX idx_order_assignments_one_pending ON order_assignments(order_id) WHERE status = 'pending';
+CREATE INDEX idx_order_claims_order ON order_claims(order_id);
+CREATE INDEX idx_order_claims_customer ON order_claims(customer_id);
+CREATE INDEX idx_order_claims_farmer ON order_claims(farmer_id);
+CREATE INDEX idx_order_claims_agent ON order_claims(agent_id);
+CREATE UNIQUE INDEX idx_order_claims_one_open ON order_claims(order_id) WHERE status IN ('open', 'responded');
+CREATE INDEX idx_notifications_user ON notifications(user_id, created_at);
+CREATE INDEX idx_order_status_events_status ON order_status_events(order_id, to_status, created_at);
+CREATE INDEX idx_idempotency_keys_expires ON idempotency_keys(expires_at);
+CREATE INDEX idx_agent_working_hours_agent ON agent_working_hours(agent_id, day_of_week);
+CREATE INDEX idx_orders_delivery_slot ON orders(delivery_slot_id);
+CREATE INDEX idx_delivery_slots_district_date ON delivery_slots(district_id, slot_date);
+CREATE INDEX idx_order_messages_order ON order_messages(order_id, created_at);
+CREATE UNIQUE INDEX idx_reviews_one_per_product ON reviews(order_id, product_id) WHERE target_type = 'product';
+CREATE UNIQUE INDEX idx_reviews_one_per_agent ON reviews(order_id) WHERE target_type = 'agent';
+CREATE INDEX idx_reviews_product ON reviews(product_id, created_at) WHERE NOT is_hidden;
+CREATE INDEX idx_reviews_farmer ON reviews(farmer_id, created_at) WHERE NOT is_hidden;
+CREATE INDEX idx_reviews_agent ON reviews(agent_id, created_at) WHERE NOT is_hidden;
+CREATE INDEX idx_products_rating ON products(rating_average);
+CREATE INDEX idx_price_offers_customer ON price_offers(customer_id, created_at);
+CREATE INDEX idx_price_offers_farmer ON price_offers(farmer_id, created_at);
+CREATE INDEX idx_price_offers_product ON price_offers(product_id);
+CREATE INDEX idx_price_offers_open_expiry ON price_offers(expires_at) WHERE status IN ('pending', 'countered', 'accepted');
+CREATE INDEX idx_preorders_product_pending ON preorders(product_id, created_at) WHERE status = 'pending';
+CREATE INDEX idx_preorders_customer ON preorders(customer_id, created_at);
+CREATE INDEX idx_preorders_farmer ON preorders(farmer_id, created_at);
+CREATE INDEX idx_subscriptions_due ON subscriptions(next_delivery_date) WHERE status = 'active';
+CREATE INDEX idx_subscriptions_customer ON subscriptions(customer_id, created_at);
+CREATE INDEX idx_subscriptions_farmer ON subscriptions(farmer_id, created_at);
+CREATE INDEX idx_orders_subscription ON orders(subscription_id) WHERE subscription_id IS NOT NULL;
+CREATE INDEX idx_promotions_automatic ON promotions(is_active) WHERE code IS NULL;
+CREATE INDEX idx_promotion_redemptions_promotion ON promotion_redemptions(promotion_id, customer_id) WHERE released_at IS NULL;
+CREATE INDEX idx_orders_promotion ON orders(promotion_id) WHERE promotion_id IS NOT NULL;
+CREATE INDEX idx_demand_posts_open ON demand_posts(district_id, category, created_at) WHERE status = 'open';
+CREATE INDEX idx_demand_posts_customer ON demand_posts(customer_id, created_at);
+CREATE INDEX idx_demand_quotes_post ON demand_quotes(demand_post_id, created_at);
+CREATE INDEX idx_demand_quotes_farmer ON demand_quotes(farmer_id, created_at);
+-- A farmer has at most one live quote per post, and a post at most one accepted quote
+CREATE UNIQUE INDEX idx_demand_quotes_pending ON demand_quotes(demand_post_id, farmer_id) WHERE status = 'pending';
+CREATE UNIQUE INDEX idx_demand_quotes_accepted ON demand_quotes(demand_post_id) WHERE status = 'accepted';
+CREATE INDEX idx_auctions_open ON auctions(ends_at) WHERE status = 'open';
+CREATE INDEX idx_auctions_unsettled ON auctions(closed_at) WHERE status = 'sold' AND order_id IS NULL;
+CREATE INDEX idx_auctions_farmer ON auctions(farmer_id, created_at);
+CREATE INDEX idx_auction_bids_auction ON auction_bids(auction_id, created_at);
+CREATE INDEX idx_auction_bids_bidder ON auction_bids(bidder_id, created_at);
+CREATE UNIQUE INDEX idx_agent_ledger_order_credit ON agent_commission_ledger(order_id) WHERE entry_type = 'credit';
 
 -- Create triggers for updated_at timestamps
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -108,6 +678,57 @@ CREATE TRIGGER update_orders_updated_at BEFORE UPDATE ON orders
 CREATE TRIGGER update_districts_updated_at BEFORE UPDATE ON districts
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE TRIGGER update_cart_items_updated_at BEFORE UPDATE ON cart_items
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_commission_rules_updated_at BEFORE UPDATE ON commission_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_claims_updated_at BEFORE UPDATE ON order_claims
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_assignments_updated_at BEFORE UPDATE ON order_assignments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_idempotency_keys_updated_at BEFORE UPDATE ON idempotency_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_order_expiry_rules_updated_at BEFORE UPDATE ON order_expiry_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_delivery_slots_updated_at BEFORE UPDATE ON delivery_slots
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_reviews_updated_at BEFORE UPDATE ON reviews
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_price_offers_updated_at BEFORE UPDATE ON price_offers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_preorders_updated_at BEFORE UPDATE ON preorders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscription_runs_updated_at BEFORE UPDATE ON subscription_runs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_promotions_updated_at BEFORE UPDATE ON promotions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_demand_posts_updated_at BEFORE UPDATE ON demand_posts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_demand_quotes_updated_at BEFORE UPDATE ON demand_quotes
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_auctions_updated_at BEFORE UPDATE ON auctions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
 -- Insert sample districts (Bangladesh)
 INSERT INTO districts (name) VALUES 
 ('Dhaka'),
@@ -136,6 +757,35 @@ ALTER TABLE users ENABLE ROW LEVEL SECURITY;
 ALTER TABLE products ENABLE ROW LEVEL SECURITY;
 ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE districts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE cart_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_status_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE commission_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_payouts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_commission_ledger ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_claims ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_assignments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE idempotency_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_expiry_rules ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_working_hours ENABLE ROW LEVEL SECURITY;
+ALTER TABLE agent_holidays ENABLE ROW LEVEL SECURITY;
+ALTER TABLE delivery_slots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_delivery_otps ENABLE ROW LEVEL SECURITY;
+ALTER TABLE delivery_proofs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_message_reads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE price_offers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE preorders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE subscription_runs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE promotion_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE demand_posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE demand_quotes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auctions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE auction_bids ENABLE ROW LEVEL SECURITY;
 
 -- Users can read their own data and admins can read all
 CREATE POLICY "Users can view own profile" ON users
@@ -170,3 +820,108 @@ CREATE POLICY "Authenticated users can view districts" ON districts
 -- Only admins can modify districts
 CREATE POLICY "Only admins can modify districts" ON districts
     FOR ALL USING ((SELECT role FROM users WHERE id = auth.uid()) = 'admin');
+
+-- Customers manage their own cart
+CREATE POLICY "Customers can manage own cart" ON cart_items
+    FOR ALL USING (customer_id = auth.uid());
+
+-- Agents can view their own ledger and payouts
+CREATE POLICY "Agents can view own ledger" ON agent_commission_ledger
+    FOR SELECT USING (agent_id = auth.uid());
+
+CREATE POLICY "Agents can view own payouts" ON agent_payouts
+    FOR SELECT USING (agent_id = auth.uid());
+
+-- Customers, farmers and agents can view claims on their orders
+CREATE POLICY "Users can view related claims" ON order_claims
+    FOR SELECT USING (customer_id = auth.uid() OR farmer_id = auth.uid() OR agent_id = auth.uid());
+
+-- Agents can view offers made to them
+CREATE POLICY "Agents can view own assignments" ON order_assignments
+    FOR SELECT USING (agent_id = auth.uid());
+
+-- Users can view their own notifications
+CREATE POLICY "Users can view own notifications" ON notifications
+    FOR SELECT USING (user_id = auth.uid());
+
+-- Agents can view their own working hours and holidays
+CREATE POLICY "Agents can view own working hours" ON agent_working_hours
+    FOR SELECT USING (agent_id = auth.uid());
+
+CREATE POLICY "Agents can view own holidays" ON agent_holidays
+    FOR SELECT USING (agent_id = auth.uid());
+
+-- Active delivery slots are readable by everyone
+CREATE POLICY "Anyone can view active delivery slots" ON delivery_slots
+    FOR SELECT USING (is_active = true);
+
+-- Customers, farmers and agents can view delivery proof of their orders
+-- (order_delivery_otps has no policy: only the API reads it)
+CREATE POLICY "Users can view related delivery proofs" ON delivery_proofs
+    FOR SELECT USING (
+        (SELECT customer_id FROM orders WHERE id = order_id) = auth.uid() OR
+        (SELECT agent_id FROM orders WHERE id = order_id) = auth.uid() OR
+        (SELECT p.farmer_id FROM orders o JOIN products p ON p.id = o.product_id WHERE o.id = order_id) = auth.uid() OR
+        (SELECT role FROM users WHERE id = auth.uid()) = 'admin'
+    );
+
+-- Parties to an order can read its message thread
+CREATE POLICY "Users can view related order messages" ON order_messages
+    FOR SELECT USING (
+        (SELECT customer_id FROM orders WHERE id = order_id) = auth.uid() OR
+        (SELECT agent_id FROM orders WHERE id = order_id) = auth.uid() OR
+        (SELECT p.farmer_id FROM orders o JOIN products p ON p.id = o.product_id WHERE o.id = order_id) = auth.uid() OR
+        (SELECT role FROM users WHERE id = auth.uid()) = 'admin'
+    );
+
+CREATE POLICY "Users can manage own message reads" ON order_message_reads
+    FOR ALL USING (user_id = auth.uid());
+
+-- Visible reviews are public; reviewers can always see their own
+CREATE POLICY "Anyone can view visible reviews" ON reviews
+    FOR SELECT USING (is_hidden = false OR reviewer_id = auth.uid());
+
+-- Customers and farmers can view the offers they negotiate
+CREATE POLICY "Users can view own price offers" ON price_offers
+    FOR SELECT USING (customer_id = auth.uid() OR farmer_id = auth.uid());
+
+-- Customers and farmers can view the pre-orders they are party to
+CREATE POLICY "Users can view own preorders" ON preorders
+    FOR SELECT USING (customer_id = auth.uid() OR farmer_id = auth.uid());
+
+-- Customers and farmers can view the subscriptions they are party to, and their delivery cycles
+CREATE POLICY "Users can view own subscriptions" ON subscriptions
+    FOR SELECT USING (customer_id = auth.uid() OR farmer_id = auth.uid());
+
+CREATE POLICY "Users can view own subscription runs" ON subscription_runs
+    FOR SELECT USING (
+        (SELECT customer_id FROM subscriptions WHERE id = subscription_id) = auth.uid() OR
+        (SELECT farmer_id FROM subscriptions WHERE id = subscription_id) = auth.uid()
+    );
+
+-- Promotions and redemptions are managed by admins through the API; customers see their own redemptions
+CREATE POLICY "Users can view own promotion redemptions" ON promotion_redemptions
+    FOR SELECT USING (customer_id = auth.uid());
+
+-- Open demand posts are visible to farmers; customers see their own posts and the quotes on them
+CREATE POLICY "Users can view open or own demand posts" ON demand_posts
+    FOR SELECT USING (
+        customer_id = auth.uid() OR
+        (status = 'open' AND (SELECT role FROM users WHERE id = auth.uid()) = 'farmer')
+    );
+
+CREATE POLICY "Users can view own demand quotes" ON demand_quotes
+    FOR SELECT USING (
+        farmer_id = auth.uid() OR
+        (SELECT customer_id FROM demand_posts WHERE id = demand_post_id) = auth.uid()
+    );
+
+-- Auctions are public; bids are visible to the bidder and the auction's farmer
+CREATE POLICY "Anyone can view auctions" ON auctions
+    FOR SELECT USING (true);
+
+CREATE POLICY "Users can view own or received auction bids" ON auction_bids
+    FOR SELECT USING (
+        bidder_id = auth.uid() OR
+        (SELECT farmer_id FROM auctions WHERE id = auction_id) = auth.uid()
+    );
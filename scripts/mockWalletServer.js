@@ -0,0 +1,121 @@
+/**
+ * Mock bKash/Nagad gateway for local development.
+ *
+ * Implements the small API the mobile wallet provider expects:
+ *   POST /:wallet/payments                    create payment, returns checkout_url
+ *   GET  /:wallet/checkout/:paymentId         checkout page with pay/fail buttons
+ *   POST /:wallet/checkout/:paymentId/:result complete (result = completed | failed)
+ *   POST /:wallet/payments/:paymentId/refund  refund a completed payment
+ *
+ * Completing a checkout sends a webhook to the API signed with <WALLET>_WEBHOOK_SECRET.
+ * Run with `npm run mock:wallet`.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+const { postJson } = require('../src/payments/httpClient');
+
+const PORT = process.env.MOCK_WALLET_PORT || 4010;
+const WALLETS = ['bkash', 'nagad'];
+
+const app = express();
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+const payments = new Map();
+
+// Only serve the wallets the provider knows about
+app.param('wallet', (req, res, next, wallet) => {
+    if (!WALLETS.includes(wallet)) {
+        return res.status(404).json({ error: 'Unknown wallet' });
+    }
+    next();
+});
+
+app.post('/:wallet/payments', (req, res) => {
+    const { merchant_invoice, amount, currency, callback_url } = req.body;
+
+    if (!req.headers['x-api-key']) {
+        return res.status(401).json({ error: 'Missing API key' });
+    }
+
+    const paymentId = `${req.params.wallet.toUpperCase()}${Date.now()}${uuidv4().slice(0, 6)}`;
+    payments.set(paymentId, {
+        payment_id: paymentId,
+        wallet: req.params.wallet,
+        merchant_invoice,
+        amount,
+        currency,
+        callback_url,
+        status: 'initiated'
+    });
+
+    res.status(201).json({
+        payment_id: paymentId,
+        checkout_url: `http://localhost:${PORT}/${req.params.wallet}/checkout/${paymentId}`
+    });
+});
+
+app.get('/:wallet/checkout/:paymentId', (req, res) => {
+    const payment = payments.get(req.params.paymentId);
+    if (!payment) {
+        return res.status(404).send('Payment not found');
+    }
+
+    const action = `/${req.params.wallet}/checkout/${payment.payment_id}`;
+    res.send(`
+        <h1>${req.params.wallet} mock checkout</h1>
+        <p>Amount: ${payment.amount} ${payment.currency}</p>
+        <form method="post" action="${action}/completed"><button>Pay</button></form>
+        <form method="post" action="${action}/failed"><button>Fail</button></form>
+    `);
+});
+
+app.post('/:wallet/checkout/:paymentId/:result', async (req, res) => {
+    const payment = payments.get(req.params.paymentId);
+    const { result } = req.params;
+
+    if (!payment || payment.status !== 'initiated') {
+        return res.status(404).json({ error: 'Payment not found or already completed' });
+    }
+
+    if (!['completed', 'failed'].includes(result)) {
+        return res.status(400).json({ error: 'Result must be completed or failed' });
+    }
+
+    payment.status = result;
+
+    const body = {
+        payment_id: payment.payment_id,
+        merchant_invoice: payment.merchant_invoice,
+        amount: payment.amount,
+        status: result,
+        completed_at: new Date().toISOString()
+    };
+    const secret = process.env[`${req.params.wallet.toUpperCase()}_WEBHOOK_SECRET`] || '';
+    const signature = crypto.createHmac('sha256', secret).update(JSON.stringify(body)).digest('hex');
+
+    try {
+        await postJson(payment.callback_url, body, { 'X-Signature': `sha256=${signature}` });
+        res.json({ status: result, webhook: 'delivered' });
+    } catch (error) {
+        res.status(502).json({ status: result, webhook: 'failed', error: error.message });
+    }
+});
+
+app.post('/:wallet/payments/:paymentId/refund', (req, res) => {
+    const payment = payments.get(req.params.paymentId);
+
+    if (!payment || payment.status !== 'completed') {
+        return res.status(404).json({ error: 'Payment not found or not completed' });
+    }
+
+    payment.refunded_amount = (payment.refunded_amount || 0) + Number(req.body.amount);
+    res.json({ payment_id: payment.payment_id, status: 'refunded', amount: req.body.amount });
+});
+
+app.listen(PORT, () => {
+    console.log(`💳 Mock wallet gateway running on port ${PORT} (${WALLETS.join(', ')})`);
+});
@@ -11,6 +11,16 @@ const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const productRoutes = require('./routes/productRoutes');
 const orderRoutes = require('./routes/orderRoutes');
+const cartRoutes = require('./routes/cartRoutes');
+const agentRoutes = require('./routes/agentRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const claimRoutes = require('./routes/claimRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const priceOfferRoutes = require('./routes/priceOfferRoutes');
+const preorderRoutes = require('./routes/preorderRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const demandRoutes = require('./routes/demandRoutes');
+const auctionRoutes = require('./routes/auctionRoutes');
 const districtRoutes = require('./routes/districtRoutes');
 const adminRoutes = require('./routes/adminRoutes');
 
@@ -18,6 +28,9 @@ const adminRoutes = require('./routes/adminRoutes');
 const { errorHandler } = require('./middlewares/errorHandler');
 const { authenticateUser } = require('./middlewares/auth');
 
+// Import background jobs
+const { startScheduler } = require('./jobs/scheduler');
+
 const app = express();
 
 // Security middleware
@@ -44,7 +57,13 @@ const limiter = rateLimit({
 app.use(limiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+    limit: '10mb',
+    // Keep the raw body for payment webhook signature verification
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Compression middleware
@@ -138,6 +157,16 @@ app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/users', authenticateUser, userRoutes);
 app.use('/api/v1/products', productRoutes);
 app.use('/api/v1/orders', authenticateUser, orderRoutes);
+app.use('/api/v1/cart', authenticateUser, cartRoutes);
+app.use('/api/v1/agents', authenticateUser, agentRoutes);
+app.use('/api/v1/payments', paymentRoutes);
+app.use('/api/v1/claims', authenticateUser, claimRoutes);
+app.use('/api/v1/reviews', reviewRoutes);
+app.use('/api/v1/offers', authenticateUser, priceOfferRoutes);
+app.use('/api/v1/preorders', authenticateUser, preorderRoutes);
+app.use('/api/v1/subscriptions', authenticateUser, subscriptionRoutes);
+app.use('/api/v1/demands', authenticateUser, demandRoutes);
+app.use('/api/v1/auctions', authenticateUser, auctionRoutes);
 app.use('/api/v1/districts', districtRoutes);
 app.use('/api/v1/admin', authenticateUser, adminRoutes);
 
@@ -159,6 +188,8 @@ app.listen(PORT, () => {
     console.log(`🚀 Krishoker Ponno API server running on port ${PORT}`);
     console.log(`📖 Environment: ${process.env.NODE_ENV || 'development'}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
+
+    startScheduler();
 });
 
 module.exports = app;
@@ -1,6 +1,11 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { catchAsync, AppError } = require('../middlewares/errorHandler');
 const { deleteImage } = require('../middlewares/uploadEnhanced');
+const { cancelOrderAndRestock } = require('../utils/orderCancellation');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { settleCashOnDelivery } = require('../payments');
+const { ORDER_EXPIRY_DEFAULTS } = require('../jobs/expireStaleOrders');
+const { normalizeCouponCode } = require('../utils/promotions');
 
 /**
  * User Management
@@ -378,6 +383,7 @@ const getAllOrders = catchAsync(async (req, res) => {
         agent_id,
         district_id,
         status,
+        payment_status,
         page = 1,
         limit = 20,
         sort_by = 'created_at',
@@ -389,6 +395,7 @@ const getAllOrders = catchAsync(async (req, res) => {
         .select(`
             *,
             product:products(*, farmer:users!farmer_id(id, name), district:districts(id, name)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
             customer:users!customer_id(id, name, phone),
             agent:users!agent_id(id, name, phone)
         `, { count: 'exact' });
@@ -406,6 +413,10 @@ const getAllOrders = catchAsync(async (req, res) => {
         query = query.eq('status', status);
     }
 
+    if (payment_status) {
+        query = query.eq('payment_status', payment_status);
+    }
+
     // Apply sorting
     const validSortFields = ['created_at', 'updated_at', 'total_price', 'status'];
     const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
@@ -441,7 +452,32 @@ const getAllOrders = catchAsync(async (req, res) => {
 // Update order
 const updateOrder = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const updateData = req.body;
+    const { cancellation_reason, ...updateData } = req.body;
+
+    const { data: existingOrder, error: fetchError } = await supabaseAdmin
+        .from('orders')
+        .select('status')
+        .eq('id', id)
+        .single();
+
+    if (fetchError || !existingOrder) {
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (updateData.status) {
+        // Stock has already been returned for cancelled orders
+        if (existingOrder.status === 'cancelled' && updateData.status !== 'cancelled') {
+            throw new AppError('Cancelled orders cannot be reopened', 400, 'INVALID_STATUS_TRANSITION');
+        }
+
+        // Cancellation goes through the restocking path
+        if (updateData.status === 'cancelled' && existingOrder.status !== 'cancelled') {
+            if (!cancellation_reason) {
+                throw new AppError('Cancellation reason is required', 400, 'CANCELLATION_REASON_REQUIRED');
+            }
+            await cancelOrderAndRestock({ orderId: id, actor: req.user, reason: cancellation_reason });
+        }
+    }
 
     const { data: order, error } = await supabaseAdmin
         .from('orders')
@@ -450,6 +486,7 @@ const updateOrder = catchAsync(async (req, res) => {
         .select(`
             *,
             product:products(*),
+            items:order_items(*, product:products(id, name, unit, image_url)),
             customer:users!customer_id(id, name, phone),
             agent:users!agent_id(id, name, phone)
         `)
@@ -459,6 +496,23 @@ const updateOrder = catchAsync(async (req, res) => {
         throw new AppError('Failed to update order', 500, 'UPDATE_FAILED');
     }
 
+    // Cancellations are recorded by cancelOrderAndRestock
+    const statusChanged = updateData.status && updateData.status !== existingOrder.status;
+    if (!(statusChanged && updateData.status === 'cancelled')) {
+        await recordOrderEvent({
+            orderId: id,
+            eventType: statusChanged ? 'status_change' : 'order_updated',
+            fromStatus: existingOrder.status,
+            toStatus: order.status,
+            actor: req.user,
+            metadata: { fields: Object.keys(updateData) }
+        });
+    }
+
+    if (statusChanged && updateData.status === 'delivered') {
+        await settleCashOnDelivery(id, req.user);
+    }
+
     res.status(200).json({
         success: true,
         message: 'Order updated successfully',
@@ -470,15 +524,19 @@ const updateOrder = catchAsync(async (req, res) => {
 const deleteOrder = catchAsync(async (req, res) => {
     const { id } = req.params;
 
-    const { error } = await supabaseAdmin
-        .from('orders')
-        .delete()
-        .eq('id', id);
+    // Restock (unless delivered) and delete in one transaction
+    const { data: deleted, error } = await supabaseAdmin.rpc('delete_order', {
+        p_order_id: id
+    });
 
     if (error) {
         throw new AppError('Failed to delete order', 500, 'DELETE_FAILED');
     }
 
+    if (!deleted) {
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
     res.status(200).json({
         success: true,
         message: 'Order deleted successfully'
@@ -610,6 +668,600 @@ const deleteDistrict = catchAsync(async (req, res) => {
     });
 });
 
+/**
+ * Commission Rule Management
+ */
+
+// Get all commission rules
+const getCommissionRules = catchAsync(async (req, res) => {
+    const { district_id, category, agent_id, is_active } = req.query;
+
+    let query = supabaseAdmin
+        .from('commission_rules')
+        .select(`
+            *,
+            district:districts(id, name),
+            agent:users!agent_id(id, name, phone)
+        `)
+        .order('priority', { ascending: false })
+        .order('created_at', { ascending: false });
+
+    // Apply filters
+    if (district_id) {
+        query = query.eq('district_id', district_id);
+    }
+
+    if (category) {
+        query = query.eq('category', category);
+    }
+
+    if (agent_id) {
+        query = query.eq('agent_id', agent_id);
+    }
+
+    if (is_active !== undefined) {
+        query = query.eq('is_active', is_active === 'true');
+    }
+
+    const { data: rules, error } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch commission rules', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Commission rules retrieved successfully',
+        data: { rules }
+    });
+});
+
+// Create commission rule
+const createCommissionRule = catchAsync(async (req, res) => {
+    const { data: rule, error } = await supabaseAdmin
+        .from('commission_rules')
+        .insert({
+            ...req.body,
+            created_by: req.user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to create commission rule', 500, 'CREATE_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Commission rule created successfully',
+        data: { rule }
+    });
+});
+
+// Update commission rule
+const updateCommissionRule = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const {
+        name,
+        rate,
+        district_id,
+        category,
+        agent_id,
+        priority,
+        valid_from,
+        valid_until,
+        is_active
+    } = req.body;
+
+    const { data: rule, error } = await supabaseAdmin
+        .from('commission_rules')
+        .update({
+            name,
+            rate,
+            district_id,
+            category,
+            agent_id,
+            priority,
+            valid_from,
+            valid_until,
+            is_active
+        })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        // e.g. valid_until no longer after valid_from
+        if (error.code === '23514') {
+            throw new AppError('Invalid commission rule settings', 400, 'INVALID_COMMISSION_RULE');
+        }
+        throw new AppError('Failed to update commission rule', 500, 'UPDATE_FAILED');
+    }
+
+    if (!rule) {
+        throw new AppError('Commission rule not found', 404, 'COMMISSION_RULE_NOT_FOUND');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Commission rule updated successfully',
+        data: { rule }
+    });
+});
+
+// Delete commission rule (orders keep their stored rate)
+const deleteCommissionRule = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const { error } = await supabaseAdmin
+        .from('commission_rules')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        throw new AppError('Failed to delete commission rule', 500, 'DELETE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Commission rule deleted successfully'
+    });
+});
+
+/**
+ * Promotion Management
+ */
+
+// Coupon codes are stored upper-case; a missing code makes the promotion automatic
+const withNormalizedCode = (body) => (
+    body.code ? { ...body, code: normalizeCouponCode(body.code) } : body
+);
+
+// Get all promotions (?automatic=true for those without a coupon code)
+const getPromotions = catchAsync(async (req, res) => {
+    const { district_id, category, product_id, farmer_id, is_active, automatic, code } = req.query;
+
+    let query = supabaseAdmin
+        .from('promotions')
+        .select(`
+            *,
+            district:districts(id, name),
+            product:products(id, name),
+            farmer:users!farmer_id(id, name, phone)
+        `)
+        .order('created_at', { ascending: false });
+
+    // Apply filters
+    if (district_id) {
+        query = query.eq('district_id', district_id);
+    }
+
+    if (category) {
+        query = query.eq('category', category);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    if (farmer_id) {
+        query = query.eq('farmer_id', farmer_id);
+    }
+
+    if (is_active !== undefined) {
+        query = query.eq('is_active', is_active === 'true');
+    }
+
+    if (automatic !== undefined) {
+        query = automatic === 'true' ? query.is('code', null) : query.not('code', 'is', null);
+    }
+
+    if (code) {
+        query = query.eq('code', normalizeCouponCode(code));
+    }
+
+    const { data: promotions, error } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch promotions', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Promotions retrieved successfully',
+        data: { promotions }
+    });
+});
+
+// Create promotion
+const createPromotion = catchAsync(async (req, res) => {
+    const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .insert({
+            ...withNormalizedCode(req.body),
+            created_by: req.user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new AppError('A promotion with this coupon code already exists', 409, 'PROMOTION_CODE_EXISTS');
+        }
+        if (error.code === '23514') {
+            throw new AppError('Invalid promotion settings', 400, 'INVALID_PROMOTION');
+        }
+        throw new AppError('Failed to create promotion', 500, 'CREATE_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Promotion created successfully',
+        data: { promotion }
+    });
+});
+
+// Update promotion (orders keep the discount they were given)
+const updatePromotion = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    // used_count is kept by place_order and release_promotion, never set directly
+    const {
+        name,
+        code,
+        description,
+        discount_type,
+        discount_value,
+        max_discount,
+        min_order_amount,
+        district_id,
+        category,
+        product_id,
+        farmer_id,
+        usage_limit,
+        per_user_limit,
+        commission_basis,
+        valid_from,
+        valid_until,
+        is_active
+    } = req.body;
+
+    const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .update(withNormalizedCode({
+            name,
+            code,
+            description,
+            discount_type,
+            discount_value,
+            max_discount,
+            min_order_amount,
+            district_id,
+            category,
+            product_id,
+            farmer_id,
+            usage_limit,
+            per_user_limit,
+            commission_basis,
+            valid_from,
+            valid_until,
+            is_active
+        }))
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new AppError('A promotion with this coupon code already exists', 409, 'PROMOTION_CODE_EXISTS');
+        }
+        if (error.code === '23514') {
+            throw new AppError('Invalid promotion settings', 400, 'INVALID_PROMOTION');
+        }
+        throw new AppError('Failed to update promotion', 500, 'UPDATE_FAILED');
+    }
+
+    if (!promotion) {
+        throw new AppError('Promotion not found', 404, 'PROMOTION_NOT_FOUND');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Promotion updated successfully',
+        data: { promotion }
+    });
+});
+
+// Delete promotion (redeemed promotions are kept for reporting; deactivate them instead)
+const deletePromotion = catchAsync(async (req, res) => {
+    const { id } = req.params;
+
+    const { error } = await supabaseAdmin
+        .from('promotions')
+        .delete()
+        .eq('id', id);
+
+    if (error) {
+        if (error.code === '23503') {
+            throw new AppError('Promotion has been redeemed; deactivate it instead', 409, 'PROMOTION_REDEEMED');
+        }
+        throw new AppError('Failed to delete promotion', 500, 'DELETE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Promotion deleted successfully'
+    });
+});
+
+/**
+ * Agent Payout Management
+ */
+
+// Get agent payouts
+const getPayouts = catchAsync(async (req, res) => {
+    const { agent_id, page = 1, limit = 20 } = req.query;
+
+    let query = supabaseAdmin
+        .from('agent_payouts')
+        .select(`
+            *,
+            agent:users!agent_id(id, name, phone),
+            paid_by_user:users!paid_by(id, name)
+        `, { count: 'exact' });
+
+    if (agent_id) {
+        query = query.eq('agent_id', agent_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('paid_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: payouts, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch payouts', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Payouts retrieved successfully',
+        data: {
+            payouts,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+// Record payouts for one or more agents (all or nothing)
+const createPayouts = catchAsync(async (req, res) => {
+    const { payouts } = req.body;
+
+    const { data: createdPayouts, error } = await supabaseAdmin.rpc('record_agent_payouts', {
+        p_payouts: payouts,
+        p_paid_by: req.user.id
+    });
+
+    if (error) {
+        if (error.message === 'INSUFFICIENT_BALANCE') {
+            throw new AppError(`Payout exceeds commission balance for agent ${error.details}`, 400, 'INSUFFICIENT_BALANCE');
+        }
+        throw new AppError('Failed to record payouts', 500, 'PAYOUT_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Payouts recorded successfully',
+        data: { payouts: createdPayouts }
+    });
+});
+
+/**
+ * Order Expiry Management
+ */
+
+// Get order expiry deadlines per district (with the defaults they fall back to)
+const getOrderExpiryRules = catchAsync(async (req, res) => {
+    const { data: districts, error } = await supabaseAdmin
+        .from('districts')
+        .select('id, name, rule:order_expiry_rules(booked_expiry_hours, confirmed_expiry_hours, updated_at)')
+        .order('name');
+
+    if (error) {
+        throw new AppError('Failed to fetch order expiry rules', 500, 'FETCH_FAILED');
+    }
+
+    const rules = districts.map((district) => {
+        const rule = Array.isArray(district.rule) ? district.rule[0] : district.rule;
+
+        return {
+            district_id: district.id,
+            district_name: district.name,
+            booked_expiry_hours: rule?.booked_expiry_hours ?? null,
+            confirmed_expiry_hours: rule?.confirmed_expiry_hours ?? null,
+            effective_booked_expiry_hours: rule?.booked_expiry_hours ?? ORDER_EXPIRY_DEFAULTS.booked_expiry_hours,
+            effective_confirmed_expiry_hours: rule?.confirmed_expiry_hours ?? ORDER_EXPIRY_DEFAULTS.confirmed_expiry_hours,
+            updated_at: rule?.updated_at ?? null
+        };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Order expiry rules retrieved successfully',
+        data: {
+            defaults: ORDER_EXPIRY_DEFAULTS,
+            rules
+        }
+    });
+});
+
+// Set order expiry deadlines for a district (null falls back to the default)
+const updateOrderExpiryRule = catchAsync(async (req, res) => {
+    const { districtId } = req.params;
+    const { booked_expiry_hours, confirmed_expiry_hours } = req.body;
+
+    const { data: rule, error } = await supabaseAdmin
+        .from('order_expiry_rules')
+        .upsert({
+            district_id: districtId,
+            booked_expiry_hours,
+            confirmed_expiry_hours,
+            updated_by: req.user.id
+        }, { onConflict: 'district_id' })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23503') {
+            throw new AppError('District not found', 404, 'DISTRICT_NOT_FOUND');
+        }
+        throw new AppError('Failed to update order expiry rule', 500, 'UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Order expiry rule updated successfully',
+        data: { rule }
+    });
+});
+
+// Remove a district's deadlines so it uses the defaults again
+const deleteOrderExpiryRule = catchAsync(async (req, res) => {
+    const { districtId } = req.params;
+
+    const { error } = await supabaseAdmin
+        .from('order_expiry_rules')
+        .delete()
+        .eq('district_id', districtId);
+
+    if (error) {
+        throw new AppError('Failed to delete order expiry rule', 500, 'DELETE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Order expiry rule deleted successfully'
+    });
+});
+
+/**
+ * Review Management
+ */
+
+// Get all reviews, hidden ones included
+const getAllReviews = catchAsync(async (req, res) => {
+    const {
+        target_type,
+        product_id,
+        farmer_id,
+        agent_id,
+        is_hidden,
+        max_rating,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('reviews')
+        .select(`
+            *,
+            reviewer:users!reviewer_id(id, name, phone),
+            product:products(id, name),
+            farmer:users!farmer_id(id, name),
+            agent:users!agent_id(id, name),
+            moderator:users!moderated_by(id, name)
+        `, { count: 'exact' });
+
+    if (target_type) {
+        query = query.eq('target_type', target_type);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    if (farmer_id) {
+        query = query.eq('farmer_id', farmer_id);
+    }
+
+    if (agent_id) {
+        query = query.eq('agent_id', agent_id);
+    }
+
+    if (is_hidden !== undefined) {
+        query = query.eq('is_hidden', is_hidden === 'true');
+    }
+
+    if (max_rating) {
+        query = query.lte('rating', parseInt(max_rating));
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: reviews, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch reviews', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Reviews retrieved successfully',
+        data: {
+            reviews,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+// Hide an abusive review (or show it again); hidden reviews leave the rating averages
+const moderateReview = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { is_hidden, reason } = req.body;
+
+    const { data: review, error } = await supabaseAdmin
+        .from('reviews')
+        .update({
+            is_hidden,
+            hidden_reason: is_hidden ? reason : null,
+            moderated_by: req.user.id,
+            moderated_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to moderate review', 500, 'UPDATE_FAILED');
+    }
+
+    if (!review) {
+        throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: is_hidden ? 'Review hidden successfully' : 'Review restored successfully',
+        data: { review }
+    });
+});
+
 /**
  * Analytics and Statistics
  */
@@ -674,6 +1326,21 @@ const getOrderStats = catchAsync(async (req, res) => {
     }
 });
 
+// Get promotion usage statistics
+const getPromotionStats = catchAsync(async (req, res) => {
+    try {
+        const { data: stats } = await supabaseAdmin.rpc('get_admin_promotion_stats');
+
+        res.status(200).json({
+            success: true,
+            message: 'Promotion statistics retrieved successfully',
+            data: { stats: stats || {} }
+        });
+    } catch (error) {
+        throw new AppError('Failed to fetch promotion statistics', 500, 'STATS_FETCH_FAILED');
+    }
+});
+
 module.exports = {
     // User management
     getAllUsers,
@@ -698,9 +1365,35 @@ module.exports = {
     updateDistrict,
     deleteDistrict,
     
+    // Commission rules
+    getCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule,
+    
+    // Promotions
+    getPromotions,
+    createPromotion,
+    updatePromotion,
+    deletePromotion,
+    
+    // Agent payouts
+    getPayouts,
+    createPayouts,
+    
+    // Order expiry
+    getOrderExpiryRules,
+    updateOrderExpiryRule,
+    deleteOrderExpiryRule,
+    
+    // Review moderation
+    getAllReviews,
+    moderateReview,
+    
     // Analytics
     getOverviewStats,
     getUserStats,
     getProductStats,
-    getOrderStats
+    getOrderStats,
+    getPromotionStats
 };
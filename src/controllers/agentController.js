@@ -0,0 +1,129 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { getAgentAvailability } = require('../utils/agentAvailability');
+
+/**
+ * Get current agent's earnings (balance, pending vs. settled, per-period breakdown)
+ */
+const getMyEarnings = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { period = 'month', from, to } = req.query;
+
+    const validPeriods = ['day', 'week', 'month'];
+    if (!validPeriods.includes(period)) {
+        throw new AppError('Period must be day, week or month', 400, 'INVALID_PERIOD');
+    }
+
+    const { data: earnings, error } = await supabaseAdmin.rpc('get_agent_earnings', {
+        agent_id: user.id,
+        period,
+        from_date: from || null,
+        to_date: to || null
+    });
+
+    if (error) {
+        throw new AppError('Failed to fetch earnings', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Earnings retrieved successfully',
+        data: { earnings: earnings || {} }
+    });
+});
+
+/**
+ * Get current agent's commission ledger entries
+ */
+const getMyLedger = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { entry_type, page = 1, limit = 20 } = req.query;
+
+    let query = supabaseAdmin
+        .from('agent_commission_ledger')
+        .select(`
+            *,
+            order:orders(id, status, total_price),
+            payout:agent_payouts(id, method, reference, paid_at)
+        `, { count: 'exact' })
+        .eq('agent_id', user.id);
+
+    if (entry_type) {
+        query = query.eq('entry_type', entry_type);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: entries, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch ledger', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Ledger retrieved successfully',
+        data: {
+            entries,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get current agent's availability: weekly working hours, upcoming holidays and capacity
+ */
+const getMyAvailability = catchAsync(async (req, res) => {
+    const availability = await getAgentAvailability(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Availability retrieved successfully',
+        data: { availability }
+    });
+});
+
+/**
+ * Update current agent's availability. Working hours and holidays replace the
+ * existing lists; max_concurrent_orders null removes the limit.
+ */
+const updateMyAvailability = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { working_hours, holidays, max_concurrent_orders } = req.body;
+
+    const { error } = await supabaseAdmin.rpc('set_agent_availability', {
+        p_agent_id: user.id,
+        p_working_hours: working_hours || null,
+        p_holidays: holidays || null,
+        p_max_concurrent_orders: max_concurrent_orders === undefined ? null : max_concurrent_orders,
+        p_update_capacity: max_concurrent_orders !== undefined
+    });
+
+    if (error) {
+        throw new AppError('Failed to update availability', 500, 'UPDATE_FAILED');
+    }
+
+    const availability = await getAgentAvailability(user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Availability updated successfully',
+        data: { availability }
+    });
+});
+
+module.exports = {
+    getMyEarnings,
+    getMyLedger,
+    getMyAvailability,
+    updateMyAvailability
+};
@@ -0,0 +1,358 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts } = require('../utils/orderPlacement');
+const { notifyUser } = require('../utils/notifications');
+
+// A bid this close to the end pushes the end back to this many minutes from the bid
+const AUCTION_EXTENSION_MINUTES = parseInt(process.env.AUCTION_EXTENSION_MINUTES) || 5;
+
+const AUCTION_SELECT = `
+    *,
+    product:products(id, name, unit, category, image_url, district_id),
+    farmer:users!farmer_id(id, name, rating_average, rating_count),
+    order:orders(id, status, total_price)
+`;
+
+/**
+ * Lowest bid the auction accepts next: the start price, then the highest bid plus the increment
+ */
+const getMinimumBid = (auction) => {
+    return auction.current_price === null
+        ? Number(auction.start_price)
+        : Number(auction.current_price) + Number(auction.bid_increment);
+};
+
+/**
+ * Whether the user listed the auction or is an admin, and so may see who is bidding
+ */
+const canSeeBidders = (auction, user) => user.role === 'admin' || auction.farmer_id === user.id;
+
+/**
+ * Shape an auction for the user: bidders stay anonymous to other customers, who only
+ * learn whether they are the one leading
+ */
+const presentAuction = (auction, user) => {
+    const { highest_bidder_id, order, ...rest } = auction;
+    const isParty = canSeeBidders(auction, user) || highest_bidder_id === user.id;
+
+    return {
+        ...rest,
+        ...(canSeeBidders(auction, user) ? { highest_bidder_id } : {}),
+        ...(isParty && order !== undefined ? { order } : {}),
+        reserve_met: auction.current_price !== null && Number(auction.current_price) >= Number(auction.reserve_price),
+        minimum_bid: auction.status === 'open' ? getMinimumBid(auction) : null,
+        is_leading: highest_bidder_id === user.id
+    };
+};
+
+/**
+ * Fetch an auction, or throw 404
+ */
+const getAuctionById = async (auctionId, select = '*') => {
+    const { data: auction, error } = await supabaseAdmin
+        .from('auctions')
+        .select(select)
+        .eq('id', auctionId)
+        .single();
+
+    if (error || !auction) {
+        throw new AppError('Auction not found', 404, 'AUCTION_NOT_FOUND');
+    }
+
+    return auction;
+};
+
+/**
+ * List a lot of one of the farmer's products for auction (Farmer only).
+ * The lot's quantity is taken out of stock until the auction closes or is cancelled.
+ */
+const createAuction = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        product_id,
+        quantity,
+        reserve_price,
+        start_price,
+        bid_increment,
+        starts_at,
+        ends_at
+    } = req.body;
+
+    const [product] = await loadOrderProducts([product_id]);
+
+    if (product.farmer_id !== user.id) {
+        throw new AppError('You can only auction your own products', 403, 'ACCESS_DENIED');
+    }
+
+    const startsAt = starts_at ? new Date(starts_at) : new Date();
+    if (new Date(ends_at) <= startsAt) {
+        throw new AppError('Auction must end after it starts', 400, 'INVALID_AUCTION_WINDOW');
+    }
+
+    const { data: auctionId, error } = await supabaseAdmin.rpc('create_auction', {
+        p_auction: {
+            product_id: product.id,
+            farmer_id: user.id,
+            quantity,
+            reserve_price,
+            start_price: start_price || reserve_price,
+            bid_increment,
+            starts_at: startsAt.toISOString(),
+            ends_at
+        }
+    });
+
+    if (error) {
+        if (error.message === 'INSUFFICIENT_QUANTITY') {
+            throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+        }
+        throw new AppError('Failed to create auction', 500, 'CREATE_FAILED');
+    }
+
+    const auction = await getAuctionById(auctionId, AUCTION_SELECT);
+
+    res.status(201).json({
+        success: true,
+        message: 'Auction created successfully',
+        data: { auction: presentAuction(auction, user) }
+    });
+});
+
+/**
+ * Get auctions, soonest ending first. `live=true` limits to auctions taking bids right now;
+ * `mine=true` gives farmers their own auctions and customers those they have bid on.
+ */
+const getAuctions = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        product_id,
+        farmer_id,
+        live,
+        mine,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('auctions')
+        .select(AUCTION_SELECT, { count: 'exact' });
+
+    if (mine === 'true') {
+        if (user.role === 'farmer') {
+            query = query.eq('farmer_id', user.id);
+        } else {
+            const { data: bids, error: bidsError } = await supabaseAdmin
+                .from('auction_bids')
+                .select('auction_id')
+                .eq('bidder_id', user.id);
+
+            if (bidsError) {
+                throw new AppError('Failed to fetch auctions', 500, 'FETCH_FAILED');
+            }
+
+            query = query.in('id', [...new Set(bids.map((bid) => bid.auction_id))]);
+        }
+    }
+
+    if (live === 'true') {
+        const now = new Date().toISOString();
+        query = query
+            .eq('status', 'open')
+            .lte('starts_at', now)
+            .gt('ends_at', now);
+    } else if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    if (farmer_id) {
+        query = query.eq('farmer_id', farmer_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('ends_at', { ascending: true })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: auctions, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch auctions', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Auctions retrieved successfully',
+        data: {
+            auctions: auctions.map((auction) => presentAuction(auction, user)),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get single auction with the next acceptable bid
+ */
+const getAuction = catchAsync(async (req, res) => {
+    const auction = await getAuctionById(req.params.id, AUCTION_SELECT);
+
+    res.status(200).json({
+        success: true,
+        message: 'Auction retrieved successfully',
+        data: { auction: presentAuction(auction, req.user) }
+    });
+});
+
+/**
+ * Get an auction's bid history, newest first. Only the farmer and admins see who bid;
+ * everyone else sees amounts and which bids were their own.
+ */
+const getAuctionBids = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { page = 1, limit = 50 } = req.query;
+    const auction = await getAuctionById(req.params.id);
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    const { data: bids, error, count } = await supabaseAdmin
+        .from('auction_bids')
+        .select('id, bidder_id, unit_price, created_at, bidder:users!bidder_id(id, name)', { count: 'exact' })
+        .eq('auction_id', auction.id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+        throw new AppError('Failed to fetch bids', 500, 'FETCH_FAILED');
+    }
+
+    const showBidders = canSeeBidders(auction, user);
+
+    res.status(200).json({
+        success: true,
+        message: 'Bids retrieved successfully',
+        data: {
+            bids: bids.map(({ bidder_id, bidder, ...bid }) => ({
+                ...bid,
+                ...(showBidders ? { bidder } : {}),
+                is_mine: bidder_id === user.id
+            })),
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Bid a price per unit for the whole lot (Customer only). Bids are checked and recorded by
+ * place_auction_bid under the auction's row lock; a bid in the closing minutes extends the auction.
+ * The leader it overtook, as of that lock, is told the amount that now leads.
+ */
+const placeBid = catchAsync(async (req, res) => {
+    const user = req.user;
+    const unitPrice = Number(req.body.unit_price);
+    const previous = await getAuctionById(req.params.id);
+
+    const { data: bid, error } = await supabaseAdmin.rpc('place_auction_bid', {
+        p_auction_id: previous.id,
+        p_bidder_id: user.id,
+        p_unit_price: unitPrice,
+        p_extension_minutes: AUCTION_EXTENSION_MINUTES
+    }).single();
+
+    if (error) {
+        if (error.message === 'AUCTION_CLOSED') {
+            throw new AppError('Auction is no longer taking bids', 400, 'AUCTION_CLOSED');
+        }
+        if (error.message === 'AUCTION_NOT_STARTED') {
+            throw new AppError('Auction has not started yet', 400, 'AUCTION_NOT_STARTED');
+        }
+        // Another bid may have raised the price since the customer last looked
+        if (error.message === 'BID_TOO_LOW') {
+            throw new AppError(`Bid must be at least ${error.details} per unit`, 400, 'BID_TOO_LOW');
+        }
+        throw new AppError('Failed to place bid', 500, 'BID_FAILED');
+    }
+
+    const { auction } = bid;
+
+    if (bid.outbid_bidder_id) {
+        await notifyUser({
+            userId: bid.outbid_bidder_id,
+            type: 'auction_outbid',
+            title: {
+                en: 'You have been outbid',
+                bn: 'আপনার দরের চেয়ে বেশি দর পড়েছে'
+            },
+            message: {
+                en: `Someone bid ${unitPrice} per unit on an auction you bid ${bid.outbid_unit_price} on. Bid ${bid.next_minimum_bid} or more to lead again.`,
+                bn: `আপনি যে নিলামে প্রতি একক ${bid.outbid_unit_price} দর দিয়েছিলেন সেখানে কেউ ${unitPrice} দর দিয়েছেন। আবার এগিয়ে থাকতে ${bid.next_minimum_bid} বা তার বেশি দর দিন।`
+            },
+            data: { auction_id: auction.id }
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Bid placed successfully',
+        data: {
+            auction: presentAuction(auction, user),
+            extended: auction.extension_count > previous.extension_count
+        }
+    });
+});
+
+/**
+ * Cancel an open auction that has no bids; the lot goes back into stock (Farmer who listed it or Admin)
+ */
+const cancelAuction = catchAsync(async (req, res) => {
+    const user = req.user;
+    const current = await getAuctionById(req.params.id);
+
+    if (user.role !== 'admin' && current.farmer_id !== user.id) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    const { data: cancelled, error } = await supabaseAdmin.rpc('cancel_auction', {
+        p_auction_id: current.id,
+        p_reason: req.body.reason || null
+    });
+
+    if (error) {
+        throw new AppError('Failed to cancel auction', 500, 'UPDATE_FAILED');
+    }
+
+    if (!cancelled) {
+        throw new AppError('Only open auctions without bids can be cancelled', 400, 'AUCTION_NOT_CANCELLABLE');
+    }
+
+    const auction = await getAuctionById(current.id, AUCTION_SELECT);
+
+    res.status(200).json({
+        success: true,
+        message: 'Auction cancelled successfully',
+        data: { auction: presentAuction(auction, user) }
+    });
+});
+
+module.exports = {
+    createAuction,
+    getAuctions,
+    getAuction,
+    getAuctionBids,
+    placeBid,
+    cancelAuction
+};
@@ -0,0 +1,266 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, placeOrder } = require('../utils/orderPlacement');
+const { getTierUnitPrice } = require('../utils/priceTiers');
+
+/**
+ * Fetch an active product for cart operations
+ */
+const getCartProduct = async (productId) => {
+    const { data: product, error } = await supabaseAdmin
+        .from('products')
+        .select('id, name, farmer_id, available_quantity')
+        .eq('id', productId)
+        .eq('is_active', true)
+        .single();
+
+    if (error || !product) {
+        throw new AppError('Product not found or inactive', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    return product;
+};
+
+/**
+ * Get current user's cart
+ */
+const getCart = catchAsync(async (req, res) => {
+    const user = req.user;
+
+    const { data: cartItems, error } = await supabaseAdmin
+        .from('cart_items')
+        .select(`
+            *,
+            product:products(id, name, price, price_tiers, unit, image_url, available_quantity, is_active, district_id,
+                farmer:users!farmer_id(id, name))
+        `)
+        .eq('customer_id', user.id)
+        .order('created_at');
+
+    if (error) {
+        throw new AppError('Failed to fetch cart', 500, 'FETCH_FAILED');
+    }
+
+    // Quantities that reach a wholesale tier are priced at it, as they will be at checkout
+    const items = cartItems.map((item) => {
+        const unitPrice = getTierUnitPrice(item.product, Number(item.quantity));
+        return {
+            ...item,
+            unit_price: unitPrice,
+            subtotal: unitPrice * item.quantity,
+            is_available: item.product.is_active && item.product.available_quantity >= item.quantity
+        };
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Cart retrieved successfully',
+        data: {
+            items,
+            total_price: items.reduce((sum, item) => sum + item.subtotal, 0)
+        }
+    });
+});
+
+/**
+ * Add product to cart (adds to the quantity if already in cart).
+ * A cart checks out as one order, so it only holds one farmer's products.
+ */
+const addToCart = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { product_id, quantity } = req.body;
+
+    const product = await getCartProduct(product_id);
+
+    const { data: otherItems, error: otherError } = await supabaseAdmin
+        .from('cart_items')
+        .select('product:products(farmer_id)')
+        .eq('customer_id', user.id)
+        .neq('product_id', product_id);
+
+    if (otherError) {
+        throw new AppError('Failed to fetch cart', 500, 'FETCH_FAILED');
+    }
+
+    if (otherItems.some((item) => item.product.farmer_id !== product.farmer_id)) {
+        throw new AppError('Your cart has products from another farmer; check out or clear it first', 409, 'MULTIPLE_FARMERS');
+    }
+
+    const { data: existingItem } = await supabaseAdmin
+        .from('cart_items')
+        .select('quantity')
+        .eq('customer_id', user.id)
+        .eq('product_id', product_id)
+        .maybeSingle();
+
+    const newQuantity = (existingItem ? Number(existingItem.quantity) : 0) + quantity;
+
+    if (product.available_quantity < newQuantity) {
+        throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+    }
+
+    const { data: cartItem, error } = await supabaseAdmin
+        .from('cart_items')
+        .upsert({
+            customer_id: user.id,
+            product_id,
+            quantity: newQuantity
+        }, { onConflict: 'customer_id,product_id' })
+        .select()
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to add item to cart', 500, 'CART_UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Item added to cart successfully',
+        data: { item: cartItem }
+    });
+});
+
+/**
+ * Update quantity of a product in cart
+ */
+const updateCartItem = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { productId } = req.params;
+    const { quantity } = req.body;
+
+    const product = await getCartProduct(productId);
+
+    if (product.available_quantity < quantity) {
+        throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+    }
+
+    const { data: cartItem, error } = await supabaseAdmin
+        .from('cart_items')
+        .update({ quantity })
+        .eq('customer_id', user.id)
+        .eq('product_id', productId)
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to update cart item', 500, 'CART_UPDATE_FAILED');
+    }
+
+    if (!cartItem) {
+        throw new AppError('Item not found in cart', 404, 'CART_ITEM_NOT_FOUND');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Cart item updated successfully',
+        data: { item: cartItem }
+    });
+});
+
+/**
+ * Remove product from cart
+ */
+const removeCartItem = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { productId } = req.params;
+
+    const { error } = await supabaseAdmin
+        .from('cart_items')
+        .delete()
+        .eq('customer_id', user.id)
+        .eq('product_id', productId);
+
+    if (error) {
+        throw new AppError('Failed to remove cart item', 500, 'CART_UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Item removed from cart successfully'
+    });
+});
+
+/**
+ * Remove all items from cart
+ */
+const clearCart = catchAsync(async (req, res) => {
+    const user = req.user;
+
+    const { error } = await supabaseAdmin
+        .from('cart_items')
+        .delete()
+        .eq('customer_id', user.id);
+
+    if (error) {
+        throw new AppError('Failed to clear cart', 500, 'CART_UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Cart cleared successfully'
+    });
+});
+
+/**
+ * Checkout cart into a single order with one line item per product
+ */
+const checkout = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { agent_id, delivery_slot_id, delivery_address, customer_notes, coupon_code } = req.body;
+
+    const { data: cartItems, error } = await supabaseAdmin
+        .from('cart_items')
+        .select('product_id, quantity')
+        .eq('customer_id', user.id)
+        .order('created_at');
+
+    if (error) {
+        throw new AppError('Failed to fetch cart', 500, 'FETCH_FAILED');
+    }
+
+    if (!cartItems.length) {
+        throw new AppError('Cart is empty', 400, 'CART_EMPTY');
+    }
+
+    const products = await loadOrderProducts(cartItems.map((item) => item.product_id));
+
+    const order = await placeOrder({
+        customerId: user.id,
+        actor: user,
+        lines: cartItems.map((item, index) => ({
+            product: products[index],
+            quantity: Number(item.quantity)
+        })),
+        agentId: agent_id,
+        deliverySlotId: delivery_slot_id,
+        deliveryAddress: delivery_address,
+        customerNotes: customer_notes,
+        couponCode: coupon_code
+    });
+
+    // Only the ordered products leave the cart; items added during checkout stay
+    const { error: clearError } = await supabaseAdmin
+        .from('cart_items')
+        .delete()
+        .eq('customer_id', user.id)
+        .in('product_id', cartItems.map((item) => item.product_id));
+
+    if (clearError) {
+        console.error('Failed to clear cart after checkout:', clearError);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Order created successfully',
+        data: { order }
+    });
+});
+
+module.exports = {
+    getCart,
+    addToCart,
+    updateCartItem,
+    removeCartItem,
+    clearCart,
+    checkout
+};
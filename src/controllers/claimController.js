@@ -0,0 +1,346 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { deleteImage } = require('../middlewares/uploadEnhanced');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { refundOrderPayment } = require('../payments');
+
+const CLAIM_SELECT = `
+    *,
+    order:orders(id, status, total_price, refunded_amount, payment_status, items:order_items(*, product:products(id, name, unit))),
+    customer:users!customer_id(id, name, phone),
+    farmer:users!farmer_id(id, name, phone),
+    agent:users!agent_id(id, name, phone)
+`;
+
+/**
+ * Whether a user is a party to a claim
+ */
+const hasClaimAccess = (claim, user) => {
+    return user.role === 'admin' ||
+        claim.customer_id === user.id ||
+        claim.farmer_id === user.id ||
+        claim.agent_id === user.id;
+};
+
+/**
+ * Fetch a claim the user is allowed to view, or throw 404/403
+ */
+const getAccessibleClaim = async (claimId, user, select = '*') => {
+    const { data: claim, error } = await supabaseAdmin
+        .from('order_claims')
+        .select(select)
+        .eq('id', claimId)
+        .single();
+
+    if (error || !claim) {
+        throw new AppError('Claim not found', 404, 'CLAIM_NOT_FOUND');
+    }
+
+    if (!hasClaimAccess(claim, user)) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    return claim;
+};
+
+/**
+ * Open a return/refund claim on a delivered order (Customer only)
+ */
+const createClaim = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { reason, description } = req.body;
+    const photoUrls = req.imageUrls || [];
+
+    // Uploaded photos are useless if the claim is not created
+    const discardPhotos = () => Promise.all(photoUrls.map((url) => deleteImage(url)));
+
+    const { data: order, error: orderError } = await supabaseAdmin
+        .from('orders')
+        .select('id, status, customer_id, agent_id, product:products(farmer_id)')
+        .eq('id', id)
+        .single();
+
+    if (orderError || !order) {
+        await discardPhotos();
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && order.customer_id !== user.id) {
+        await discardPhotos();
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    if (order.status !== 'delivered') {
+        await discardPhotos();
+        throw new AppError('Claims can only be opened on delivered orders', 400, 'ORDER_NOT_DELIVERED');
+    }
+
+    const { data: claim, error } = await supabaseAdmin
+        .from('order_claims')
+        .insert({
+            order_id: order.id,
+            customer_id: order.customer_id,
+            farmer_id: order.product.farmer_id,
+            agent_id: order.agent_id,
+            reason,
+            description,
+            photo_urls: photoUrls
+        })
+        .select(CLAIM_SELECT)
+        .single();
+
+    if (error) {
+        await discardPhotos();
+        if (error.code === '23505') {
+            throw new AppError('This order already has an open claim', 409, 'CLAIM_ALREADY_OPEN');
+        }
+        throw new AppError('Failed to create claim', 500, 'CLAIM_CREATE_FAILED');
+    }
+
+    await recordOrderEvent({
+        orderId: order.id,
+        eventType: 'claim_updated',
+        actor: user,
+        note: description,
+        metadata: { claim_id: claim.id, status: claim.status, reason }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Claim submitted successfully',
+        data: { claim }
+    });
+});
+
+/**
+ * Get claims based on user role
+ */
+const getMyClaims = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        order_id,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('order_claims')
+        .select(CLAIM_SELECT, { count: 'exact' });
+
+    // Apply role-based filtering
+    switch (user.role) {
+        case 'customer':
+            query = query.eq('customer_id', user.id);
+            break;
+        case 'agent':
+            query = query.eq('agent_id', user.id);
+            break;
+        case 'farmer':
+            query = query.eq('farmer_id', user.id);
+            break;
+        case 'admin':
+            // Admin can see all claims
+            break;
+        default:
+            throw new AppError('Invalid user role', 403, 'INVALID_ROLE');
+    }
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (order_id) {
+        query = query.eq('order_id', order_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: claims, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch claims', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Claims retrieved successfully',
+        data: {
+            claims,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get single claim by ID
+ */
+const getClaim = catchAsync(async (req, res) => {
+    const claim = await getAccessibleClaim(req.params.id, req.user, CLAIM_SELECT);
+
+    res.status(200).json({
+        success: true,
+        message: 'Claim retrieved successfully',
+        data: { claim }
+    });
+});
+
+/**
+ * Respond to a claim (Farmer/Agent on the order)
+ */
+const respondToClaim = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { response } = req.body;
+
+    const claim = await getAccessibleClaim(id, user);
+
+    if (user.role !== 'admin' && claim.farmer_id !== user.id && claim.agent_id !== user.id) {
+        throw new AppError('Only the farmer or agent on the order can respond', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    // Only claims still awaiting a decision can be answered
+    const { data: updated, error } = await supabaseAdmin
+        .from('order_claims')
+        .update({
+            status: 'responded',
+            response,
+            responded_by: user.id,
+            responded_at: new Date().toISOString()
+        })
+        .eq('id', id)
+        .in('status', ['open', 'responded'])
+        .select(CLAIM_SELECT);
+
+    if (error) {
+        throw new AppError('Failed to respond to claim', 500, 'UPDATE_FAILED');
+    }
+
+    if (!updated.length) {
+        throw new AppError('Claim has already been resolved', 400, 'CLAIM_NOT_OPEN');
+    }
+
+    await recordOrderEvent({
+        orderId: claim.order_id,
+        eventType: 'claim_updated',
+        actor: user,
+        note: response,
+        metadata: { claim_id: id, status: 'responded' }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Claim response recorded successfully',
+        data: { claim: updated[0] }
+    });
+});
+
+/**
+ * Resolve a claim with a full refund, partial refund or rejection (Admin only).
+ * Refund, commission reversal and restock are applied in one database transaction;
+ * the money is then returned through the provider that collected the payment.
+ */
+const resolveClaim = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { resolution, refund_amount, restock_items = [], note } = req.body;
+
+    const { data: claim, error: fetchError } = await supabaseAdmin
+        .from('order_claims')
+        .select('*, order:orders(total_price, refunded_amount)')
+        .eq('id', id)
+        .single();
+
+    if (fetchError || !claim) {
+        throw new AppError('Claim not found', 404, 'CLAIM_NOT_FOUND');
+    }
+
+    let refundAmount = 0;
+    if (resolution === 'full_refund') {
+        refundAmount = parseFloat(claim.order.total_price) - parseFloat(claim.order.refunded_amount || 0);
+    } else if (resolution === 'partial_refund') {
+        refundAmount = parseFloat(refund_amount);
+    }
+
+    const { data: resolved, error } = await supabaseAdmin.rpc('resolve_order_claim', {
+        p_claim_id: id,
+        p_resolution: resolution,
+        p_refund_amount: refundAmount,
+        p_note: note || null,
+        p_resolved_by: user.id,
+        p_restock_items: restock_items
+    });
+
+    if (error) {
+        if (error.message === 'CLAIM_NOT_OPEN') {
+            throw new AppError('Claim has already been resolved', 400, 'CLAIM_NOT_OPEN');
+        }
+        if (error.message === 'REFUND_EXCEEDS_TOTAL') {
+            throw new AppError('Refund amount exceeds the amount left to refund on the order', 400, 'REFUND_EXCEEDS_TOTAL');
+        }
+        if (error.message === 'INVALID_RESTOCK_ITEM') {
+            throw new AppError(`Product ${error.details} was not ordered in that quantity, counting items already restocked`, 400, 'INVALID_RESTOCK_ITEM');
+        }
+        if (error.message === 'RESTOCK_NOT_ALLOWED') {
+            throw new AppError('A rejected claim cannot restock items', 400, 'RESTOCK_NOT_ALLOWED');
+        }
+        throw new AppError('Failed to resolve claim', 500, 'CLAIM_RESOLVE_FAILED');
+    }
+
+    if (resolved.refund_amount > 0) {
+        const refundStatus = await refundOrderPayment(claim.order_id, resolved.refund_amount, user);
+
+        const { error: refundError } = await supabaseAdmin
+            .from('order_claims')
+            .update({ refund_status: refundStatus })
+            .eq('id', id);
+
+        if (refundError) {
+            console.error('Failed to record claim refund status:', refundError);
+        }
+    }
+
+    await recordOrderEvent({
+        orderId: claim.order_id,
+        eventType: 'claim_updated',
+        actor: user,
+        note,
+        metadata: {
+            claim_id: id,
+            status: resolved.status,
+            resolution,
+            refund_amount: refundAmount,
+            restocked_items: restock_items
+        }
+    });
+
+    const { data: updatedClaim } = await supabaseAdmin
+        .from('order_claims')
+        .select(CLAIM_SELECT)
+        .eq('id', id)
+        .single();
+
+    res.status(200).json({
+        success: true,
+        message: 'Claim resolved successfully',
+        data: { claim: updatedClaim }
+    });
+});
+
+module.exports = {
+    createClaim,
+    getMyClaims,
+    getClaim,
+    respondToClaim,
+    resolveClaim
+};
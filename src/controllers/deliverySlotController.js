@@ -0,0 +1,204 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { getLocalDate, parseDate } = require('../utils/dates');
+
+/**
+ * Agents may only manage slots in their own district; admins in any
+ */
+const checkSlotManager = (user, districtId) => {
+    if (user.role === 'agent' && user.district_id !== districtId) {
+        throw new AppError('Agents can only manage delivery slots in their own district', 403, 'ACCESS_DENIED');
+    }
+};
+
+/**
+ * Load a slot of the given district
+ */
+const getDistrictSlot = async (districtId, slotId) => {
+    const { data: slot, error } = await supabaseAdmin
+        .from('delivery_slots')
+        .select('*')
+        .eq('id', slotId)
+        .eq('district_id', districtId)
+        .maybeSingle();
+
+    if (error || !slot) {
+        throw new AppError('Delivery slot not found', 404, 'DELIVERY_SLOT_NOT_FOUND');
+    }
+
+    return slot;
+};
+
+const withRemainingCapacity = (slot) => ({
+    ...slot,
+    remaining_capacity: Math.max(slot.capacity - slot.booked_count, 0)
+});
+
+/**
+ * Get a district's upcoming delivery slots with remaining capacity.
+ * Fully booked slots are left out unless ?include_full=true.
+ */
+const getDistrictDeliverySlots = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { to, include_full } = req.query;
+
+    // Verify district exists
+    const { data: district, error: districtError } = await supabaseAdmin
+        .from('districts')
+        .select('id, name')
+        .eq('id', id)
+        .single();
+
+    if (districtError || !district) {
+        throw new AppError('District not found', 404, 'DISTRICT_NOT_FOUND');
+    }
+
+    // Past slots cannot be booked
+    const today = getLocalDate();
+    const requestedFrom = parseDate(req.query.from);
+    const from = requestedFrom > today ? requestedFrom : today;
+
+    let query = supabaseAdmin
+        .from('delivery_slots')
+        .select('id, district_id, slot_date, start_time, end_time, capacity, booked_count')
+        .eq('district_id', id)
+        .eq('is_active', true)
+        .gte('slot_date', from);
+
+    if (to) {
+        query = query.lte('slot_date', parseDate(to));
+    }
+
+    const { data: slots, error } = await query
+        .order('slot_date')
+        .order('start_time');
+
+    if (error) {
+        throw new AppError('Failed to fetch delivery slots', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery slots retrieved successfully',
+        data: {
+            district,
+            slots: slots
+                .map(withRemainingCapacity)
+                .filter((slot) => include_full === 'true' || slot.remaining_capacity > 0)
+        }
+    });
+});
+
+/**
+ * Create a delivery slot in a district
+ */
+const createDeliverySlot = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { slot_date, start_time, end_time, capacity } = req.body;
+    const user = req.user;
+
+    checkSlotManager(user, id);
+
+    if (parseDate(slot_date) < getLocalDate()) {
+        throw new AppError('Cannot create a delivery slot in the past', 400, 'DELIVERY_SLOT_PASSED');
+    }
+
+    const { data: slot, error } = await supabaseAdmin
+        .from('delivery_slots')
+        .insert({
+            district_id: id,
+            slot_date,
+            start_time,
+            end_time,
+            capacity,
+            created_by: user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') { // Unique violation
+            throw new AppError('A delivery slot already starts at this time', 409, 'DELIVERY_SLOT_EXISTS');
+        }
+        if (error.code === '23503') { // Foreign key violation
+            throw new AppError('District not found', 404, 'DISTRICT_NOT_FOUND');
+        }
+        throw new AppError('Failed to create delivery slot', 500, 'CREATE_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Delivery slot created successfully',
+        data: { slot: withRemainingCapacity(slot) }
+    });
+});
+
+/**
+ * Change a delivery slot's capacity or close it for new bookings.
+ * Capacity cannot drop below the orders already booked into the slot.
+ */
+const updateDeliverySlot = catchAsync(async (req, res) => {
+    const { id, slotId } = req.params;
+    const { capacity, is_active } = req.body;
+
+    checkSlotManager(req.user, id);
+    await getDistrictSlot(id, slotId);
+
+    const { data: slot, error } = await supabaseAdmin
+        .from('delivery_slots')
+        .update({ capacity, is_active })
+        .eq('id', slotId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23514') { // Check constraint violation
+            throw new AppError('Capacity cannot be lower than the orders already booked', 400, 'DELIVERY_SLOT_CAPACITY_TOO_LOW');
+        }
+        throw new AppError('Failed to update delivery slot', 500, 'UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery slot updated successfully',
+        data: { slot: withRemainingCapacity(slot) }
+    });
+});
+
+/**
+ * Delete a delivery slot nobody has booked. Booked slots can be closed instead.
+ */
+const deleteDeliverySlot = catchAsync(async (req, res) => {
+    const { id, slotId } = req.params;
+
+    checkSlotManager(req.user, id);
+    await getDistrictSlot(id, slotId);
+
+    // The booked_count condition keeps a concurrent booking from being orphaned
+    const { data: deleted, error } = await supabaseAdmin
+        .from('delivery_slots')
+        .delete()
+        .eq('id', slotId)
+        .eq('booked_count', 0)
+        .select('id');
+
+    if (error) {
+        throw new AppError('Failed to delete delivery slot', 500, 'DELETE_FAILED');
+    }
+
+    if (!deleted.length) {
+        throw new AppError('Delivery slot has bookings; set is_active to false to close it instead', 400, 'DELIVERY_SLOT_HAS_BOOKINGS');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery slot deleted successfully'
+    });
+});
+
+module.exports = {
+    getDistrictDeliverySlots,
+    createDeliverySlot,
+    updateDeliverySlot,
+    deleteDeliverySlot
+};
@@ -0,0 +1,713 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, placeOrder } = require('../utils/orderPlacement');
+const { matchAgent } = require('../utils/agentMatching');
+const { getLocalDate, parseDate } = require('../utils/dates');
+const { notifyUser } = require('../utils/notifications');
+
+// How long a demand post takes quotes unless the customer sets expires_at
+const DEMAND_POST_EXPIRY_DAYS = parseInt(process.env.DEMAND_POST_EXPIRY_DAYS) || 7;
+
+const POST_SELECT = `
+    *,
+    customer:users!customer_id(id, name, phone),
+    district:districts(id, name),
+    order:orders(id, status, total_price)
+`;
+
+const QUOTE_SELECT = `
+    *,
+    farmer:users!farmer_id(id, name, phone, rating_average, rating_count),
+    product:products(id, name, unit, price, image_url, available_quantity)
+`;
+
+/**
+ * Whether a post still takes quotes: open, not expired and not past the date it was needed by
+ */
+const isPostOpen = (post) => {
+    return post.status === 'open'
+        && new Date(post.expires_at) > new Date()
+        && (!post.needed_by || post.needed_by >= getLocalDate());
+};
+
+/**
+ * The district and category pairs a farmer sells in, from their active products
+ */
+const getFarmerMarkets = async (farmerId) => {
+    const { data: products, error } = await supabaseAdmin
+        .from('products')
+        .select('district_id, category')
+        .eq('farmer_id', farmerId)
+        .eq('is_active', true)
+        .not('category', 'is', null);
+
+    if (error) {
+        throw new AppError('Failed to fetch products', 500, 'FETCH_FAILED');
+    }
+
+    const markets = new Map(products.map((product) => [`${product.district_id}:${product.category}`, product]));
+    return [...markets.values()];
+};
+
+/**
+ * Fetch a demand post the user may see, or throw 404/403. Customers see their own posts,
+ * farmers see open posts and those they quoted on, admins see all.
+ */
+const getAccessiblePost = async (postId, user, select = '*') => {
+    const { data: post, error } = await supabaseAdmin
+        .from('demand_posts')
+        .select(select)
+        .eq('id', postId)
+        .single();
+
+    if (error || !post) {
+        throw new AppError('Demand post not found', 404, 'DEMAND_POST_NOT_FOUND');
+    }
+
+    if (user.role === 'admin' || post.customer_id === user.id) {
+        return post;
+    }
+
+    if (user.role === 'farmer') {
+        if (post.status === 'open') {
+            return post;
+        }
+
+        const { count } = await supabaseAdmin
+            .from('demand_quotes')
+            .select('id', { count: 'exact', head: true })
+            .eq('demand_post_id', post.id)
+            .eq('farmer_id', user.id);
+
+        if (count) {
+            return post;
+        }
+    }
+
+    throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+};
+
+/**
+ * Fetch a quote on a post, or throw 404
+ */
+const getQuote = async (postId, quoteId) => {
+    const { data: quote, error } = await supabaseAdmin
+        .from('demand_quotes')
+        .select('*')
+        .eq('id', quoteId)
+        .eq('demand_post_id', postId)
+        .single();
+
+    if (error || !quote) {
+        throw new AppError('Quote not found', 404, 'QUOTE_NOT_FOUND');
+    }
+
+    return quote;
+};
+
+/**
+ * Move a pending quote on to a new status, or throw if it was answered meanwhile
+ */
+const closeQuote = async (quote, changes) => {
+    const { data: updated, error } = await supabaseAdmin
+        .from('demand_quotes')
+        .update(changes)
+        .eq('id', quote.id)
+        .eq('status', 'pending')
+        .select(QUOTE_SELECT)
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to update quote', 500, 'UPDATE_FAILED');
+    }
+
+    if (!updated) {
+        throw new AppError('Quote is no longer pending', 409, 'QUOTE_CHANGED');
+    }
+
+    return updated;
+};
+
+/**
+ * Post a requirement for farmers to quote on (Customer only).
+ * Farmers with active products in the district and category are notified.
+ */
+const createDemandPost = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        district_id,
+        category,
+        title,
+        description,
+        quantity,
+        unit,
+        max_unit_price,
+        needed_by,
+        expires_at,
+        delivery_address
+    } = req.body;
+
+    if (needed_by && parseDate(needed_by) < getLocalDate()) {
+        throw new AppError('Needed-by date has already passed', 400, 'INVALID_DATE');
+    }
+
+    const { data: post, error } = await supabaseAdmin
+        .from('demand_posts')
+        .insert({
+            customer_id: user.id,
+            district_id,
+            category,
+            title,
+            description,
+            quantity,
+            unit,
+            max_unit_price,
+            needed_by,
+            expires_at: expires_at || new Date(Date.now() + DEMAND_POST_EXPIRY_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+            delivery_address
+        })
+        .select(POST_SELECT)
+        .single();
+
+    if (error) {
+        if (error.code === '23503') {
+            throw new AppError('District not found', 404, 'DISTRICT_NOT_FOUND');
+        }
+        throw new AppError('Failed to create demand post', 500, 'CREATE_FAILED');
+    }
+
+    const { data: products } = await supabaseAdmin
+        .from('products')
+        .select('farmer_id')
+        .eq('district_id', district_id)
+        .eq('category', category)
+        .eq('is_active', true);
+
+    const farmerIds = [...new Set((products || []).map((product) => product.farmer_id))];
+
+    for (const farmerId of farmerIds) {
+        await notifyUser({
+            userId: farmerId,
+            type: 'demand_post_matched',
+            title: {
+                en: 'A buyer is looking for your products',
+                bn: 'একজন ক্রেতা আপনার পণ্য খুঁজছেন'
+            },
+            message: {
+                en: `${user.name} needs ${quantity} ${post.unit} of ${category} in ${post.district?.name || 'your district'}: ${title}`,
+                bn: `${user.name} ${post.district?.name || 'আপনার জেলায়'} ${category} এর ${quantity} ${post.unit} চান: ${title}`
+            },
+            data: { demand_post_id: post.id }
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Demand post created successfully',
+        data: {
+            demand: post,
+            matched_farmers: farmerIds.length
+        }
+    });
+});
+
+/**
+ * Get demand posts: customers see their own, farmers the open posts matching
+ * the districts and categories they sell in, admins all
+ */
+const getDemandPosts = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        district_id,
+        category,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('demand_posts')
+        .select(POST_SELECT, { count: 'exact' });
+
+    // Apply role-based filtering
+    switch (user.role) {
+        case 'customer':
+            query = query.eq('customer_id', user.id);
+            break;
+        case 'farmer': {
+            const markets = await getFarmerMarkets(user.id);
+            if (!markets.length) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Demand posts retrieved successfully',
+                    data: {
+                        demands: [],
+                        pagination: { page: parseInt(page), limit: parseInt(limit), total: 0, pages: 0 }
+                    }
+                });
+            }
+
+            query = query
+                .eq('status', 'open')
+                .gt('expires_at', new Date().toISOString())
+                .or(`needed_by.is.null,needed_by.gte.${getLocalDate()}`)
+                .or(markets
+                    .map((market) => `and(district_id.eq.${market.district_id},category.eq."${market.category}")`)
+                    .join(','));
+            break;
+        }
+        case 'admin':
+            break;
+        default:
+            throw new AppError('Only customers and farmers have demand posts', 403, 'INVALID_ROLE');
+    }
+
+    if (status && user.role !== 'farmer') {
+        query = query.eq('status', status);
+    }
+
+    if (district_id) {
+        query = query.eq('district_id', district_id);
+    }
+
+    if (category) {
+        query = query.eq('category', category);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: demands, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch demand posts', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Demand posts retrieved successfully',
+        data: {
+            demands,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get a demand post with its quotes; farmers only see their own quote
+ */
+const getDemandPost = catchAsync(async (req, res) => {
+    const user = req.user;
+    const post = await getAccessiblePost(req.params.id, user, POST_SELECT);
+
+    let quotesQuery = supabaseAdmin
+        .from('demand_quotes')
+        .select(QUOTE_SELECT)
+        .eq('demand_post_id', post.id)
+        .order('unit_price');
+
+    if (user.role === 'farmer' && post.customer_id !== user.id) {
+        quotesQuery = quotesQuery.eq('farmer_id', user.id);
+    }
+
+    const { data: quotes, error } = await quotesQuery;
+
+    if (error) {
+        throw new AppError('Failed to fetch quotes', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Demand post retrieved successfully',
+        data: { demand: { ...post, quotes } }
+    });
+});
+
+/**
+ * Get the quotes a farmer has submitted, newest first
+ */
+const getMyQuotes = catchAsync(async (req, res) => {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    let query = supabaseAdmin
+        .from('demand_quotes')
+        .select(`${QUOTE_SELECT}, demand:demand_posts(id, title, category, quantity, unit, status, needed_by, expires_at)`, { count: 'exact' })
+        .eq('farmer_id', req.user.id);
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: quotes, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch quotes', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Quotes retrieved successfully',
+        data: {
+            quotes,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Cancel an open demand post; pending quotes on it are rejected (Customer/Admin)
+ */
+const cancelDemandPost = catchAsync(async (req, res) => {
+    const user = req.user;
+    const current = await getAccessiblePost(req.params.id, user);
+
+    if (user.role !== 'admin' && current.customer_id !== user.id) {
+        throw new AppError('Only the customer can cancel this demand post', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const { data: post, error } = await supabaseAdmin
+        .from('demand_posts')
+        .update({ status: 'cancelled' })
+        .eq('id', current.id)
+        .eq('status', 'open')
+        .select(POST_SELECT)
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to cancel demand post', 500, 'CANCEL_FAILED');
+    }
+
+    if (!post) {
+        throw new AppError(`Demand post is already ${current.status}`, 400, 'DEMAND_CLOSED');
+    }
+
+    const { data: rejected } = await supabaseAdmin
+        .from('demand_quotes')
+        .update({ status: 'rejected', response_note: req.body.reason || 'Demand post cancelled' })
+        .eq('demand_post_id', post.id)
+        .eq('status', 'pending')
+        .select('id, farmer_id');
+
+    for (const quote of rejected || []) {
+        await notifyUser({
+            userId: quote.farmer_id,
+            type: 'demand_post_cancelled',
+            title: {
+                en: 'Buyer request cancelled',
+                bn: 'ক্রেতার অনুরোধ বাতিল'
+            },
+            message: {
+                en: `The request "${post.title}" you quoted on was cancelled.`,
+                bn: `আপনি যে অনুরোধে দর দিয়েছিলেন "${post.title}" তা বাতিল হয়েছে।`
+            },
+            data: { demand_post_id: post.id, quote_id: quote.id }
+        });
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Demand post cancelled successfully',
+        data: { demand: post }
+    });
+});
+
+/**
+ * Quote on an open demand post from one of the farmer's products in its
+ * district and category (Farmer only). The quantity defaults to the full requirement.
+ */
+const submitQuote = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { product_id, unit_price, note } = req.body;
+    const post = await getAccessiblePost(req.params.id, user);
+
+    if (!isPostOpen(post)) {
+        throw new AppError('Demand post is no longer taking quotes', 400, 'DEMAND_CLOSED');
+    }
+
+    const [product] = await loadOrderProducts([product_id]);
+
+    if (product.farmer_id !== user.id) {
+        throw new AppError('You can only quote with your own products', 403, 'ACCESS_DENIED');
+    }
+
+    if (product.district_id !== post.district_id || product.category !== post.category) {
+        throw new AppError('Product must be in the district and category of the demand post', 400, 'PRODUCT_NOT_MATCHING');
+    }
+
+    const quantity = req.body.quantity !== undefined ? Number(req.body.quantity) : Number(post.quantity);
+
+    if (quantity > Number(post.quantity)) {
+        throw new AppError(`Quote cannot be for more than the ${post.quantity} ${post.unit} requested`, 400, 'QUOTE_QUANTITY_TOO_HIGH');
+    }
+
+    if (quantity > Number(product.available_quantity)) {
+        throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+    }
+
+    const { data: quote, error } = await supabaseAdmin
+        .from('demand_quotes')
+        .insert({
+            demand_post_id: post.id,
+            farmer_id: user.id,
+            product_id: product.id,
+            quantity,
+            unit_price,
+            note
+        })
+        .select(QUOTE_SELECT)
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new AppError('You already have a pending quote on this demand post', 409, 'QUOTE_EXISTS');
+        }
+        throw new AppError('Failed to submit quote', 500, 'CREATE_FAILED');
+    }
+
+    await notifyUser({
+        userId: post.customer_id,
+        type: 'demand_quote_received',
+        title: {
+            en: 'New quote on your request',
+            bn: 'আপনার অনুরোধে নতুন দর'
+        },
+        message: {
+            en: `${user.name} quoted ${unit_price} per ${product.unit} for ${quantity} ${product.unit} on "${post.title}".`,
+            bn: `${user.name} "${post.title}" এর জন্য ${quantity} ${product.unit} এ প্রতি ${product.unit} ${unit_price} দর দিয়েছেন।`
+        },
+        data: { demand_post_id: post.id, quote_id: quote.id }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Quote submitted successfully',
+        data: { quote }
+    });
+});
+
+/**
+ * Withdraw a pending quote (Farmer who submitted it)
+ */
+const withdrawQuote = catchAsync(async (req, res) => {
+    const current = await getQuote(req.params.id, req.params.quoteId);
+
+    if (current.farmer_id !== req.user.id) {
+        throw new AppError('Only the farmer who submitted the quote can withdraw it', 403, 'ACCESS_DENIED');
+    }
+
+    const quote = await closeQuote(current, { status: 'withdrawn' });
+
+    res.status(200).json({
+        success: true,
+        message: 'Quote withdrawn successfully',
+        data: { quote }
+    });
+});
+
+/**
+ * Reject a pending quote with an optional note (Customer who posted the demand)
+ */
+const rejectQuote = catchAsync(async (req, res) => {
+    const post = await getAccessiblePost(req.params.id, req.user);
+
+    if (post.customer_id !== req.user.id) {
+        throw new AppError('Only the customer who posted the demand can reject quotes', 403, 'ACCESS_DENIED');
+    }
+
+    const current = await getQuote(post.id, req.params.quoteId);
+    const quote = await closeQuote(current, { status: 'rejected', response_note: req.body.note });
+
+    await notifyUser({
+        userId: quote.farmer_id,
+        type: 'demand_quote_rejected',
+        title: {
+            en: 'Quote rejected',
+            bn: 'দর প্রত্যাখ্যাত'
+        },
+        message: {
+            en: `Your quote on "${post.title}" was rejected.${req.body.note ? ` Note: ${req.body.note}` : ''}`,
+            bn: `"${post.title}" এ আপনার দর প্রত্যাখ্যান করা হয়েছে।${req.body.note ? ` মন্তব্য: ${req.body.note}` : ''}`
+        },
+        data: { demand_post_id: post.id, quote_id: quote.id }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Quote rejected successfully',
+        data: { quote }
+    });
+});
+
+/**
+ * Accept a quote and order it at the quoted price (Customer who posted the demand).
+ * The post and quote are claimed first so only one quote can be accepted; both are
+ * given back if the order cannot be placed. Other pending quotes are then rejected.
+ */
+const acceptQuote = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { id, quoteId } = req.params;
+    const { agent_id, auto_assign, delivery_slot_id, delivery_address, customer_notes } = req.body;
+
+    const current = await getAccessiblePost(id, user);
+
+    if (current.customer_id !== user.id) {
+        throw new AppError('Only the customer who posted the demand can accept quotes', 403, 'ACCESS_DENIED');
+    }
+
+    if (!isPostOpen(current)) {
+        throw new AppError('Demand post is no longer taking quotes', 400, 'DEMAND_CLOSED');
+    }
+
+    const { data: claimedPost, error: claimError } = await supabaseAdmin
+        .from('demand_posts')
+        .update({ status: 'fulfilled' })
+        .eq('id', id)
+        .eq('status', 'open')
+        .select()
+        .maybeSingle();
+
+    if (claimError) {
+        throw new AppError('Failed to accept quote', 500, 'UPDATE_FAILED');
+    }
+
+    if (!claimedPost) {
+        throw new AppError('Demand post is no longer taking quotes', 409, 'DEMAND_CLOSED');
+    }
+
+    // Give the post (and quote) back so the customer can fix the problem and try again
+    const reopen = async () => {
+        await supabaseAdmin
+            .from('demand_quotes')
+            .update({ status: 'pending' })
+            .eq('id', quoteId)
+            .eq('status', 'accepted');
+
+        await supabaseAdmin
+            .from('demand_posts')
+            .update({ status: 'open' })
+            .eq('id', id)
+            .eq('status', 'fulfilled')
+            .is('order_id', null);
+    };
+
+    const { data: quote } = await supabaseAdmin
+        .from('demand_quotes')
+        .update({ status: 'accepted' })
+        .eq('id', quoteId)
+        .eq('demand_post_id', id)
+        .eq('status', 'pending')
+        .select()
+        .maybeSingle();
+
+    if (!quote) {
+        await reopen();
+        throw new AppError('Only pending quotes can be accepted', 400, 'QUOTE_NOT_PENDING');
+    }
+
+    let order;
+    let matching = null;
+    try {
+        const [product] = await loadOrderProducts([quote.product_id]);
+
+        // Let the matcher choose the agent; the order is placed without one if nobody is available
+        matching = auto_assign ? await matchAgent({ districtId: product.district_id }) : null;
+
+        order = await placeOrder({
+            customerId: user.id,
+            actor: user,
+            lines: [{ product, quantity: Number(quote.quantity), unitPrice: Number(quote.unit_price) }],
+            agentId: matching ? matching.selected_agent_id : agent_id,
+            deliverySlotId: delivery_slot_id,
+            deliveryAddress: delivery_address || claimedPost.delivery_address,
+            customerNotes: customer_notes
+        });
+    } catch (error) {
+        await reopen();
+        throw error;
+    }
+
+    const { data: post, error } = await supabaseAdmin
+        .from('demand_posts')
+        .update({ order_id: order.id })
+        .eq('id', id)
+        .select(POST_SELECT)
+        .single();
+
+    if (error) {
+        console.error('Failed to link order to demand post:', error);
+    }
+
+    const { data: rejected } = await supabaseAdmin
+        .from('demand_quotes')
+        .update({ status: 'rejected', response_note: 'Another quote was accepted' })
+        .eq('demand_post_id', id)
+        .eq('status', 'pending')
+        .select('id, farmer_id');
+
+    await notifyUser({
+        userId: quote.farmer_id,
+        type: 'demand_quote_accepted',
+        title: {
+            en: 'Quote accepted',
+            bn: 'দর গৃহীত হয়েছে'
+        },
+        message: {
+            en: `Your quote on "${claimedPost.title}" was accepted and an order was placed.`,
+            bn: `"${claimedPost.title}" এ আপনার দর গৃহীত হয়েছে এবং অর্ডার দেওয়া হয়েছে।`
+        },
+        data: { demand_post_id: id, quote_id: quote.id, order_id: order.id }
+    });
+
+    for (const other of rejected || []) {
+        await notifyUser({
+            userId: other.farmer_id,
+            type: 'demand_quote_rejected',
+            title: {
+                en: 'Quote not selected',
+                bn: 'দর নির্বাচিত হয়নি'
+            },
+            message: {
+                en: `The buyer chose another quote for "${claimedPost.title}".`,
+                bn: `ক্রেতা "${claimedPost.title}" এর জন্য অন্য একটি দর বেছে নিয়েছেন।`
+            },
+            data: { demand_post_id: id, quote_id: other.id }
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Order created successfully',
+        data: matching ? { order, demand: post, quote, matching } : { order, demand: post, quote }
+    });
+});
+
+module.exports = {
+    createDemandPost,
+    getDemandPosts,
+    getDemandPost,
+    getMyQuotes,
+    cancelDemandPost,
+    submitQuote,
+    withdrawQuote,
+    rejectQuote,
+    acceptQuote
+};
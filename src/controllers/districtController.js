@@ -1,5 +1,6 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { parseDate } = require('../utils/dates');
 
 /**
  * Get all districts
@@ -53,11 +54,12 @@ const getDistrict = catchAsync(async (req, res) => {
 });
 
 /**
- * Get agents in a specific district
+ * Get agents in a specific district.
+ * With ?date=YYYY-MM-DD only agents who can take orders that day are listed.
  */
 const getDistrictAgents = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { page = 1, limit = 20 } = req.query;
+    const { date, page = 1, limit = 20 } = req.query;
 
     // Verify district exists
     const { data: district, error: districtError } = await supabaseAdmin
@@ -73,12 +75,21 @@ const getDistrictAgents = catchAsync(async (req, res) => {
     // Get agents in the district
     const offset = (parseInt(page) - 1) * parseInt(limit);
     
-    const { data: agents, error, count } = await supabaseAdmin
-        .from('users')
-        .select('id, name, phone, image_url, registration_date', { count: 'exact' })
-        .eq('role', 'agent')
-        .eq('district_id', id)
-        .eq('is_active', true)
+    const query = date
+        ? supabaseAdmin
+            .rpc('get_district_agent_availability', {
+                p_district_id: id,
+                p_date: parseDate(date)
+            }, { count: 'exact' })
+            .select('id, name, phone, image_url, registration_date, rating_average, rating_count, max_concurrent_orders, remaining_capacity')
+        : supabaseAdmin
+            .from('users')
+            .select('id, name, phone, image_url, registration_date, rating_average, rating_count', { count: 'exact' })
+            .eq('role', 'agent')
+            .eq('district_id', id)
+            .eq('is_active', true);
+
+    const { data: agents, error, count } = await query
         .order('name')
         .range(offset, offset + parseInt(limit) - 1);
 
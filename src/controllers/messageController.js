@@ -0,0 +1,194 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { deleteImage } = require('../middlewares/uploadEnhanced');
+const { getAccessibleOrder } = require('../utils/orderAccess');
+const { notifyUser } = require('../utils/notifications');
+
+/**
+ * The order's customer, farmer and agent, minus the given user
+ */
+const getOtherParties = (order, userId) => {
+    return [order.customer_id, order.product.farmer_id, order.agent_id]
+        .filter((partyId) => partyId && partyId !== userId);
+};
+
+/**
+ * Get an order's messages, newest first, each with who has read it.
+ * Also returns how many messages the current user has not read yet.
+ */
+const getOrderMessages = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { page = 1, limit = 50 } = req.query;
+
+    await getAccessibleOrder(id, user);
+
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+
+    const { data: messages, error, count } = await supabaseAdmin
+        .from('order_messages')
+        .select('*, sender:users!sender_id(id, name, image_url)', { count: 'exact' })
+        .eq('order_id', id)
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    if (error) {
+        throw new AppError('Failed to fetch messages', 500, 'FETCH_FAILED');
+    }
+
+    const { data: reads, error: readsError } = await supabaseAdmin
+        .from('order_message_reads')
+        .select('user_id, last_read_at, user:users!user_id(id, name, role)')
+        .eq('order_id', id);
+
+    if (readsError) {
+        throw new AppError('Failed to fetch read receipts', 500, 'FETCH_FAILED');
+    }
+
+    const ownRead = reads.find((read) => read.user_id === user.id);
+
+    let unreadQuery = supabaseAdmin
+        .from('order_messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('order_id', id)
+        .neq('sender_id', user.id);
+
+    if (ownRead) {
+        unreadQuery = unreadQuery.gt('created_at', ownRead.last_read_at);
+    }
+
+    const { count: unreadCount } = await unreadQuery;
+
+    res.status(200).json({
+        success: true,
+        message: 'Messages retrieved successfully',
+        data: {
+            messages: messages.map((message) => ({
+                ...message,
+                // A participant has read every message up to their last_read_at
+                read_by: reads
+                    .filter((read) => read.user_id !== message.sender_id
+                        && new Date(read.last_read_at) >= new Date(message.created_at))
+                    .map((read) => ({
+                        user_id: read.user_id,
+                        name: read.user?.name,
+                        role: read.user?.role,
+                        read_at: read.last_read_at
+                    }))
+            })),
+            unread_count: unreadCount || 0,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Post a message with optional image attachments to an order's thread
+ * and notify the other parties
+ */
+const sendOrderMessage = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const body = req.body.body ? req.body.body.trim() : null;
+    const attachmentUrls = req.imageUrls || [];
+
+    // Uploaded attachments are useless if the message is not sent
+    const discardAttachments = () => Promise.all(attachmentUrls.map((url) => deleteImage(url)));
+
+    let order;
+    try {
+        order = await getAccessibleOrder(id, user);
+    } catch (error) {
+        await discardAttachments();
+        throw error;
+    }
+
+    if (!body && !attachmentUrls.length) {
+        throw new AppError('A message needs text or at least one image', 400, 'EMPTY_MESSAGE');
+    }
+
+    const { data: message, error } = await supabaseAdmin
+        .from('order_messages')
+        .insert({
+            order_id: id,
+            sender_id: user.id,
+            sender_role: user.role,
+            body,
+            attachment_urls: attachmentUrls
+        })
+        .select('*, sender:users!sender_id(id, name, image_url)')
+        .single();
+
+    if (error) {
+        await discardAttachments();
+        throw new AppError('Failed to send message', 500, 'MESSAGE_SEND_FAILED');
+    }
+
+    // Sending a message means the sender has read the thread up to it
+    await supabaseAdmin
+        .from('order_message_reads')
+        .upsert({ order_id: id, user_id: user.id, last_read_at: message.created_at }, { onConflict: 'order_id,user_id' });
+
+    for (const partyId of getOtherParties(order, user.id)) {
+        await notifyUser({
+            userId: partyId,
+            type: 'order_message',
+            title: {
+                en: `New message from ${user.name}`,
+                bn: `${user.name} এর কাছ থেকে নতুন বার্তা`
+            },
+            message: body || {
+                en: 'Sent a photo',
+                bn: 'একটি ছবি পাঠিয়েছেন'
+            },
+            data: { order_id: id, message_id: message.id }
+        });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Message sent successfully',
+        data: { message: { ...message, read_by: [] } }
+    });
+});
+
+/**
+ * Mark an order's thread as read by the current user up to now
+ */
+const markOrderMessagesRead = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+
+    await getAccessibleOrder(id, user);
+
+    const { data: read, error } = await supabaseAdmin
+        .from('order_message_reads')
+        .upsert({
+            order_id: id,
+            user_id: user.id,
+            last_read_at: new Date().toISOString()
+        }, { onConflict: 'order_id,user_id' })
+        .select('order_id, last_read_at')
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to mark messages as read', 500, 'UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Messages marked as read',
+        data: { read }
+    });
+});
+
+module.exports = {
+    getOrderMessages,
+    sendOrderMessage,
+    markOrderMessagesRead
+};
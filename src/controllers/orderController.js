@@ -1,111 +1,63 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, validateAgent, placeOrder } = require('../utils/orderPlacement');
+const { resolveCommission, getCommissionableAmount } = require('../utils/commission');
+const { cancelOrderAndRestock } = require('../utils/orderCancellation');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { hasOrderAccess, getAccessibleOrder } = require('../utils/orderAccess');
+const { isPaymentRequiredForConfirmation, settleCashOnDelivery } = require('../payments');
+const { renderOrderDocument } = require('../documents/orderDocuments');
+const { SUPPORTED_LANGUAGES } = require('../documents/labels');
+const { offerAssignment, recordAssignmentOutcome } = require('../utils/orderAssignment');
+const { matchAgent } = require('../utils/agentMatching');
+const { parseDate } = require('../utils/dates');
+const { isDeliveryOtpRequired, verifyDeliveryOtp } = require('../utils/deliveryOtp');
+const { deleteImage } = require('../middlewares/uploadEnhanced');
+
+// Allowed status transitions
+const VALID_TRANSITIONS = {
+    'booked': ['confirmed', 'cancelled'],
+    'confirmed': ['picked', 'cancelled'],
+    'picked': ['delivered', 'cancelled'],
+    'delivered': [], // Final state
+    'cancelled': [] // Final state
+};
+
+// Customers may only cancel before the agent has picked up the order
+const CUSTOMER_CANCELLABLE_STATUSES = ['booked', 'confirmed'];
 
 /**
  * Create new order
  */
 const createOrder = catchAsync(async (req, res) => {
     const user = req.user;
-    const { product_id, quantity, agent_id, delivery_address, customer_notes } = req.body;
+    const { product_id, quantity, agent_id, auto_assign, delivery_slot_id, delivery_address, customer_notes, coupon_code } = req.body;
 
     // Ensure only customers can create orders
     if (user.role !== 'customer' && user.role !== 'admin') {
         throw new AppError('Only customers can create orders', 403, 'INSUFFICIENT_PERMISSIONS');
     }
 
-    // Get product details
-    const { data: product, error: productError } = await supabaseAdmin
-        .from('products')
-        .select('*, farmer:users!farmer_id(id, name, district_id)')
-        .eq('id', product_id)
-        .eq('is_active', true)
-        .single();
-
-    if (productError || !product) {
-        throw new AppError('Product not found or inactive', 404, 'PRODUCT_NOT_FOUND');
-    }
-
-    // Check if sufficient quantity is available
-    if (product.available_quantity < quantity) {
-        throw new AppError('Insufficient product quantity available', 400, 'INSUFFICIENT_QUANTITY');
-    }
-
-    // Validate agent if provided
-    let agentData = null;
-    if (agent_id) {
-        const { data: agent, error: agentError } = await supabaseAdmin
-            .from('users')
-            .select('*')
-            .eq('id', agent_id)
-            .eq('role', 'agent')
-            .eq('is_active', true)
-            .single();
+    const [product] = await loadOrderProducts([product_id]);
 
-        if (agentError || !agent) {
-            throw new AppError('Agent not found or inactive', 404, 'AGENT_NOT_FOUND');
-        }
-
-        // Check if agent is in the same district as the product
-        if (agent.district_id !== product.district_id) {
-            throw new AppError('Agent must be from the same district as the product', 400, 'AGENT_DISTRICT_MISMATCH');
-        }
-
-        agentData = agent;
-    }
-
-    // Calculate order details
-    const unit_price = product.price;
-    const total_price = unit_price * quantity;
-    const commission_rate = 5.00; // 5% commission
-    const commission = agentData ? (total_price * commission_rate) / 100 : 0;
-
-    // Create order
-    const orderData = {
-        product_id,
-        customer_id: user.id,
-        agent_id: agent_id || null,
-        quantity,
-        unit_price,
-        total_price,
-        commission,
-        commission_rate,
-        status: 'booked',
-        delivery_address,
-        customer_notes
-    };
+    // Let the matcher choose the agent; the order is placed without one if nobody is available
+    const matching = auto_assign ? await matchAgent({ districtId: product.district_id }) : null;
 
-    const { data: order, error: orderError } = await supabaseAdmin
-        .from('orders')
-        .insert(orderData)
-        .select(`
-            *,
-            product:products(*),
-            customer:users!customer_id(id, name, phone),
-            agent:users!agent_id(id, name, phone)
-        `)
-        .single();
-
-    if (orderError) {
-        throw new AppError('Failed to create order', 500, 'ORDER_CREATE_FAILED');
-    }
-
-    // Update product available quantity
-    const { error: updateError } = await supabaseAdmin
-        .from('products')
-        .update({
-            available_quantity: product.available_quantity - quantity
-        })
-        .eq('id', product_id);
-
-    if (updateError) {
-        console.error('Failed to update product quantity:', updateError);
-        // Note: In production, you might want to implement compensation patterns here
-    }
+    const order = await placeOrder({
+        customerId: user.id,
+        actor: user,
+        lines: [{ product, quantity }],
+        agentId: matching ? matching.selected_agent_id : agent_id,
+        deliverySlotId: delivery_slot_id,
+        deliveryAddress: delivery_address,
+        customerNotes: customer_notes,
+        couponCode: coupon_code
+    });
 
     res.status(201).json({
         success: true,
         message: 'Order created successfully',
-        data: { order }
+        data: matching ? { order, matching } : { order }
     });
 });
 
@@ -116,6 +68,8 @@ const getMyOrders = catchAsync(async (req, res) => {
     const user = req.user;
     const {
         status,
+        assignment_status,
+        delivery_slot_id,
         page = 1,
         limit = 20,
         sort_by = 'created_at',
@@ -127,8 +81,10 @@ const getMyOrders = catchAsync(async (req, res) => {
         .select(`
             *,
             product:products(*, farmer:users!farmer_id(id, name, phone)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
             customer:users!customer_id(id, name, phone),
-            agent:users!agent_id(id, name, phone)
+            agent:users!agent_id(id, name, phone),
+            delivery_slot:delivery_slots(id, slot_date, start_time, end_time)
         `);
 
     // Apply role-based filtering
@@ -155,6 +111,16 @@ const getMyOrders = catchAsync(async (req, res) => {
         query = query.eq('status', status);
     }
 
+    // e.g. agents listing offers waiting for their answer
+    if (assignment_status) {
+        query = query.eq('assignment_status', assignment_status);
+    }
+
+    // e.g. agents planning the deliveries of one slot
+    if (delivery_slot_id) {
+        query = query.eq('delivery_slot_id', delivery_slot_id);
+    }
+
     // Apply sorting
     const validSortFields = ['created_at', 'updated_at', 'total_price', 'status'];
     const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
@@ -199,8 +165,13 @@ const getOrder = catchAsync(async (req, res) => {
         .select(`
             *,
             product:products(*, farmer:users!farmer_id(id, name, phone)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
+            payments(id, provider, amount, status, checkout_url, paid_at, created_at),
+            assignments:order_assignments(id, agent_id, status, expires_at, responded_at, decline_reason, created_at),
             customer:users!customer_id(id, name, phone),
-            agent:users!agent_id(id, name, phone)
+            agent:users!agent_id(id, name, phone),
+            delivery_slot:delivery_slots(id, slot_date, start_time, end_time),
+            delivery_proof:delivery_proofs(id, recipient_name, photo_url, otp_verified, latitude, longitude, recorded_by, created_at)
         `)
         .eq('id', id)
         .single();
@@ -210,12 +181,7 @@ const getOrder = catchAsync(async (req, res) => {
     }
 
     // Check permissions
-    const hasAccess = user.role === 'admin' ||
-                     order.customer_id === user.id ||
-                     order.agent_id === user.id ||
-                     order.product.farmer_id === user.id;
-
-    if (!hasAccess) {
+    if (!hasOrderAccess(order, user)) {
         throw new AppError('Access denied', 403, 'ACCESS_DENIED');
     }
 
@@ -232,7 +198,14 @@ const getOrder = catchAsync(async (req, res) => {
 const updateOrderStatus = catchAsync(async (req, res) => {
     const { id } = req.params;
     const user = req.user;
-    const { status, agent_notes } = req.body;
+    const { status, agent_notes, cancellation_reason, recipient_name, delivery_otp, latitude, longitude } = req.body;
+    const photoUrl = req.imageUrl || null;
+
+    // A photo is only kept as proof of a recorded delivery
+    const discardPhoto = () => (photoUrl ? deleteImage(photoUrl) : Promise.resolve());
+    if (photoUrl && status !== 'delivered') {
+        await discardPhoto();
+    }
 
     // Get existing order
     const { data: existingOrder, error: fetchError } = await supabaseAdmin
@@ -242,6 +215,7 @@ const updateOrderStatus = catchAsync(async (req, res) => {
         .single();
 
     if (fetchError || !existingOrder) {
+        await discardPhoto();
         throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
     }
 
@@ -251,24 +225,92 @@ const updateOrderStatus = catchAsync(async (req, res) => {
                      (user.role === 'farmer' && existingOrder.product.farmer_id === user.id);
 
     if (!canUpdate) {
+        await discardPhoto();
         throw new AppError('Insufficient permissions to update this order', 403, 'INSUFFICIENT_PERMISSIONS');
     }
 
-    // Validate status transitions
-    const validTransitions = {
-        'booked': ['confirmed', 'cancelled'],
-        'confirmed': ['picked', 'cancelled'],
-        'picked': ['delivered', 'cancelled'],
-        'delivered': [], // Final state
-        'cancelled': [] // Final state
-    };
+    // An agent works on an order only after accepting it
+    if (user.role === 'agent' && existingOrder.assignment_status === 'pending') {
+        await discardPhoto();
+        throw new AppError('Accept the assignment before updating this order', 400, 'ASSIGNMENT_NOT_ACCEPTED');
+    }
 
+    // Validate status transitions
     const currentStatus = existingOrder.status;
-    if (!validTransitions[currentStatus].includes(status)) {
+    if (!VALID_TRANSITIONS[currentStatus].includes(status)) {
+        await discardPhoto();
         throw new AppError(`Cannot change status from ${currentStatus} to ${status}`, 400, 'INVALID_STATUS_TRANSITION');
     }
 
-    // Update order
+    // Optionally require payment (or cash on delivery) before confirming
+    if (status === 'confirmed' && isPaymentRequiredForConfirmation()) {
+        const { count: codCount } = await supabaseAdmin
+            .from('payments')
+            .select('id', { count: 'exact', head: true })
+            .eq('order_id', id)
+            .eq('provider', 'cod')
+            .eq('status', 'pending');
+
+        if (existingOrder.payment_status !== 'paid' && !codCount) {
+            throw new AppError('Order must be paid before it can be confirmed', 400, 'PAYMENT_REQUIRED');
+        }
+    }
+
+    // Delivery needs proof: a photo (optional for admins), the recipient and, when
+    // given or required, the OTP sent to the customer with the order
+    let deliveryProof = null;
+    if (status === 'delivered') {
+        if (!photoUrl && user.role !== 'admin') {
+            throw new AppError('A delivery photo is required', 400, 'DELIVERY_PHOTO_REQUIRED');
+        }
+
+        if (!delivery_otp && isDeliveryOtpRequired()) {
+            await discardPhoto();
+            throw new AppError('The customer\'s delivery OTP is required', 400, 'DELIVERY_OTP_REQUIRED');
+        }
+
+        if (delivery_otp) {
+            try {
+                await verifyDeliveryOtp(id, delivery_otp);
+            } catch (otpError) {
+                await discardPhoto();
+                throw otpError;
+            }
+        }
+
+        const { data: proof, error: proofError } = await supabaseAdmin
+            .from('delivery_proofs')
+            .upsert({
+                order_id: id,
+                recorded_by: user.id,
+                recipient_name,
+                photo_url: photoUrl,
+                otp_verified: Boolean(delivery_otp),
+                latitude: latitude !== undefined ? parseFloat(latitude) : null,
+                longitude: longitude !== undefined ? parseFloat(longitude) : null
+            }, { onConflict: 'order_id' })
+            .select()
+            .single();
+
+        if (proofError) {
+            await discardPhoto();
+            throw new AppError('Failed to save proof of delivery', 500, 'DELIVERY_PROOF_FAILED');
+        }
+
+        deliveryProof = proof;
+    }
+
+    // Cancellation restocks the order's products
+    if (status === 'cancelled') {
+        await cancelOrderAndRestock({
+            orderId: id,
+            actor: user,
+            reason: cancellation_reason,
+            expectedStatuses: [currentStatus]
+        });
+    }
+
+    // Update order, unless it was cancelled (restocking it) or moved on since it was read
     const updateData = { status };
     if (agent_notes) {
         updateData.agent_notes = agent_notes;
@@ -278,18 +320,48 @@ const updateOrderStatus = catchAsync(async (req, res) => {
         .from('orders')
         .update(updateData)
         .eq('id', id)
+        .eq('status', status === 'cancelled' ? 'cancelled' : currentStatus)
         .select(`
             *,
             product:products(*, farmer:users!farmer_id(id, name, phone)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
             customer:users!customer_id(id, name, phone),
-            agent:users!agent_id(id, name, phone)
+            agent:users!agent_id(id, name, phone),
+            delivery_proof:delivery_proofs(*)
         `)
-        .single();
+        .maybeSingle();
 
-    if (error) {
+    if (error || !order) {
+        // Proof only stands for a delivery that was recorded
+        if (deliveryProof) {
+            await supabaseAdmin.from('delivery_proofs').delete().eq('id', deliveryProof.id);
+            await discardPhoto();
+        }
+        if (!error) {
+            throw new AppError('Order status changed while it was being updated', 409, 'ORDER_STATUS_CHANGED');
+        }
         throw new AppError('Failed to update order', 500, 'UPDATE_FAILED');
     }
 
+    // Cancellations are recorded by cancelOrderAndRestock
+    if (status !== 'cancelled') {
+        await recordOrderEvent({
+            orderId: id,
+            fromStatus: currentStatus,
+            toStatus: status,
+            actor: user,
+            note: agent_notes,
+            metadata: deliveryProof
+                ? { delivery_proof_id: deliveryProof.id, otp_verified: deliveryProof.otp_verified }
+                : null
+        });
+    }
+
+    // Cash is collected by the agent at delivery
+    if (status === 'delivered') {
+        await settleCashOnDelivery(id, user);
+    }
+
     res.status(200).json({
         success: true,
         message: 'Order status updated successfully',
@@ -298,22 +370,17 @@ const updateOrderStatus = catchAsync(async (req, res) => {
 });
 
 /**
- * Assign agent to order
+ * Cancel order (customer, assigned agent, product's farmer or admin)
  */
-const assignAgent = catchAsync(async (req, res) => {
+const cancelOrder = catchAsync(async (req, res) => {
     const { id } = req.params;
-    const { agent_id } = req.body;
     const user = req.user;
-
-    // Only customers and admins can assign agents
-    if (user.role !== 'customer' && user.role !== 'admin') {
-        throw new AppError('Only customers and admins can assign agents', 403, 'INSUFFICIENT_PERMISSIONS');
-    }
+    const { cancellation_reason } = req.body;
 
     // Get existing order
     const { data: existingOrder, error: fetchError } = await supabaseAdmin
         .from('orders')
-        .select('*, product:products(district_id)')
+        .select('*, product:products(farmer_id)')
         .eq('id', id)
         .single();
 
@@ -321,63 +388,370 @@ const assignAgent = catchAsync(async (req, res) => {
         throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
     }
 
-    // Check if customer owns this order (if not admin)
-    if (user.role === 'customer' && existingOrder.customer_id !== user.id) {
-        throw new AppError('You can only assign agents to your own orders', 403, 'ACCESS_DENIED');
+    // Check permissions
+    const canCancel = user.role === 'admin' ||
+                     (user.role === 'customer' && existingOrder.customer_id === user.id) ||
+                     (user.role === 'agent' && existingOrder.agent_id === user.id) ||
+                     (user.role === 'farmer' && existingOrder.product.farmer_id === user.id);
+
+    if (!canCancel) {
+        throw new AppError('Insufficient permissions to cancel this order', 403, 'INSUFFICIENT_PERMISSIONS');
     }
 
-    // Validate agent
-    const { data: agent, error: agentError } = await supabaseAdmin
-        .from('users')
-        .select('*')
-        .eq('id', agent_id)
-        .eq('role', 'agent')
-        .eq('is_active', true)
-        .single();
+    // A pending offer is declined, not cancelled
+    if (user.role === 'agent' && existingOrder.assignment_status === 'pending') {
+        throw new AppError('Decline the assignment instead of cancelling the order', 400, 'ASSIGNMENT_NOT_ACCEPTED');
+    }
 
-    if (agentError || !agent) {
-        throw new AppError('Agent not found or inactive', 404, 'AGENT_NOT_FOUND');
+    const currentStatus = existingOrder.status;
+    if (!VALID_TRANSITIONS[currentStatus].includes('cancelled')) {
+        throw new AppError(`Cannot change status from ${currentStatus} to cancelled`, 400, 'INVALID_STATUS_TRANSITION');
     }
 
-    // Check if agent is in the same district as the product
-    if (agent.district_id !== existingOrder.product.district_id) {
-        throw new AppError('Agent must be from the same district as the product', 400, 'AGENT_DISTRICT_MISMATCH');
+    if (user.role === 'customer' && !CUSTOMER_CANCELLABLE_STATUSES.includes(currentStatus)) {
+        throw new AppError('Order can no longer be cancelled after pickup', 400, 'CANCELLATION_NOT_ALLOWED');
     }
 
-    // Calculate commission
-    const commission_rate = 5.00; // 5%
-    const commission = (existingOrder.total_price * commission_rate) / 100;
+    await cancelOrderAndRestock({ orderId: id, actor: user, reason: cancellation_reason });
 
-    // Update order
     const { data: order, error } = await supabaseAdmin
         .from('orders')
-        .update({
-            agent_id,
-            commission,
-            commission_rate
-        })
+        .select(`
+            *,
+            product:products(*, farmer:users!farmer_id(id, name, phone)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
+            customer:users!customer_id(id, name, phone),
+            agent:users!agent_id(id, name, phone)
+        `)
         .eq('id', id)
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to fetch order', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Order cancelled successfully',
+        data: { order }
+    });
+});
+
+/**
+ * Load an order whose agent the user may change: customers their own orders, admins any,
+ * and only before pickup
+ */
+const getAssignableOrder = async (orderId, user) => {
+    // Only customers and admins can assign agents
+    if (user.role !== 'customer' && user.role !== 'admin') {
+        throw new AppError('Only customers and admins can assign agents', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const { data: order, error } = await supabaseAdmin
+        .from('orders')
+        .select('*, product:products(district_id, category)')
+        .eq('id', orderId)
+        .single();
+
+    if (error || !order) {
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    // Check if customer owns this order (if not admin)
+    if (user.role === 'customer' && order.customer_id !== user.id) {
+        throw new AppError('You can only assign agents to your own orders', 403, 'ACCESS_DENIED');
+    }
+
+    // Only orders that have not been picked up can change hands
+    if (!['booked', 'confirmed'].includes(order.status)) {
+        throw new AppError(`Cannot assign an agent to a ${order.status} order`, 400, 'ORDER_NOT_ASSIGNABLE');
+    }
+
+    return order;
+};
+
+/**
+ * Offer an order to an agent with the commission that applies to them,
+ * record it in the timeline and return the refreshed order
+ */
+const offerOrderToAgent = async (existingOrder, agentId, user, metadata = {}) => {
+    // Validate agent
+    await validateAgent(agentId, existingOrder.product.district_id);
+
+    // Calculate commission from the applicable rule
+    const { rate: commission_rate, rule: commissionRule } = await resolveCommission({
+        districtId: existingOrder.product.district_id,
+        category: existingOrder.product.category,
+        agentId
+    });
+    const commission = (getCommissionableAmount(existingOrder) * commission_rate) / 100;
+
+    // The agent has to accept the offer before earning commission
+    await offerAssignment({
+        orderId: existingOrder.id,
+        agentId,
+        actor: user,
+        commission,
+        commissionRate: commission_rate,
+        commissionRuleId: commissionRule ? commissionRule.id : null
+    });
+
+    const { data: order, error } = await supabaseAdmin
+        .from('orders')
         .select(`
             *,
             product:products(*, farmer:users!farmer_id(id, name, phone)),
+            items:order_items(*, product:products(id, name, unit, image_url)),
             customer:users!customer_id(id, name, phone),
             agent:users!agent_id(id, name, phone)
         `)
+        .eq('id', existingOrder.id)
         .single();
 
     if (error) {
-        throw new AppError('Failed to assign agent', 500, 'ASSIGN_FAILED');
+        throw new AppError('Failed to fetch order', 500, 'FETCH_FAILED');
     }
 
+    await recordOrderEvent({
+        orderId: existingOrder.id,
+        eventType: 'agent_assigned',
+        actor: user,
+        metadata: {
+            previous_agent_id: existingOrder.agent_id,
+            agent_id: agentId,
+            ...metadata
+        }
+    });
+
+    return order;
+};
+
+/**
+ * Assign agent to order
+ */
+const assignAgent = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const { agent_id } = req.body;
+    const user = req.user;
+
+    const existingOrder = await getAssignableOrder(id, user);
+    const order = await offerOrderToAgent(existingOrder, agent_id, user);
+
     res.status(200).json({
         success: true,
-        message: 'Agent assigned successfully',
+        message: 'Agent assigned successfully, awaiting acceptance',
         data: { order }
     });
 });
 
 /**
- * Get available agents by district
+ * Offer an order to the best available agent in its district.
+ * Agents who already declined or let an offer for this order lapse are skipped,
+ * as is the current agent. The response explains every candidate's score.
+ */
+const autoAssignAgent = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+
+    const existingOrder = await getAssignableOrder(id, user);
+
+    const { data: pastOffers, error: offersError } = await supabaseAdmin
+        .from('order_assignments')
+        .select('agent_id, status')
+        .eq('order_id', id)
+        .in('status', ['declined', 'expired']);
+
+    if (offersError) {
+        throw new AppError('Failed to fetch assignment history', 500, 'FETCH_FAILED');
+    }
+
+    const exclude = {};
+    for (const offer of pastOffers) {
+        exclude[offer.agent_id] = `Previously ${offer.status} this order`;
+    }
+    if (existingOrder.agent_id) {
+        exclude[existingOrder.agent_id] = 'Already assigned to this order';
+    }
+
+    const matching = await matchAgent({ districtId: existingOrder.product.district_id, exclude });
+
+    if (!matching.selected_agent_id) {
+        throw new AppError('No available agent found in the order\'s district', 404, 'NO_AGENT_AVAILABLE');
+    }
+
+    const selected = matching.candidates.find((candidate) => candidate.agent.id === matching.selected_agent_id);
+    const order = await offerOrderToAgent(existingOrder, matching.selected_agent_id, user, {
+        auto_assigned: true,
+        score: selected.score
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Agent matched successfully, awaiting acceptance',
+        data: { order, matching }
+    });
+});
+
+/**
+ * Get an order's agent assignment: current state and offer history
+ */
+const getAssignment = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const order = await getAccessibleOrder(id, req.user);
+
+    const { data: assignments, error } = await supabaseAdmin
+        .from('order_assignments')
+        .select('*, agent:users!agent_id(id, name, phone)')
+        .eq('order_id', id)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new AppError('Failed to fetch assignments', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Assignment retrieved successfully',
+        data: {
+            assignment: {
+                agent_id: order.agent_id,
+                status: order.assignment_status,
+                expires_at: order.assignment_expires_at
+            },
+            history: assignments
+        }
+    });
+});
+
+/**
+ * Accept or decline the current agent's pending offer
+ */
+const respondToAssignment = async (req, res, accept) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { reason } = req.body;
+
+    const order = await getAccessibleOrder(id, user);
+
+    const { data: offer, error } = await supabaseAdmin.rpc('respond_to_order_assignment', {
+        p_order_id: id,
+        p_agent_id: user.id,
+        p_accept: accept,
+        p_reason: reason || null
+    });
+
+    if (error) {
+        if (error.message === 'NO_PENDING_ASSIGNMENT') {
+            throw new AppError('No pending assignment for you on this order', 400, 'NO_PENDING_ASSIGNMENT');
+        }
+        throw new AppError('Failed to respond to assignment', 500, 'ASSIGNMENT_RESPONSE_FAILED');
+    }
+
+    await recordAssignmentOutcome({
+        offer,
+        customerId: order.customer_id,
+        actor: offer.status === 'expired' ? null : user
+    });
+
+    if (offer.status === 'expired') {
+        throw new AppError('This assignment offer has expired', 400, 'ASSIGNMENT_EXPIRED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: accept ? 'Assignment accepted successfully' : 'Assignment declined successfully',
+        data: { assignment: offer }
+    });
+};
+
+/**
+ * Accept an assignment offer (Agent only)
+ */
+const acceptAssignment = catchAsync(async (req, res) => {
+    await respondToAssignment(req, res, true);
+});
+
+/**
+ * Decline an assignment offer (Agent only)
+ */
+const declineAssignment = catchAsync(async (req, res) => {
+    await respondToAssignment(req, res, false);
+});
+
+/**
+ * Get order status timeline
+ */
+const getOrderTimeline = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+
+    await getAccessibleOrder(id, user);
+
+    const { data: events, error } = await supabaseAdmin
+        .from('order_status_events')
+        .select('*, actor:users!actor_id(id, name)')
+        .eq('order_id', id)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw new AppError('Failed to fetch order timeline', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Order timeline retrieved successfully',
+        data: { events }
+    });
+});
+
+/**
+ * Render an order document the user is allowed to view as a PDF response
+ */
+const sendOrderDocument = async (req, res, type) => {
+    const { id } = req.params;
+    const user = req.user;
+    const language = SUPPORTED_LANGUAGES.includes(req.query.lang) ? req.query.lang : user.language;
+
+    const order = await getAccessibleOrder(id, user, `
+        *,
+        product:products(*, farmer:users!farmer_id(id, name, phone), district:districts(id, name)),
+        items:order_items(*, product:products(id, name, unit)),
+        customer:users!customer_id(id, name, phone),
+        agent:users!agent_id(id, name, phone)
+    `);
+
+    if (type === 'receipt' && order.status === 'cancelled') {
+        throw new AppError('Cannot issue a delivery receipt for a cancelled order', 400, 'ORDER_CANCELLED');
+    }
+
+    const pdf = await renderOrderDocument(order, { type, language });
+
+    res.status(200)
+        .set({
+            'Content-Type': 'application/pdf',
+            'Content-Disposition': `inline; filename="${type}-${order.id}.pdf"`,
+            'Content-Length': pdf.length
+        })
+        .send(pdf);
+};
+
+/**
+ * Get order invoice as PDF
+ */
+const getOrderInvoice = catchAsync(async (req, res) => {
+    await sendOrderDocument(req, res, 'invoice');
+});
+
+/**
+ * Get delivery receipt as PDF
+ */
+const getDeliveryReceipt = catchAsync(async (req, res) => {
+    await sendOrderDocument(req, res, 'receipt');
+});
+
+/**
+ * Get agents in a district who can take orders on a date (today by default):
+ * working that day, not on holiday and below their capacity
  */
 const getAvailableAgents = catchAsync(async (req, res) => {
     const { district_id } = req.query;
@@ -386,13 +760,14 @@ const getAvailableAgents = catchAsync(async (req, res) => {
         throw new AppError('District ID is required', 400, 'DISTRICT_REQUIRED');
     }
 
+    const date = parseDate(req.query.date);
+
     const { data: agents, error } = await supabaseAdmin
-        .from('users')
-        .select('id, name, phone, image_url, district_id')
-        .eq('role', 'agent')
-        .eq('district_id', district_id)
-        .eq('is_active', true)
-        .order('name');
+        .rpc('get_district_agent_availability', {
+            p_district_id: district_id,
+            p_date: date
+        })
+        .select('id, name, phone, image_url, district_id, max_concurrent_orders, remaining_capacity');
 
     if (error) {
         throw new AppError('Failed to fetch agents', 500, 'FETCH_FAILED');
@@ -401,7 +776,7 @@ const getAvailableAgents = catchAsync(async (req, res) => {
     res.status(200).json({
         success: true,
         message: 'Available agents retrieved successfully',
-        data: { agents }
+        data: { date, agents }
     });
 });
 
@@ -409,7 +784,15 @@ module.exports = {
     createOrder,
     getMyOrders,
     getOrder,
+    getOrderTimeline,
+    getOrderInvoice,
+    getDeliveryReceipt,
     updateOrderStatus,
+    cancelOrder,
     assignAgent,
+    autoAssignAgent,
+    getAssignment,
+    acceptAssignment,
+    declineAssignment,
     getAvailableAgents
 };
@@ -0,0 +1,331 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { getAccessibleOrder } = require('../utils/orderAccess');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const { getProvider, setOrderPaymentStatus, completePayment } = require('../payments');
+
+/**
+ * Find the pending intent the customer already started with this provider for this amount,
+ * so asking again does not strand a checkout they may still complete. Pending intents that
+ * do not match are cancelled as superseded. `column` is order_id or preorder_id.
+ */
+const supersedePendingPayments = async (column, id, providerName, amount) => {
+    const { data: pending, error } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq(column, id)
+        .eq('status', 'pending');
+
+    if (error) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    const existing = pending.find((payment) => payment.provider === providerName && Number(payment.amount) === amount);
+    if (existing) {
+        return existing;
+    }
+
+    if (pending.length) {
+        const { error: cancelError } = await supabaseAdmin
+            .from('payments')
+            .update({ status: 'cancelled' })
+            .in('id', pending.map((payment) => payment.id))
+            .eq('status', 'pending');
+
+        if (cancelError) {
+            throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Create payment intent for an order
+ */
+const createOrderPayment = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { provider: providerName } = req.body;
+
+    const provider = getProvider(providerName);
+    const order = await getAccessibleOrder(id, user);
+
+    // Only the ordering customer (or an admin) pays for an order
+    if (user.role !== 'admin' && order.customer_id !== user.id) {
+        throw new AppError('Only the customer can pay for this order', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (order.status === 'cancelled') {
+        throw new AppError('Cannot pay for a cancelled order', 400, 'ORDER_CANCELLED');
+    }
+
+    if (order.payment_status === 'paid' || order.payment_status === 'refunded') {
+        throw new AppError('Order is already paid', 400, 'ORDER_ALREADY_PAID');
+    }
+
+    // A pre-order deposit may already cover part of the total
+    const { data: paidPayments, error: paidError } = await supabaseAdmin
+        .from('payments')
+        .select('amount, refunded_amount')
+        .eq('order_id', id)
+        .eq('status', 'paid')
+        .eq('refund_required', false);
+
+    if (paidError) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    const alreadyPaid = paidPayments.reduce((sum, paid) => sum + Number(paid.amount) - Number(paid.refunded_amount || 0), 0);
+    const amount = Number(order.total_price) - alreadyPaid;
+
+    if (amount <= 0) {
+        throw new AppError('Nothing is left to pay for this order', 400, 'ORDER_ALREADY_PAID');
+    }
+
+    const existing = await supersedePendingPayments('order_id', id, provider.name, amount);
+    if (existing) {
+        return res.status(200).json({
+            success: true,
+            message: 'Payment already in progress',
+            data: { payment: existing }
+        });
+    }
+
+    const { data: payment, error } = await supabaseAdmin
+        .from('payments')
+        .insert({
+            order_id: id,
+            provider: provider.name,
+            amount,
+            currency: 'BDT',
+            status: 'pending',
+            created_by: user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    let gatewayPayment;
+    try {
+        gatewayPayment = await provider.createPayment({ payment, order });
+    } catch (gatewayError) {
+        console.error('Payment gateway error:', gatewayError);
+        await supabaseAdmin.from('payments').update({ status: 'failed' }).eq('id', payment.id);
+        throw new AppError('Payment gateway is unavailable, please try again', 502, 'PAYMENT_GATEWAY_ERROR');
+    }
+
+    const { data: updatedPayment, error: updateError } = await supabaseAdmin
+        .from('payments')
+        .update({
+            provider_payment_id: gatewayPayment.providerPaymentId,
+            checkout_url: gatewayPayment.checkoutUrl
+        })
+        .eq('id', payment.id)
+        .select()
+        .single();
+
+    if (updateError) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    await setOrderPaymentStatus(id, 'pending');
+
+    await recordOrderEvent({
+        orderId: id,
+        eventType: 'payment_updated',
+        actor: user,
+        metadata: {
+            payment_id: payment.id,
+            provider: provider.name,
+            status: 'pending'
+        }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Payment created successfully',
+        data: { payment: updatedPayment }
+    });
+});
+
+/**
+ * Create payment intent for a pre-order's advance deposit (Customer only)
+ */
+const createPreorderDeposit = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { provider: providerName } = req.body;
+
+    const provider = getProvider(providerName);
+
+    // Deposits are paid now, before there is anything to deliver
+    if (provider.settlesOnDelivery) {
+        throw new AppError('Deposits must be paid online', 400, 'INVALID_PAYMENT_PROVIDER');
+    }
+
+    const { data: preorder, error: preorderError } = await supabaseAdmin
+        .from('preorders')
+        .select('*')
+        .eq('id', id)
+        .single();
+
+    if (preorderError || !preorder) {
+        throw new AppError('Pre-order not found', 404, 'PREORDER_NOT_FOUND');
+    }
+
+    if (preorder.customer_id !== user.id) {
+        throw new AppError('Only the customer can pay this deposit', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (preorder.status !== 'pending') {
+        throw new AppError(`Pre-order is already ${preorder.status}`, 400, 'PREORDER_CLOSED');
+    }
+
+    if (preorder.deposit_status === 'none') {
+        throw new AppError('This pre-order has no deposit', 400, 'NO_DEPOSIT');
+    }
+
+    if (preorder.deposit_status === 'paid') {
+        throw new AppError('Deposit is already paid', 400, 'DEPOSIT_ALREADY_PAID');
+    }
+
+    const existing = await supersedePendingPayments('preorder_id', id, provider.name, Number(preorder.deposit_amount));
+    if (existing) {
+        return res.status(200).json({
+            success: true,
+            message: 'Deposit payment already in progress',
+            data: { payment: existing }
+        });
+    }
+
+    const { data: payment, error } = await supabaseAdmin
+        .from('payments')
+        .insert({
+            preorder_id: id,
+            provider: provider.name,
+            amount: preorder.deposit_amount,
+            currency: 'BDT',
+            status: 'pending',
+            created_by: user.id
+        })
+        .select()
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    let gatewayPayment;
+    try {
+        gatewayPayment = await provider.createPayment({ payment });
+    } catch (gatewayError) {
+        console.error('Payment gateway error:', gatewayError);
+        await supabaseAdmin.from('payments').update({ status: 'failed' }).eq('id', payment.id);
+        throw new AppError('Payment gateway is unavailable, please try again', 502, 'PAYMENT_GATEWAY_ERROR');
+    }
+
+    const { data: updatedPayment, error: updateError } = await supabaseAdmin
+        .from('payments')
+        .update({
+            provider_payment_id: gatewayPayment.providerPaymentId,
+            checkout_url: gatewayPayment.checkoutUrl
+        })
+        .eq('id', payment.id)
+        .select()
+        .single();
+
+    if (updateError) {
+        throw new AppError('Failed to create payment', 500, 'PAYMENT_CREATE_FAILED');
+    }
+
+    await supabaseAdmin
+        .from('preorders')
+        .update({ deposit_status: 'pending' })
+        .eq('id', id)
+        .eq('status', 'pending');
+
+    res.status(201).json({
+        success: true,
+        message: 'Deposit payment created successfully',
+        data: { payment: updatedPayment }
+    });
+});
+
+/**
+ * Get payments for an order
+ */
+const getOrderPayments = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+
+    const order = await getAccessibleOrder(id, user);
+
+    const { data: payments, error } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('order_id', id)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw new AppError('Failed to fetch payments', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Payments retrieved successfully',
+        data: {
+            payment_status: order.payment_status,
+            payments
+        }
+    });
+});
+
+/**
+ * Handle payment gateway callback (signature verified, safe to retry)
+ */
+const handleWebhook = catchAsync(async (req, res) => {
+    const provider = getProvider(req.params.provider);
+
+    if (!provider.verifyWebhook(req)) {
+        throw new AppError('Invalid webhook signature', 401, 'INVALID_SIGNATURE');
+    }
+
+    const result = provider.parseWebhook(req.body);
+
+    // Progress updates are acknowledged; only a final result changes the payment
+    if (!result.status) {
+        return res.status(200).json({
+            success: true,
+            message: 'Webhook acknowledged'
+        });
+    }
+
+    const { data: payment, error } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('provider', provider.name)
+        .eq('provider_payment_id', result.providerPaymentId)
+        .single();
+
+    if (error || !payment) {
+        throw new AppError('Payment not found', 404, 'PAYMENT_NOT_FOUND');
+    }
+
+    const applied = await completePayment(payment, result);
+
+    res.status(200).json({
+        success: true,
+        message: applied ? 'Payment updated successfully' : 'Payment already processed'
+    });
+});
+
+module.exports = {
+    createOrderPayment,
+    createPreorderDeposit,
+    getOrderPayments,
+    handleWebhook
+};
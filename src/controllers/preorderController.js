@@ -0,0 +1,427 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, placeOrder } = require('../utils/orderPlacement');
+const { getTierUnitPrice } = require('../utils/priceTiers');
+const { getLocalDate } = require('../utils/dates');
+const { notifyUser } = require('../utils/notifications');
+const { refundPreorderDeposit, applyPreorderDeposit } = require('../payments');
+
+const PREORDER_SELECT = `
+    *,
+    product:products(id, name, unit, image_url, expected_harvest_date),
+    customer:users!customer_id(id, name, phone),
+    farmer:users!farmer_id(id, name, phone),
+    order:orders(id, status, total_price, payment_status)
+`;
+
+/**
+ * Fetch a pre-order the user is party to (or any pre-order for admins), or throw 404/403
+ */
+const getAccessiblePreorder = async (preorderId, user, select = '*') => {
+    const { data: preorder, error } = await supabaseAdmin
+        .from('preorders')
+        .select(select)
+        .eq('id', preorderId)
+        .single();
+
+    if (error || !preorder) {
+        throw new AppError('Pre-order not found', 404, 'PREORDER_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && preorder.customer_id !== user.id && preorder.farmer_id !== user.id) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    return preorder;
+};
+
+/**
+ * Cancel pending deposit intents and refund a paid deposit, returning the deposit status to store
+ */
+const releaseDeposit = async (preorder) => {
+    await supabaseAdmin
+        .from('payments')
+        .update({ status: 'cancelled' })
+        .eq('preorder_id', preorder.id)
+        .eq('status', 'pending');
+
+    switch (preorder.deposit_status) {
+        case 'paid':
+            return refundPreorderDeposit(preorder.id);
+        case 'none':
+        case 'refunded':
+            return preorder.deposit_status;
+        default:
+            return 'unpaid';
+    }
+};
+
+/**
+ * Pre-order part of a product's projected harvest at today's price for the quantity,
+ * optionally with an advance deposit (Customer only)
+ */
+const createPreorder = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { product_id, quantity, deposit_amount, accept_partial, delivery_address, customer_notes } = req.body;
+
+    const [product] = await loadOrderProducts([product_id]);
+
+    if (!product.expected_harvest_date || product.expected_harvest_date < getLocalDate()) {
+        throw new AppError('This product is not taking pre-orders', 400, 'PREORDERS_NOT_OPEN');
+    }
+
+    const unitPrice = getTierUnitPrice(product, quantity);
+
+    if (deposit_amount > unitPrice * quantity) {
+        throw new AppError('Deposit cannot exceed the pre-order total', 400, 'DEPOSIT_TOO_HIGH');
+    }
+
+    const { data: preorderId, error } = await supabaseAdmin.rpc('place_preorder', {
+        p_preorder: {
+            product_id: product.id,
+            customer_id: user.id,
+            farmer_id: product.farmer_id,
+            quantity,
+            unit_price: unitPrice,
+            accept_partial,
+            deposit_amount: deposit_amount || 0,
+            delivery_address,
+            customer_notes
+        }
+    });
+
+    if (error) {
+        if (error.message === 'PREORDER_QUANTITY_UNAVAILABLE') {
+            const remaining = Math.max(Number(product.projected_quantity) - Number(product.preordered_quantity), 0);
+            throw new AppError(`Only ${remaining} ${product.unit} of the projected harvest is left to pre-order`, 400, 'PREORDER_QUANTITY_UNAVAILABLE');
+        }
+        throw new AppError('Failed to create pre-order', 500, 'CREATE_FAILED');
+    }
+
+    const { data: preorder, error: fetchError } = await supabaseAdmin
+        .from('preorders')
+        .select(PREORDER_SELECT)
+        .eq('id', preorderId)
+        .single();
+
+    if (fetchError) {
+        throw new AppError('Failed to fetch pre-order', 500, 'FETCH_FAILED');
+    }
+
+    await notifyUser({
+        userId: product.farmer_id,
+        type: 'preorder_received',
+        title: {
+            en: 'New pre-order',
+            bn: 'নতুন প্রি-অর্ডার'
+        },
+        message: {
+            en: `${user.name} pre-ordered ${quantity} ${product.unit} of ${product.name} from your upcoming harvest.`,
+            bn: `${user.name} আপনার আসন্ন ফসল থেকে ${product.name} এর ${quantity} ${product.unit} প্রি-অর্ডার করেছেন।`
+        },
+        data: { preorder_id: preorderId, product_id: product.id }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Pre-order created successfully',
+        data: { preorder }
+    });
+});
+
+/**
+ * Get pre-orders the user placed (customers) or received (farmers); admins see all
+ */
+const getPreorders = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        product_id,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('preorders')
+        .select(PREORDER_SELECT, { count: 'exact' });
+
+    // Apply role-based filtering
+    switch (user.role) {
+        case 'customer':
+            query = query.eq('customer_id', user.id);
+            break;
+        case 'farmer':
+            query = query.eq('farmer_id', user.id);
+            break;
+        case 'admin':
+            break;
+        default:
+            throw new AppError('Only customers and farmers have pre-orders', 403, 'INVALID_ROLE');
+    }
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: preorders, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch pre-orders', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Pre-orders retrieved successfully',
+        data: {
+            preorders,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get single pre-order
+ */
+const getPreorder = catchAsync(async (req, res) => {
+    const preorder = await getAccessiblePreorder(req.params.id, req.user, PREORDER_SELECT);
+
+    res.status(200).json({
+        success: true,
+        message: 'Pre-order retrieved successfully',
+        data: { preorder }
+    });
+});
+
+/**
+ * Cancel a pending pre-order, refunding any paid deposit (Customer/Admin)
+ */
+const cancelPreorder = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { reason } = req.body;
+    const current = await getAccessiblePreorder(req.params.id, user);
+
+    if (user.role !== 'admin' && current.customer_id !== user.id) {
+        throw new AppError('Only the customer can cancel this pre-order', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const { data: cancelled, error } = await supabaseAdmin.rpc('cancel_preorder', {
+        p_preorder_id: current.id,
+        p_reason: reason
+    });
+
+    if (error) {
+        throw new AppError('Failed to cancel pre-order', 500, 'CANCEL_FAILED');
+    }
+
+    if (!cancelled) {
+        throw new AppError('Only pending pre-orders can be cancelled', 400, 'PREORDER_CLOSED');
+    }
+
+    const depositStatus = await releaseDeposit(current);
+
+    const { data: preorder } = await supabaseAdmin
+        .from('preorders')
+        .update({ deposit_status: depositStatus })
+        .eq('id', current.id)
+        .select(PREORDER_SELECT)
+        .single();
+
+    res.status(200).json({
+        success: true,
+        message: 'Pre-order cancelled successfully',
+        data: { preorder }
+    });
+});
+
+/**
+ * Turn one pre-order into an order for the share of the harvest record_harvest set aside for it,
+ * at the locked-in price; a pre-order whose share is nothing is marked unfilled.
+ * Returns the outcome for the harvest report.
+ */
+const convertPreorder = async (preorder, actor) => {
+    const wanted = Number(preorder.quantity);
+    const fill = Number(preorder.fulfilled_quantity);
+
+    if (!fill) {
+        // Claimed through the status so the deposit is only released once
+        const { data: unfilled } = await supabaseAdmin
+            .from('preorders')
+            .update({ status: 'unfilled' })
+            .eq('id', preorder.id)
+            .eq('status', 'processing')
+            .select('id')
+            .maybeSingle();
+
+        if (!unfilled) {
+            throw new AppError('Pre-order has already been handled', 409, 'PREORDER_ALREADY_HANDLED');
+        }
+
+        const depositStatus = await releaseDeposit(preorder);
+
+        await supabaseAdmin
+            .from('preorders')
+            .update({ deposit_status: depositStatus })
+            .eq('id', preorder.id);
+
+        await notifyUser({
+            userId: preorder.customer_id,
+            type: 'preorder_unfilled',
+            title: {
+                en: 'Pre-order could not be filled',
+                bn: 'প্রি-অর্ডার পূরণ করা যায়নি'
+            },
+            message: {
+                en: `The ${preorder.product.name} harvest fell short of your pre-order.${preorder.deposit_status === 'paid' ? ' Your deposit is being refunded.' : ''}`,
+                bn: `${preorder.product.name} এর ফলন আপনার প্রি-অর্ডারের চেয়ে কম হয়েছে।${preorder.deposit_status === 'paid' ? ' আপনার অগ্রিম ফেরত দেওয়া হচ্ছে।' : ''}`
+            },
+            data: { preorder_id: preorder.id, product_id: preorder.product_id }
+        });
+
+        return { preorder_id: preorder.id, status: 'unfilled', fulfilled_quantity: 0 };
+    }
+
+    const [product] = await loadOrderProducts([preorder.product_id]);
+
+    // The share never went into available stock; placing the order marks the pre-order converted
+    const order = await placeOrder({
+        customerId: preorder.customer_id,
+        actor,
+        lines: [{ product, quantity: fill, unitPrice: Number(preorder.unit_price), stockReserved: true }],
+        deliveryAddress: preorder.delivery_address,
+        customerNotes: preorder.customer_notes,
+        preorderId: preorder.id
+    });
+
+    // Unpaid deposit intents are superseded by paying for the order itself
+    await supabaseAdmin
+        .from('payments')
+        .update({ status: 'cancelled' })
+        .eq('preorder_id', preorder.id)
+        .eq('status', 'pending');
+
+    if (preorder.deposit_status === 'paid') {
+        await applyPreorderDeposit(preorder.id, order, actor);
+    }
+
+    await notifyUser({
+        userId: preorder.customer_id,
+        type: 'preorder_converted',
+        title: {
+            en: 'Your pre-order is now an order',
+            bn: 'আপনার প্রি-অর্ডার এখন অর্ডার'
+        },
+        message: fill < wanted
+            ? {
+                en: `The harvest fell short: ${fill} of ${wanted} ${product.unit} of ${product.name} were ordered for you.`,
+                bn: `ফলন কম হয়েছে: ${product.name} এর ${wanted} ${product.unit} এর মধ্যে ${fill} ${product.unit} আপনার জন্য অর্ডার করা হয়েছে।`
+            }
+            : {
+                en: `${fill} ${product.unit} of ${product.name} have been harvested and ordered for you.`,
+                bn: `${product.name} এর ${fill} ${product.unit} সংগ্রহ করে আপনার জন্য অর্ডার করা হয়েছে।`
+            },
+        data: { preorder_id: preorder.id, order_id: order.id }
+    });
+
+    return {
+        preorder_id: preorder.id,
+        status: 'converted',
+        fulfilled_quantity: fill,
+        shortfall: wanted - fill,
+        order_id: order.id
+    };
+};
+
+/**
+ * Record a product's harvest and turn its pending pre-orders into orders, first come
+ * first served (Farmer/Admin). A harvest is recorded once; calling it again with
+ * quantity 0 retries pre-orders that could not be processed.
+ */
+const recordHarvest = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { quantity } = req.body;
+
+    const { data: product, error: productError } = await supabaseAdmin
+        .from('products')
+        .select('id, farmer_id, projected_quantity')
+        .eq('id', id)
+        .single();
+
+    if (productError || !product) {
+        throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && product.farmer_id !== user.id) {
+        throw new AppError('You can only record harvests of your own products', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    const { error: harvestError } = await supabaseAdmin.rpc('record_harvest', {
+        p_product_id: id,
+        p_quantity: quantity
+    });
+
+    if (harvestError) {
+        if (harvestError.message === 'HARVEST_ALREADY_RECORDED') {
+            throw new AppError('The harvest of this product has already been recorded', 409, 'HARVEST_ALREADY_RECORDED');
+        }
+        throw new AppError('Failed to record harvest', 500, 'UPDATE_FAILED');
+    }
+
+    const { data: preorders, error } = await supabaseAdmin
+        .from('preorders')
+        .select('*, product:products(name, unit)')
+        .eq('product_id', id)
+        .eq('status', 'processing')
+        .order('created_at');
+
+    if (error) {
+        throw new AppError('Failed to fetch pre-orders', 500, 'FETCH_FAILED');
+    }
+
+    const results = [];
+    for (const preorder of preorders) {
+        try {
+            results.push(await convertPreorder(preorder, user));
+        } catch (conversionError) {
+            // Left processing so the farmer can retry; later pre-orders are still processed
+            console.error('Failed to convert pre-order:', conversionError);
+            results.push({ preorder_id: preorder.id, status: 'processing', error: conversionError.message });
+        }
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Harvest recorded successfully',
+        data: {
+            harvest: {
+                product_id: id,
+                quantity,
+                projected_quantity: product.projected_quantity
+            },
+            preorders: results
+        }
+    });
+});
+
+module.exports = {
+    createPreorder,
+    getPreorders,
+    getPreorder,
+    cancelPreorder,
+    recordHarvest
+};
@@ -0,0 +1,450 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, placeOrder } = require('../utils/orderPlacement');
+const { matchAgent } = require('../utils/agentMatching');
+const { notifyUser } = require('../utils/notifications');
+const { getTierUnitPrice } = require('../utils/priceTiers');
+
+// How long the other side has to answer an offer or counter-offer
+const PRICE_OFFER_RESPONSE_HOURS = parseInt(process.env.PRICE_OFFER_RESPONSE_HOURS) || 48;
+// How long the customer has to order an accepted offer
+const PRICE_OFFER_ORDER_HOURS = parseInt(process.env.PRICE_OFFER_ORDER_HOURS) || 24;
+
+const OFFER_SELECT = `
+    *,
+    product:products(id, name, unit, price, image_url, district_id),
+    customer:users!customer_id(id, name, phone),
+    farmer:users!farmer_id(id, name, phone),
+    order:orders(id, status, total_price)
+`;
+
+const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+
+/**
+ * Whose answer an offer is waiting for: the farmer on a new offer,
+ * the customer on a counter-offer, nobody once it is settled
+ */
+const getOfferTurn = (offer) => {
+    switch (offer.status) {
+        case 'pending':
+            return 'farmer';
+        case 'countered':
+            return 'customer';
+        default:
+            return null;
+    }
+};
+
+/**
+ * Fetch an offer the user negotiates (or any offer for admins), or throw 404/403
+ */
+const getAccessibleOffer = async (offerId, user, select = '*') => {
+    const { data: offer, error } = await supabaseAdmin
+        .from('price_offers')
+        .select(select)
+        .eq('id', offerId)
+        .single();
+
+    if (error || !offer) {
+        throw new AppError('Offer not found', 404, 'OFFER_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && offer.customer_id !== user.id && offer.farmer_id !== user.id) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    return offer;
+};
+
+/**
+ * Fetch an offer that is waiting for this user's answer, or throw
+ */
+const getOfferAwaitingUser = async (offerId, user) => {
+    const offer = await getAccessibleOffer(offerId, user);
+    const turn = getOfferTurn(offer);
+
+    if (!turn) {
+        throw new AppError(`Offer is already ${offer.status}`, 400, 'OFFER_CLOSED');
+    }
+
+    if (new Date(offer.expires_at) <= new Date()) {
+        throw new AppError('Offer has expired', 400, 'OFFER_EXPIRED');
+    }
+
+    const userId = turn === 'farmer' ? offer.farmer_id : offer.customer_id;
+    if (userId !== user.id) {
+        throw new AppError(`Offer is waiting for the ${turn}'s answer`, 403, 'NOT_YOUR_TURN');
+    }
+
+    return offer;
+};
+
+/**
+ * Apply an answer only if the offer has not changed or expired since it was read,
+ * so the farmer and customer cannot both act on the same turn
+ */
+const updateOfferTurn = async (offer, changes) => {
+    const { data: updatedOffer, error } = await supabaseAdmin
+        .from('price_offers')
+        .update({ ...changes, responded_at: new Date().toISOString() })
+        .eq('id', offer.id)
+        .eq('status', offer.status)
+        .gt('expires_at', new Date().toISOString())
+        .select(OFFER_SELECT)
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to update offer', 500, 'UPDATE_FAILED');
+    }
+
+    if (!updatedOffer) {
+        throw new AppError('Offer was answered or expired in the meantime', 409, 'OFFER_CHANGED');
+    }
+
+    return updatedOffer;
+};
+
+/**
+ * Make a price offer on a product for a quantity (Customer only)
+ */
+const createPriceOffer = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { product_id, quantity, unit_price, note } = req.body;
+
+    const [product] = await loadOrderProducts([product_id]);
+
+    // Compare with what this quantity would cost, wholesale tiers included
+    if (unit_price >= getTierUnitPrice(product, quantity)) {
+        throw new AppError('Offer must be below the listed price; order the product instead', 400, 'OFFER_NOT_BELOW_PRICE');
+    }
+
+    if (product.available_quantity < quantity) {
+        throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+    }
+
+    const { data: offer, error } = await supabaseAdmin
+        .from('price_offers')
+        .insert({
+            product_id: product.id,
+            customer_id: user.id,
+            farmer_id: product.farmer_id,
+            quantity,
+            offered_price: unit_price,
+            customer_note: note,
+            expires_at: hoursFromNow(PRICE_OFFER_RESPONSE_HOURS)
+        })
+        .select(OFFER_SELECT)
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to create offer', 500, 'CREATE_FAILED');
+    }
+
+    await notifyUser({
+        userId: product.farmer_id,
+        type: 'price_offer_received',
+        title: {
+            en: 'New price offer',
+            bn: 'নতুন দামের প্রস্তাব'
+        },
+        message: {
+            en: `${user.name} offers ৳${unit_price} per ${product.unit} for ${quantity} ${product.unit} of ${product.name}.`,
+            bn: `${user.name} ${product.name} এর ${quantity} ${product.unit} এর জন্য প্রতি ${product.unit} ৳${unit_price} প্রস্তাব করেছেন।`
+        },
+        data: { price_offer_id: offer.id, product_id: product.id }
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Offer submitted successfully',
+        data: { offer }
+    });
+});
+
+/**
+ * Get offers the user made (customers) or received (farmers); admins see all
+ */
+const getPriceOffers = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        product_id,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('price_offers')
+        .select(OFFER_SELECT, { count: 'exact' });
+
+    // Apply role-based filtering
+    switch (user.role) {
+        case 'customer':
+            query = query.eq('customer_id', user.id);
+            break;
+        case 'farmer':
+            query = query.eq('farmer_id', user.id);
+            break;
+        case 'admin':
+            break;
+        default:
+            throw new AppError('Only customers and farmers negotiate offers', 403, 'INVALID_ROLE');
+    }
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: offers, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch offers', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Offers retrieved successfully',
+        data: {
+            offers,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get single offer
+ */
+const getPriceOffer = catchAsync(async (req, res) => {
+    const offer = await getAccessibleOffer(req.params.id, req.user, OFFER_SELECT);
+
+    res.status(200).json({
+        success: true,
+        message: 'Offer retrieved successfully',
+        data: { offer }
+    });
+});
+
+/**
+ * Accept the price on the table: the farmer accepts a new offer, the customer a counter-offer.
+ * The customer then has PRICE_OFFER_ORDER_HOURS to order at the agreed price.
+ */
+const acceptPriceOffer = catchAsync(async (req, res) => {
+    const user = req.user;
+    const current = await getOfferAwaitingUser(req.params.id, user);
+    const agreedPrice = current.status === 'pending' ? current.offered_price : current.counter_price;
+
+    const offer = await updateOfferTurn(current, {
+        status: 'accepted',
+        agreed_price: agreedPrice,
+        expires_at: hoursFromNow(PRICE_OFFER_ORDER_HOURS)
+    });
+
+    await notifyUser({
+        userId: user.id === offer.customer_id ? offer.farmer_id : offer.customer_id,
+        type: 'price_offer_accepted',
+        title: {
+            en: 'Price offer accepted',
+            bn: 'দামের প্রস্তাব গৃহীত হয়েছে'
+        },
+        message: user.id === offer.customer_id
+            ? {
+                en: `${user.name} accepted your counter-offer of ৳${agreedPrice} for ${offer.product.name}.`,
+                bn: `${user.name} ${offer.product.name} এর জন্য আপনার ৳${agreedPrice} পাল্টা প্রস্তাব গ্রহণ করেছেন।`
+            }
+            : {
+                en: `${user.name} accepted ৳${agreedPrice} for ${offer.product.name}. Place your order within ${PRICE_OFFER_ORDER_HOURS} hours.`,
+                bn: `${user.name} ${offer.product.name} এর জন্য ৳${agreedPrice} গ্রহণ করেছেন। ${PRICE_OFFER_ORDER_HOURS} ঘণ্টার মধ্যে অর্ডার করুন।`
+            },
+        data: { price_offer_id: offer.id, product_id: offer.product_id }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Offer accepted successfully',
+        data: { offer }
+    });
+});
+
+/**
+ * Turn down the price on the table, ending the negotiation
+ */
+const rejectPriceOffer = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { note } = req.body;
+    const current = await getOfferAwaitingUser(req.params.id, user);
+    const isFarmer = user.id === current.farmer_id;
+
+    const offer = await updateOfferTurn(current, {
+        status: 'rejected',
+        ...(note && (isFarmer ? { farmer_note: note } : { customer_note: note }))
+    });
+
+    await notifyUser({
+        userId: isFarmer ? offer.customer_id : offer.farmer_id,
+        type: 'price_offer_rejected',
+        title: {
+            en: 'Price offer rejected',
+            bn: 'দামের প্রস্তাব প্রত্যাখ্যাত হয়েছে'
+        },
+        message: {
+            en: `${user.name} rejected the price for ${offer.product.name}.`,
+            bn: `${user.name} ${offer.product.name} এর দাম প্রত্যাখ্যান করেছেন।`
+        },
+        data: { price_offer_id: offer.id, product_id: offer.product_id }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Offer rejected successfully',
+        data: { offer }
+    });
+});
+
+/**
+ * Answer a new offer with a higher unit price for the customer to accept or reject (Farmer only)
+ */
+const counterPriceOffer = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { unit_price, note } = req.body;
+    const current = await getOfferAwaitingUser(req.params.id, user);
+
+    if (current.status !== 'pending') {
+        throw new AppError('Only new offers can be countered', 400, 'OFFER_CLOSED');
+    }
+
+    if (unit_price <= current.offered_price) {
+        throw new AppError('Counter price must be above the offered price; accept the offer instead', 400, 'INVALID_COUNTER_PRICE');
+    }
+
+    const offer = await updateOfferTurn(current, {
+        status: 'countered',
+        counter_price: unit_price,
+        farmer_note: note,
+        expires_at: hoursFromNow(PRICE_OFFER_RESPONSE_HOURS)
+    });
+
+    await notifyUser({
+        userId: offer.customer_id,
+        type: 'price_offer_countered',
+        title: {
+            en: 'Counter-offer received',
+            bn: 'পাল্টা প্রস্তাব এসেছে'
+        },
+        message: {
+            en: `${user.name} asks ৳${unit_price} per ${offer.product.unit} for ${offer.product.name}.`,
+            bn: `${user.name} ${offer.product.name} এর জন্য প্রতি ${offer.product.unit} ৳${unit_price} চেয়েছেন।`
+        },
+        data: { price_offer_id: offer.id, product_id: offer.product_id }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Counter-offer sent successfully',
+        data: { offer }
+    });
+});
+
+/**
+ * Order an accepted offer's quantity at the agreed unit price (Customer only).
+ * The offer is claimed first so it can only be ordered once.
+ */
+const orderPriceOffer = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { id } = req.params;
+    const { agent_id, auto_assign, delivery_slot_id, delivery_address, customer_notes } = req.body;
+
+    const { data: claimed, error: claimError } = await supabaseAdmin
+        .from('price_offers')
+        .update({ status: 'ordered' })
+        .eq('id', id)
+        .eq('customer_id', user.id)
+        .eq('status', 'accepted')
+        .gt('expires_at', new Date().toISOString())
+        .select()
+        .maybeSingle();
+
+    if (claimError) {
+        throw new AppError('Failed to order offer', 500, 'UPDATE_FAILED');
+    }
+
+    if (!claimed) {
+        const offer = await getAccessibleOffer(id, user);
+        if (offer.customer_id !== user.id) {
+            throw new AppError('Only the customer who made the offer can order it', 403, 'ACCESS_DENIED');
+        }
+        if (offer.status === 'accepted') {
+            throw new AppError('Offer has expired', 400, 'OFFER_EXPIRED');
+        }
+        throw new AppError(`Only accepted offers can be ordered; this one is ${offer.status}`, 400, 'OFFER_NOT_ACCEPTED');
+    }
+
+    let order;
+    let matching = null;
+    try {
+        const [product] = await loadOrderProducts([claimed.product_id]);
+
+        // Let the matcher choose the agent; the order is placed without one if nobody is available
+        matching = auto_assign ? await matchAgent({ districtId: product.district_id }) : null;
+
+        order = await placeOrder({
+            customerId: user.id,
+            actor: user,
+            lines: [{ product, quantity: Number(claimed.quantity), unitPrice: Number(claimed.agreed_price) }],
+            agentId: matching ? matching.selected_agent_id : agent_id,
+            deliverySlotId: delivery_slot_id,
+            deliveryAddress: delivery_address,
+            customerNotes: customer_notes
+        });
+    } catch (error) {
+        // Give the offer back so the customer can fix the problem and try again
+        await supabaseAdmin
+            .from('price_offers')
+            .update({ status: 'accepted' })
+            .eq('id', id)
+            .eq('status', 'ordered')
+            .is('order_id', null);
+        throw error;
+    }
+
+    const { data: offer, error } = await supabaseAdmin
+        .from('price_offers')
+        .update({ order_id: order.id })
+        .eq('id', id)
+        .select(OFFER_SELECT)
+        .single();
+
+    if (error) {
+        console.error('Failed to link order to price offer:', error);
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Order created successfully',
+        data: matching ? { order, offer, matching } : { order, offer }
+    });
+});
+
+module.exports = {
+    createPriceOffer,
+    getPriceOffers,
+    getPriceOffer,
+    acceptPriceOffer,
+    rejectPriceOffer,
+    counterPriceOffer,
+    orderPriceOffer
+};
@@ -1,6 +1,8 @@
 const { supabaseAdmin } = require('../config/supabase');
 const { catchAsync, AppError } = require('../middlewares/errorHandler');
 const { deleteImage } = require('../middlewares/uploadEnhanced');
+const { parsePriceTiers, checkPriceTiers, getPriceTable } = require('../utils/priceTiers');
+const { getLocalDate } = require('../utils/dates');
 
 /**
  * Get all products with filtering and pagination
@@ -13,6 +15,7 @@ const getProducts = catchAsync(async (req, res) => {
         search,
         min_price,
         max_price,
+        upcoming_harvest,
         page = 1,
         limit = 20,
         sort_by = 'created_at',
@@ -23,7 +26,7 @@ const getProducts = catchAsync(async (req, res) => {
         .from('products')
         .select(`
             *,
-            farmer:users!farmer_id(id, name, phone, image_url),
+            farmer:users!farmer_id(id, name, phone, image_url, rating_average, rating_count),
             district:districts(id, name)
         `)
         .eq('is_active', true);
@@ -53,12 +56,19 @@ const getProducts = catchAsync(async (req, res) => {
         query = query.lte('price', parseFloat(max_price));
     }
 
-    // Apply sorting
-    const validSortFields = ['created_at', 'updated_at', 'price', 'name'];
+    // Products taking pre-orders for an upcoming harvest
+    if (upcoming_harvest === 'true') {
+        query = query.gte('expected_harvest_date', getLocalDate());
+    }
+
+    // Apply sorting; by rating, unrated products come last either way
+    const validSortFields = ['created_at', 'updated_at', 'price', 'name', 'rating'];
     const sortField = validSortFields.includes(sort_by) ? sort_by : 'created_at';
     const sortDirection = sort_order === 'asc' ? { ascending: true } : { ascending: false };
 
-    query = query.order(sortField, sortDirection);
+    query = sortField === 'rating'
+        ? query.order('rating_average', { ...sortDirection, nullsFirst: false }).order('rating_count', { ascending: false })
+        : query.order(sortField, sortDirection);
 
     // Apply pagination
     const offset = (parseInt(page) - 1) * parseInt(limit);
@@ -95,7 +105,7 @@ const getProduct = catchAsync(async (req, res) => {
         .from('products')
         .select(`
             *,
-            farmer:users!farmer_id(id, name, phone, image_url),
+            farmer:users!farmer_id(id, name, phone, image_url, rating_average, rating_count),
             district:districts(id, name)
         `)
         .eq('id', id)
@@ -109,7 +119,7 @@ const getProduct = catchAsync(async (req, res) => {
     res.status(200).json({
         success: true,
         message: 'Product retrieved successfully',
-        data: { product }
+        data: { product: { ...product, price_table: getPriceTable(product) } }
     });
 });
 
@@ -118,16 +128,29 @@ const getProduct = catchAsync(async (req, res) => {
  */
 const createProduct = catchAsync(async (req, res) => {
     const user = req.user;
-    const productData = req.body;
+    // Ratings come from reviews and pre-ordered quantities from pre-orders
+    const { rating_average, rating_count, preordered_quantity, ...productData } = req.body;
 
     // Ensure only farmers can create products
     if (user.role !== 'farmer' && user.role !== 'admin') {
         throw new AppError('Only farmers can create products', 403, 'INSUFFICIENT_PERMISSIONS');
     }
 
-    // Add farmer ID and image URL
+    const priceTiers = parsePriceTiers(productData.price_tiers) || [];
+
+    try {
+        checkPriceTiers(productData.price, priceTiers);
+    } catch (error) {
+        if (req.imageUrl) {
+            await deleteImage(req.imageUrl);
+        }
+        throw error;
+    }
+
+    // Add farmer ID, price tiers and image URL
     const newProduct = {
         ...productData,
+        price_tiers: priceTiers,
         farmer_id: user.id,
         image_url: req.imageUrl || null
     };
@@ -163,7 +186,8 @@ const createProduct = catchAsync(async (req, res) => {
 const updateProduct = catchAsync(async (req, res) => {
     const { id } = req.params;
     const user = req.user;
-    const updateData = req.body;
+    // Ratings come from reviews and pre-ordered quantities from pre-orders
+    const { rating_average, rating_count, preordered_quantity, ...updateData } = req.body;
 
     // Get existing product
     const { data: existingProduct, error: fetchError } = await supabaseAdmin
@@ -183,6 +207,22 @@ const updateProduct = catchAsync(async (req, res) => {
 
     // Prepare update data
     const updatedData = { ...updateData };
+
+    // Existing tiers must stay cheaper than a changed base price
+    const priceTiers = parsePriceTiers(updateData.price_tiers);
+    if (priceTiers !== undefined || updateData.price !== undefined) {
+        try {
+            checkPriceTiers(updateData.price ?? existingProduct.price, priceTiers ?? existingProduct.price_tiers);
+        } catch (error) {
+            if (req.imageUrl) {
+                await deleteImage(req.imageUrl);
+            }
+            throw error;
+        }
+    }
+    if (priceTiers !== undefined) {
+        updatedData.price_tiers = priceTiers;
+    }
     
     // Add new image URL if uploaded
     if (req.imageUrl) {
@@ -0,0 +1,157 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { deleteImage } = require('../middlewares/uploadEnhanced');
+
+const REVIEW_SELECT = `
+    *,
+    reviewer:users!reviewer_id(id, name, image_url),
+    product:products(id, name, image_url),
+    farmer:users!farmer_id(id, name),
+    agent:users!agent_id(id, name)
+`;
+
+/**
+ * Rate the product (and with it the farmer) or the agent of a delivered order.
+ * Each product of an order and the order's agent can be reviewed once.
+ */
+const createReview = catchAsync(async (req, res) => {
+    const { id } = req.params;
+    const user = req.user;
+    const { target, rating, comment } = req.body;
+    const photoUrls = req.imageUrls || [];
+
+    // Uploaded photos are useless if the review is not created
+    const discardPhotos = () => Promise.all(photoUrls.map((url) => deleteImage(url)));
+
+    const { data: order, error: orderError } = await supabaseAdmin
+        .from('orders')
+        .select('id, status, customer_id, agent_id, product_id, product:products(farmer_id), items:order_items(product_id, product:products(farmer_id))')
+        .eq('id', id)
+        .single();
+
+    if (orderError || !order) {
+        await discardPhotos();
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (order.customer_id !== user.id) {
+        await discardPhotos();
+        throw new AppError('Only the customer of an order can review it', 403, 'ACCESS_DENIED');
+    }
+
+    if (order.status !== 'delivered') {
+        await discardPhotos();
+        throw new AppError('Only delivered orders can be reviewed', 400, 'ORDER_NOT_DELIVERED');
+    }
+
+    const review = {
+        order_id: order.id,
+        reviewer_id: user.id,
+        target_type: target,
+        rating,
+        comment,
+        photo_urls: photoUrls
+    };
+
+    if (target === 'agent') {
+        if (!order.agent_id) {
+            await discardPhotos();
+            throw new AppError('This order was not delivered by an agent', 400, 'NO_AGENT_TO_REVIEW');
+        }
+        review.agent_id = order.agent_id;
+    } else {
+        // Cart orders carry several products; the order's own product is the default
+        const productId = req.body.product_id || order.product_id;
+        const item = productId === order.product_id
+            ? order
+            : order.items.find((orderItem) => orderItem.product_id === productId);
+
+        if (!item) {
+            await discardPhotos();
+            throw new AppError('Product is not part of this order', 400, 'PRODUCT_NOT_IN_ORDER');
+        }
+        review.product_id = productId;
+        review.farmer_id = item.product.farmer_id;
+    }
+
+    const { data: createdReview, error } = await supabaseAdmin
+        .from('reviews')
+        .insert(review)
+        .select(REVIEW_SELECT)
+        .single();
+
+    if (error) {
+        await discardPhotos();
+        if (error.code === '23505') {
+            throw new AppError(`You have already reviewed this ${target} for this order`, 409, 'REVIEW_EXISTS');
+        }
+        throw new AppError('Failed to create review', 500, 'REVIEW_CREATE_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Review submitted successfully',
+        data: { review: createdReview }
+    });
+});
+
+/**
+ * Get visible reviews of a product, farmer or agent, newest first
+ */
+const getReviews = catchAsync(async (req, res) => {
+    const {
+        product_id,
+        farmer_id,
+        agent_id,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('reviews')
+        .select(REVIEW_SELECT, { count: 'exact' })
+        .eq('is_hidden', false);
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    if (farmer_id) {
+        query = query.eq('farmer_id', farmer_id);
+    }
+
+    if (agent_id) {
+        query = query.eq('agent_id', agent_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: reviews, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch reviews', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Reviews retrieved successfully',
+        data: {
+            reviews,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+module.exports = {
+    createReview,
+    getReviews
+};
@@ -0,0 +1,359 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { catchAsync, AppError } = require('../middlewares/errorHandler');
+const { loadOrderProducts, validateAgent } = require('../utils/orderPlacement');
+const { parseDate } = require('../utils/dates');
+const {
+    getEarliestDeliveryDate,
+    getFirstDeliveryDate,
+    getFollowingDeliveryDate,
+    getNextOrderableDate
+} = require('../utils/subscriptionSchedule');
+
+const SUBSCRIPTION_SELECT = `
+    *,
+    product:products(id, name, unit, price, image_url, available_quantity),
+    customer:users!customer_id(id, name, phone),
+    agent:users!agent_id(id, name, phone)
+`;
+
+// How far ahead a single delivery can be skipped
+const MAX_SKIP_DAYS = 366;
+
+/**
+ * Fetch a subscription the user is party to (or any subscription for admins), or throw 404/403
+ */
+const getAccessibleSubscription = async (subscriptionId, user, select = '*') => {
+    const { data: subscription, error } = await supabaseAdmin
+        .from('subscriptions')
+        .select(select)
+        .eq('id', subscriptionId)
+        .single();
+
+    if (error || !subscription) {
+        throw new AppError('Subscription not found', 404, 'SUBSCRIPTION_NOT_FOUND');
+    }
+
+    if (user.role !== 'admin' && subscription.customer_id !== user.id && subscription.farmer_id !== user.id) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    return subscription;
+};
+
+/**
+ * Fetch a subscription the user can change (its customer or an admin) that is not cancelled
+ */
+const getManageableSubscription = async (subscriptionId, user) => {
+    const subscription = await getAccessibleSubscription(subscriptionId, user);
+
+    if (user.role !== 'admin' && subscription.customer_id !== user.id) {
+        throw new AppError('Only the customer can change this subscription', 403, 'INSUFFICIENT_PERMISSIONS');
+    }
+
+    if (subscription.status === 'cancelled') {
+        throw new AppError('Subscription has been cancelled', 400, 'SUBSCRIPTION_CANCELLED');
+    }
+
+    return subscription;
+};
+
+/**
+ * Apply a change to a subscription as long as it is still in the status it was read in
+ */
+const updateSubscription = async (subscription, changes) => {
+    const { data: updated, error } = await supabaseAdmin
+        .from('subscriptions')
+        .update(changes)
+        .eq('id', subscription.id)
+        .eq('status', subscription.status)
+        .select(SUBSCRIPTION_SELECT)
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to update subscription', 500, 'UPDATE_FAILED');
+    }
+
+    if (!updated) {
+        throw new AppError('Subscription was changed by another request', 409, 'SUBSCRIPTION_CHANGED');
+    }
+
+    return updated;
+};
+
+/**
+ * Subscribe to a product delivered on a schedule (Customer only).
+ * Each cycle becomes an ordinary order SUBSCRIPTION_LEAD_DAYS before its delivery date.
+ */
+const createSubscription = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        product_id,
+        quantity,
+        frequency,
+        delivery_day,
+        agent_id,
+        start_date,
+        delivery_address,
+        customer_notes
+    } = req.body;
+
+    const [product] = await loadOrderProducts([product_id]);
+
+    // Only a preference; each delivery checks the agent's availability when it is ordered
+    if (agent_id) {
+        await validateAgent(agent_id, product.district_id, { availableOn: null });
+    }
+
+    // The first delivery must leave time to place its order
+    const earliest = getEarliestDeliveryDate();
+    const startDate = start_date ? parseDate(start_date) : earliest;
+    const schedule = { frequency, delivery_day: Number(delivery_day) };
+
+    const { data: subscription, error } = await supabaseAdmin
+        .from('subscriptions')
+        .insert({
+            customer_id: user.id,
+            product_id: product.id,
+            farmer_id: product.farmer_id,
+            agent_id: agent_id || null,
+            quantity,
+            frequency,
+            delivery_day: schedule.delivery_day,
+            next_delivery_date: getFirstDeliveryDate(schedule, startDate > earliest ? startDate : earliest),
+            delivery_address,
+            customer_notes
+        })
+        .select(SUBSCRIPTION_SELECT)
+        .single();
+
+    if (error) {
+        throw new AppError('Failed to create subscription', 500, 'CREATE_FAILED');
+    }
+
+    res.status(201).json({
+        success: true,
+        message: 'Subscription created successfully',
+        data: { subscription }
+    });
+});
+
+/**
+ * Get subscriptions the user has (customers) or that are for their products (farmers); admins see all
+ */
+const getSubscriptions = catchAsync(async (req, res) => {
+    const user = req.user;
+    const {
+        status,
+        product_id,
+        page = 1,
+        limit = 20
+    } = req.query;
+
+    let query = supabaseAdmin
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT, { count: 'exact' });
+
+    // Apply role-based filtering
+    switch (user.role) {
+        case 'customer':
+            query = query.eq('customer_id', user.id);
+            break;
+        case 'farmer':
+            query = query.eq('farmer_id', user.id);
+            break;
+        case 'admin':
+            break;
+        default:
+            throw new AppError('Only customers and farmers have subscriptions', 403, 'INVALID_ROLE');
+    }
+
+    if (status) {
+        query = query.eq('status', status);
+    }
+
+    if (product_id) {
+        query = query.eq('product_id', product_id);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: subscriptions, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch subscriptions', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Subscriptions retrieved successfully',
+        data: {
+            subscriptions,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Get single subscription with its recent and skipped delivery cycles
+ */
+const getSubscription = catchAsync(async (req, res) => {
+    const subscription = await getAccessibleSubscription(req.params.id, req.user, SUBSCRIPTION_SELECT);
+
+    const { data: runs, error } = await supabaseAdmin
+        .from('subscription_runs')
+        .select('id, delivery_date, status, failure_code, failure_reason, order:orders(id, status, total_price)')
+        .eq('subscription_id', subscription.id)
+        .order('delivery_date', { ascending: false })
+        .limit(20);
+
+    if (error) {
+        throw new AppError('Failed to fetch subscription deliveries', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Subscription retrieved successfully',
+        data: { subscription: { ...subscription, runs } }
+    });
+});
+
+/**
+ * Pause an active subscription; no orders are placed until it is resumed
+ */
+const pauseSubscription = catchAsync(async (req, res) => {
+    const current = await getManageableSubscription(req.params.id, req.user);
+
+    if (current.status !== 'active') {
+        throw new AppError('Only active subscriptions can be paused', 400, 'SUBSCRIPTION_NOT_ACTIVE');
+    }
+
+    const subscription = await updateSubscription(current, {
+        status: 'paused',
+        paused_at: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Subscription paused successfully',
+        data: { subscription }
+    });
+});
+
+/**
+ * Resume a paused subscription from the next delivery that can still be ordered in time
+ */
+const resumeSubscription = catchAsync(async (req, res) => {
+    const current = await getManageableSubscription(req.params.id, req.user);
+
+    if (current.status !== 'paused') {
+        throw new AppError('Only paused subscriptions can be resumed', 400, 'SUBSCRIPTION_NOT_PAUSED');
+    }
+
+    const subscription = await updateSubscription(current, {
+        status: 'active',
+        paused_at: null,
+        next_delivery_date: getNextOrderableDate(current)
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Subscription resumed successfully',
+        data: { subscription }
+    });
+});
+
+/**
+ * Skip one upcoming delivery, the next one by default. Skipping the next delivery
+ * moves the subscription on to the following one straight away.
+ */
+const skipSubscriptionDelivery = catchAsync(async (req, res) => {
+    const current = await getManageableSubscription(req.params.id, req.user);
+    const nextDate = current.status === 'paused' ? getNextOrderableDate(current) : current.next_delivery_date;
+    const deliveryDate = req.body.delivery_date ? parseDate(req.body.delivery_date) : nextDate;
+
+    // The date must be one of the subscription's upcoming deliveries
+    const horizon = new Date(Date.now() + MAX_SKIP_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    let cycleDate = nextDate;
+    while (cycleDate < deliveryDate && cycleDate <= horizon) {
+        cycleDate = getFollowingDeliveryDate(current, cycleDate);
+    }
+
+    if (cycleDate !== deliveryDate) {
+        throw new AppError('Date is not an upcoming delivery of this subscription', 400, 'INVALID_DELIVERY_DATE');
+    }
+
+    const { error } = await supabaseAdmin
+        .from('subscription_runs')
+        .insert({
+            subscription_id: current.id,
+            delivery_date: deliveryDate,
+            status: 'skipped'
+        });
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new AppError('This delivery has already been skipped or ordered', 409, 'DELIVERY_ALREADY_HANDLED');
+        }
+        throw new AppError('Failed to skip delivery', 500, 'UPDATE_FAILED');
+    }
+
+    let subscription = current;
+    if (current.status === 'active' && deliveryDate === current.next_delivery_date) {
+        const { data: advanced } = await supabaseAdmin
+            .from('subscriptions')
+            .update({ next_delivery_date: getFollowingDeliveryDate(current, deliveryDate) })
+            .eq('id', current.id)
+            .eq('next_delivery_date', deliveryDate)
+            .select(SUBSCRIPTION_SELECT)
+            .maybeSingle();
+
+        subscription = advanced || current;
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Delivery skipped successfully',
+        data: {
+            subscription,
+            skipped_delivery_date: deliveryDate
+        }
+    });
+});
+
+/**
+ * Cancel a subscription for good; orders already placed are not affected
+ */
+const cancelSubscription = catchAsync(async (req, res) => {
+    const current = await getManageableSubscription(req.params.id, req.user);
+
+    const subscription = await updateSubscription(current, {
+        status: 'cancelled',
+        cancellation_reason: req.body.reason,
+        cancelled_at: new Date().toISOString()
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Subscription cancelled successfully',
+        data: { subscription }
+    });
+});
+
+module.exports = {
+    createSubscription,
+    getSubscriptions,
+    getSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    skipSubscriptionDelivery,
+    cancelSubscription
+};
@@ -63,7 +63,8 @@ const getProfile = catchAsync(async (req, res) => {
  */
 const updateProfile = catchAsync(async (req, res) => {
     const user = req.user;
-    const updateData = req.body;
+    // Ratings are only ever set from reviews
+    const { rating_average, rating_count, ...updateData } = req.body;
 
     // Add new image URL if uploaded
     if (req.imageUrl) {
@@ -184,9 +185,83 @@ const deactivateAccount = catchAsync(async (req, res) => {
     });
 });
 
+/**
+ * Get current user's notifications
+ */
+const getNotifications = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { unread_only, page = 1, limit = 20 } = req.query;
+
+    let query = supabaseAdmin
+        .from('notifications')
+        .select('*', { count: 'exact' })
+        .eq('user_id', user.id);
+
+    if (unread_only === 'true') {
+        query = query.is('read_at', null);
+    }
+
+    // Apply pagination
+    const offset = (parseInt(page) - 1) * parseInt(limit);
+    query = query
+        .order('created_at', { ascending: false })
+        .range(offset, offset + parseInt(limit) - 1);
+
+    const { data: notifications, error, count } = await query;
+
+    if (error) {
+        throw new AppError('Failed to fetch notifications', 500, 'FETCH_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Notifications retrieved successfully',
+        data: {
+            notifications,
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total: count,
+                pages: Math.ceil(count / parseInt(limit))
+            }
+        }
+    });
+});
+
+/**
+ * Mark one notification, or all of them, as read
+ */
+const markNotificationsRead = catchAsync(async (req, res) => {
+    const user = req.user;
+    const { id } = req.params;
+
+    let query = supabaseAdmin
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('user_id', user.id)
+        .is('read_at', null);
+
+    if (id) {
+        query = query.eq('id', id);
+    }
+
+    const { error } = await query;
+
+    if (error) {
+        throw new AppError('Failed to update notifications', 500, 'UPDATE_FAILED');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Notifications marked as read'
+    });
+});
+
 module.exports = {
     getProfile,
     updateProfile,
     changeDistrict,
-    deactivateAccount
+    deactivateAccount,
+    getNotifications,
+    markNotificationsRead
 };
@@ -0,0 +1,96 @@
+/**
+ * Printed labels for order documents, keyed by users.language
+ */
+const labels = {
+    en: {
+        invoice: 'Invoice',
+        receipt: 'Delivery Receipt',
+        orderNo: 'Order No',
+        date: 'Date',
+        status: 'Status',
+        paymentStatus: 'Payment',
+        district: 'District',
+        farmer: 'Farmer',
+        customer: 'Customer',
+        agent: 'Agent',
+        notAssigned: 'Not assigned',
+        deliveryAddress: 'Delivery address',
+        product: 'Product',
+        quantity: 'Quantity',
+        unitPrice: 'Unit price (BDT)',
+        subtotal: 'Subtotal (BDT)',
+        itemsTotal: 'Items total',
+        discount: 'Discount',
+        commission: 'Agent commission',
+        refunded: 'Refunded',
+        total: 'Total (BDT)',
+        recipientSignature: 'Recipient signature',
+        agentSignature: 'Agent signature',
+        receivedNote: 'The goods listed above were received in good condition.',
+        generatedAt: 'Generated at',
+        statuses: {
+            booked: 'Booked',
+            confirmed: 'Confirmed',
+            picked: 'Picked',
+            delivered: 'Delivered',
+            cancelled: 'Cancelled',
+            unpaid: 'Unpaid',
+            pending: 'Pending',
+            partially_paid: 'Partially paid',
+            paid: 'Paid',
+            refunded: 'Refunded'
+        }
+    },
+    bn: {
+        invoice: 'চালান',
+        receipt: 'ডেলিভারি রসিদ',
+        orderNo: 'অর্ডার নং',
+        date: 'তারিখ',
+        status: 'অবস্থা',
+        paymentStatus: 'পেমেন্ট',
+        district: 'জেলা',
+        farmer: 'কৃষক',
+        customer: 'ক্রেতা',
+        agent: 'এজেন্ট',
+        notAssigned: 'নির্ধারিত হয়নি',
+        deliveryAddress: 'ডেলিভারি ঠিকানা',
+        product: 'পণ্য',
+        quantity: 'পরিমাণ',
+        unitPrice: 'একক মূল্য (টাকা)',
+        subtotal: 'মোট (টাকা)',
+        itemsTotal: 'পণ্যের মোট',
+        discount: 'ছাড়',
+        commission: 'এজেন্ট কমিশন',
+        refunded: 'ফেরত',
+        total: 'সর্বমোট (টাকা)',
+        recipientSignature: 'গ্রহীতার স্বাক্ষর',
+        agentSignature: 'এজেন্টের স্বাক্ষর',
+        receivedNote: 'উপরের পণ্যগুলো ভালো অবস্থায় বুঝে পেয়েছি।',
+        generatedAt: 'তৈরির সময়',
+        statuses: {
+            booked: 'বুকড',
+            confirmed: 'নিশ্চিত',
+            picked: 'সংগ্রহ করা হয়েছে',
+            delivered: 'ডেলিভারি সম্পন্ন',
+            cancelled: 'বাতিল',
+            unpaid: 'অপরিশোধিত',
+            pending: 'অপেক্ষমাণ',
+            partially_paid: 'আংশিক পরিশোধিত',
+            paid: 'পরিশোধিত',
+            refunded: 'ফেরত দেওয়া হয়েছে'
+        }
+    }
+};
+
+const DEFAULT_LANGUAGE = 'bn';
+
+/**
+ * Get labels for a language, falling back to Bangla
+ */
+const getLabels = (language) => labels[language] || labels[DEFAULT_LANGUAGE];
+
+module.exports = {
+    DEFAULT_LANGUAGE,
+    SUPPORTED_LANGUAGES: Object.keys(labels),
+    getLabels
+};
@@ -0,0 +1,242 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { getLabels } = require('./labels');
+
+const FONTS = {
+    regular: 'Helvetica',
+    bold: 'Helvetica-Bold',
+    bengali: require.resolve('@fontsource/noto-sans-bengali/files/noto-sans-bengali-bengali-400-normal.woff'),
+    bengaliBold: require.resolve('@fontsource/noto-sans-bengali/files/noto-sans-bengali-bengali-700-normal.woff')
+};
+
+// The Bengali font only covers Bengali code points, so text is split into script runs
+const BENGALI_RUN = /([\u0964\u0965\u0980-\u09FF\u200C\u200D]+)/;
+
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+    { key: 'index', x: 50, width: 25 },
+    { key: 'product', x: 75, width: 200 },
+    { key: 'quantity', x: 280, width: 80, align: 'right' },
+    { key: 'unitPrice', x: 365, width: 85, align: 'right' },
+    { key: 'subtotal', x: 455, width: 90, align: 'right' }
+];
+
+const formatAmount = (value) => Number(value || 0).toFixed(2);
+
+const formatDate = (value, language) => {
+    return new Date(value).toLocaleDateString(language === 'bn' ? 'bn-BD' : 'en-GB', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric'
+    });
+};
+
+/**
+ * Write text that may mix Bangla and Latin characters, switching fonts per run
+ */
+const writeText = (doc, text, x, y, { bold = false, size = 10, width, align } = {}) => {
+    const runs = String(text ?? '').split(BENGALI_RUN).filter(Boolean);
+    if (!runs.length) {
+        runs.push(' ');
+    }
+
+    doc.fontSize(size);
+    runs.forEach((run, index) => {
+        const isBengali = BENGALI_RUN.test(run);
+        doc.font(isBengali ? (bold ? 'bengali-bold' : 'bengali') : (bold ? FONTS.bold : FONTS.regular));
+
+        const options = { continued: index < runs.length - 1, width, align };
+        if (index === 0) {
+            doc.text(run, x, y, options);
+        } else {
+            doc.text(run, options);
+        }
+    });
+
+    return doc.y;
+};
+
+/**
+ * Order lines; orders placed before order_items existed only have the order row
+ */
+const getLines = (order) => {
+    if (order.items && order.items.length) {
+        return order.items;
+    }
+
+    return [{
+        product: order.product,
+        quantity: order.quantity,
+        unit_price: order.unit_price,
+        subtotal: order.total_price
+    }];
+};
+
+const writeParty = (doc, title, party, x, y, extraLines = []) => {
+    let bottom = writeText(doc, title, x, y, { bold: true, size: 10, width: 160 });
+    const lines = party ? [party.name, party.phone, ...extraLines] : extraLines;
+
+    for (const line of lines.filter(Boolean)) {
+        bottom = writeText(doc, line, x, bottom + 2, { size: 9, width: 160 });
+    }
+
+    return bottom;
+};
+
+const writeTableHeader = (doc, text, y) => {
+    const headers = {
+        index: '#',
+        product: text.product,
+        quantity: text.quantity,
+        unitPrice: text.unitPrice,
+        subtotal: text.subtotal
+    };
+
+    let bottom = y;
+    for (const column of COLUMNS) {
+        bottom = Math.max(bottom, writeText(doc, headers[column.key], column.x, y, {
+            bold: true,
+            size: 9,
+            width: column.width,
+            align: column.align
+        }));
+    }
+
+    doc.moveTo(PAGE_MARGIN, bottom + 4).lineTo(545, bottom + 4).stroke();
+    return bottom + 10;
+};
+
+/**
+ * Render an invoice or delivery receipt for an order.
+ * Expects the order with product (farmer, district), items, customer and agent embedded.
+ * Resolves to the PDF as a Buffer.
+ */
+const renderOrderDocument = async (order, { type = 'invoice', language } = {}) => {
+    const text = getLabels(language);
+    const qrCode = await QRCode.toBuffer(order.id, { margin: 1, width: 200 });
+
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    doc.registerFont('bengali', FONTS.bengali);
+    doc.registerFont('bengali-bold', FONTS.bengaliBold);
+
+    const chunks = [];
+    const finished = new Promise((resolve, reject) => {
+        doc.on('data', (chunk) => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+    });
+
+    // Header with the order id as QR code for scanning at pickup and delivery
+    writeText(doc, type === 'receipt' ? text.receipt : text.invoice, PAGE_MARGIN, PAGE_MARGIN, { bold: true, size: 20 });
+    doc.image(qrCode, 455, PAGE_MARGIN, { width: 90 });
+
+    let y = PAGE_MARGIN + 32;
+    const details = [
+        [text.orderNo, order.id],
+        [text.date, formatDate(order.created_at, language)],
+        [text.status, text.statuses[order.status] || order.status],
+        [text.paymentStatus, text.statuses[order.payment_status] || order.payment_status],
+        [text.district, order.product?.district?.name]
+    ];
+
+    for (const [label, value] of details) {
+        writeText(doc, `${label}:`, PAGE_MARGIN, y, { bold: true, size: 9, width: 90 });
+        y = writeText(doc, value || '-', PAGE_MARGIN + 95, y, { size: 9, width: 290 }) + 3;
+    }
+
+    // Parties
+    y = Math.max(y, PAGE_MARGIN + 100) + 15;
+    const partiesBottom = Math.max(
+        writeParty(doc, text.farmer, order.product?.farmer, PAGE_MARGIN, y),
+        writeParty(doc, text.customer, order.customer, 225, y,
+            order.delivery_address ? [`${text.deliveryAddress}: ${order.delivery_address}`] : []),
+        writeParty(doc, text.agent, order.agent, 400, y, order.agent ? [] : [text.notAssigned])
+    );
+
+    // Line items
+    y = writeTableHeader(doc, text, partiesBottom + 20);
+    const lines = getLines(order);
+
+    lines.forEach((line, index) => {
+        if (y > doc.page.height - 200) {
+            doc.addPage();
+            y = writeTableHeader(doc, text, PAGE_MARGIN);
+        }
+
+        const cells = {
+            index: String(index + 1),
+            product: line.product?.name || '-',
+            quantity: `${line.quantity} ${line.product?.unit || ''}`.trim(),
+            unitPrice: formatAmount(line.unit_price),
+            subtotal: formatAmount(line.subtotal)
+        };
+
+        let rowBottom = y;
+        for (const column of COLUMNS) {
+            rowBottom = Math.max(rowBottom, writeText(doc, cells[column.key], column.x, y, {
+                size: 9,
+                width: column.width,
+                align: column.align
+            }));
+        }
+
+        y = rowBottom + 6;
+    });
+
+    // Keep totals and signatures together
+    if (y > doc.page.height - 230) {
+        doc.addPage();
+        y = PAGE_MARGIN;
+    }
+
+    doc.moveTo(PAGE_MARGIN, y).lineTo(545, y).stroke();
+    y += 8;
+
+    // Totals
+    const itemsTotal = lines.reduce((sum, line) => sum + Number(line.subtotal || 0), 0);
+    const totals = [[text.itemsTotal, formatAmount(itemsTotal)]];
+
+    if (Number(order.discount_amount) > 0) {
+        totals.push([text.discount, `-${formatAmount(order.discount_amount)}`]);
+    }
+
+    if (type === 'invoice' && order.agent_id) {
+        totals.push([`${text.commission} (${order.commission_rate}%)`, formatAmount(order.commission)]);
+    }
+
+    if (Number(order.refunded_amount) > 0) {
+        totals.push([text.refunded, `-${formatAmount(order.refunded_amount)}`]);
+    }
+
+    totals.push([text.total, formatAmount(Number(order.total_price) - Number(order.refunded_amount || 0))]);
+
+    totals.forEach(([label, value], index) => {
+        const bold = index === totals.length - 1;
+        writeText(doc, label, 280, y, { bold, size: 10, width: 170, align: 'right' });
+        y = writeText(doc, value, 455, y, { bold, size: 10, width: 90, align: 'right' }) + 4;
+    });
+
+    // Signatures on the receipt the agent hands over at delivery
+    if (type === 'receipt') {
+        y += 20;
+        writeText(doc, text.receivedNote, PAGE_MARGIN, y, { size: 9, width: 495 });
+        y += 60;
+
+        doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + 180, y).stroke();
+        doc.moveTo(365, y).lineTo(545, y).stroke();
+        writeText(doc, text.recipientSignature, PAGE_MARGIN, y + 5, { size: 9, width: 180 });
+        writeText(doc, text.agentSignature, 365, y + 5, { size: 9, width: 180 });
+    }
+
+    writeText(doc, `${text.generatedAt}: ${new Date().toISOString()}`, PAGE_MARGIN, doc.page.height - PAGE_MARGIN - 15, {
+        size: 7,
+        width: 495
+    });
+
+    doc.end();
+    return finished;
+};
+
+module.exports = {
+    renderOrderDocument
+};
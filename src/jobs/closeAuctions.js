@@ -0,0 +1,174 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { placeOrder } = require('../utils/orderPlacement');
+const { matchAgent } = require('../utils/agentMatching');
+const { notifyUser } = require('../utils/notifications');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Tell the farmer, and the highest bidder if there was one, how an auction ended
+ */
+const notifyAuctionClosed = async (auction, status) => {
+    const productName = auction.product?.name || 'your lot';
+    const unit = auction.product?.unit || '';
+
+    await notifyUser({
+        userId: auction.farmer_id,
+        type: status === 'sold' ? 'auction_sold' : 'auction_unsold',
+        title: status === 'sold'
+            ? { en: 'Auction sold', bn: 'নিলামে বিক্রি হয়েছে' }
+            : { en: 'Auction ended unsold', bn: 'নিলামে বিক্রি হয়নি' },
+        message: status === 'sold'
+            ? {
+                en: `Your ${auction.quantity} ${unit} of ${productName} sold at ${auction.current_price} per ${unit}. An order is being created for the winner.`,
+                bn: `আপনার ${productName} এর ${auction.quantity} ${unit} প্রতি ${unit} ${auction.current_price} দরে বিক্রি হয়েছে। বিজয়ীর জন্য অর্ডার তৈরি করা হচ্ছে।`
+            }
+            : {
+                en: `Your auction of ${auction.quantity} ${unit} of ${productName} did not reach its reserve price. The lot is back in stock.`,
+                bn: `আপনার ${productName} এর ${auction.quantity} ${unit} এর নিলাম সংরক্ষিত মূল্যে পৌঁছায়নি। লটটি আবার মজুদে ফিরেছে।`
+            },
+        data: { auction_id: auction.id, product_id: auction.product_id }
+    });
+
+    if (status === 'unsold' && auction.highest_bidder_id) {
+        await notifyUser({
+            userId: auction.highest_bidder_id,
+            type: 'auction_unsold',
+            title: {
+                en: 'Auction ended without a sale',
+                bn: 'নিলাম বিক্রি ছাড়াই শেষ হয়েছে'
+            },
+            message: {
+                en: `Your bid of ${auction.current_price} per ${unit} for ${productName} did not reach the seller's reserve price.`,
+                bn: `${productName} এর জন্য প্রতি ${unit} ${auction.current_price} এর আপনার দর বিক্রেতার সংরক্ষিত মূল্যে পৌঁছায়নি।`
+            },
+            data: { auction_id: auction.id }
+        });
+    }
+};
+
+/**
+ * Create the winner's order for a sold auction at the winning price per unit. The lot was
+ * taken out of stock when the auction was listed, so the order does not take it again.
+ * place_order links the order to the auction in the same transaction, so a retry or a
+ * concurrent worker cannot create a second one.
+ */
+const settleAuction = async (auction) => {
+    // The product may have been deactivated since listing; the lot is still owed to the winner
+    const { data: product, error: productError } = await supabaseAdmin
+        .from('products')
+        .select('*, farmer:users!farmer_id(id, name, phone)')
+        .eq('id', auction.product_id)
+        .single();
+
+    if (productError || !product) {
+        throw productError || new Error(`Product ${auction.product_id} not found`);
+    }
+
+    const matching = await matchAgent({ districtId: product.district_id });
+
+    let order;
+    try {
+        order = await placeOrder({
+            customerId: auction.highest_bidder_id,
+            actor: null,
+            lines: [{
+                product,
+                quantity: Number(auction.quantity),
+                unitPrice: Number(auction.current_price),
+                stockReserved: true
+            }],
+            agentId: matching.selected_agent_id,
+            customerNotes: `Won at auction ${auction.id}`,
+            auctionId: auction.id
+        });
+    } catch (error) {
+        if (error.code === 'AUCTION_ALREADY_SETTLED') {
+            return false;
+        }
+        throw error;
+    }
+
+    await notifyUser({
+        userId: auction.highest_bidder_id,
+        type: 'auction_won',
+        title: {
+            en: 'You won the auction',
+            bn: 'আপনি নিলামে জিতেছেন'
+        },
+        message: {
+            en: `You won ${auction.quantity} ${order.product.unit} of ${order.product.name} at ${auction.current_price} per ${order.product.unit}. Your order has been placed.`,
+            bn: `আপনি প্রতি ${order.product.unit} ${auction.current_price} দরে ${order.product.name} এর ${auction.quantity} ${order.product.unit} জিতেছেন। আপনার অর্ডার দেওয়া হয়েছে।`
+        },
+        data: { auction_id: auction.id, order_id: order.id }
+    });
+
+    return true;
+};
+
+/**
+ * Close open auctions whose end has passed, then create orders for sold auctions that
+ * do not have one yet (including those whose earlier attempt failed).
+ * Returns the number of auctions closed or settled.
+ */
+const closeAuctions = async () => {
+    let processed = 0;
+
+    const { data: due, error } = await supabaseAdmin
+        .from('auctions')
+        .select('*, product:products(name, unit)')
+        .eq('status', 'open')
+        .lte('ends_at', new Date().toISOString())
+        .order('ends_at')
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        console.error('Failed to find ended auctions:', error);
+    }
+
+    for (const auction of due || []) {
+        // close_auction skips auctions a last-second bid has extended
+        const { data: status, error: closeError } = await supabaseAdmin.rpc('close_auction', {
+            p_auction_id: auction.id
+        });
+
+        if (closeError) {
+            console.error(`Failed to close auction ${auction.id}:`, closeError);
+            continue;
+        }
+
+        if (status) {
+            processed++;
+            await notifyAuctionClosed(auction, status);
+        }
+    }
+
+    const { data: unsettled, error: unsettledError } = await supabaseAdmin
+        .from('auctions')
+        .select('*')
+        .eq('status', 'sold')
+        .is('order_id', null)
+        .order('closed_at')
+        .limit(BATCH_SIZE);
+
+    if (unsettledError) {
+        console.error('Failed to find unsettled auctions:', unsettledError);
+        return processed;
+    }
+
+    for (const auction of unsettled) {
+        try {
+            if (await settleAuction(auction)) {
+                processed++;
+            }
+        } catch (settleError) {
+            console.error(`Failed to create order for auction ${auction.id}:`, settleError);
+        }
+    }
+
+    return processed;
+};
+
+module.exports = {
+    closeAuctions
+};
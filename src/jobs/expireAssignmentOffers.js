@@ -0,0 +1,40 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { recordAssignmentOutcome } = require('../utils/orderAssignment');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Lapse agent offers nobody answered in time, freeing the orders for another agent.
+ * Returns the number of offers lapsed.
+ */
+const expireAssignmentOffers = async () => {
+    const { data: lapsed, error } = await supabaseAdmin.rpc('expire_assignment_offers', {
+        p_limit: BATCH_SIZE
+    });
+
+    if (error) {
+        console.error('Failed to expire assignment offers:', error);
+        return 0;
+    }
+
+    if (!lapsed.length) {
+        return 0;
+    }
+
+    const { data: orders } = await supabaseAdmin
+        .from('orders')
+        .select('id, customer_id')
+        .in('id', lapsed.map((offer) => offer.order_id));
+
+    const customers = new Map((orders || []).map((order) => [order.id, order.customer_id]));
+
+    for (const offer of lapsed) {
+        await recordAssignmentOutcome({ offer, customerId: customers.get(offer.order_id) });
+    }
+
+    return lapsed.length;
+};
+
+module.exports = {
+    expireAssignmentOffers
+};
@@ -0,0 +1,57 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { getLocalDate } = require('../utils/dates');
+const { notifyUser } = require('../utils/notifications');
+
+/**
+ * Close open demand posts past their expiry or needed-by date, expire their
+ * pending quotes and tell the customer. Returns the number of posts expired.
+ */
+const expireDemandPosts = async () => {
+    const { data: expired, error } = await supabaseAdmin
+        .from('demand_posts')
+        .update({ status: 'expired' })
+        .eq('status', 'open')
+        .or(`expires_at.lt.${new Date().toISOString()},needed_by.lt.${getLocalDate()}`)
+        .select('id, customer_id, title');
+
+    if (error) {
+        console.error('Failed to expire demand posts:', error);
+        return 0;
+    }
+
+    if (!expired.length) {
+        return 0;
+    }
+
+    const { error: quotesError } = await supabaseAdmin
+        .from('demand_quotes')
+        .update({ status: 'expired' })
+        .in('demand_post_id', expired.map((post) => post.id))
+        .eq('status', 'pending');
+
+    if (quotesError) {
+        console.error('Failed to expire demand quotes:', quotesError);
+    }
+
+    for (const post of expired) {
+        await notifyUser({
+            userId: post.customer_id,
+            type: 'demand_post_expired',
+            title: {
+                en: 'Buyer request expired',
+                bn: 'ক্রেতার অনুরোধের মেয়াদ শেষ'
+            },
+            message: {
+                en: `Your request "${post.title}" has expired without an accepted quote.`,
+                bn: `আপনার অনুরোধ "${post.title}" কোনো দর গ্রহণ ছাড়াই মেয়াদোত্তীর্ণ হয়েছে।`
+            },
+            data: { demand_post_id: post.id }
+        });
+    }
+
+    return expired.length;
+};
+
+module.exports = {
+    expireDemandPosts
+};
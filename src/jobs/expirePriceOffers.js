@@ -0,0 +1,44 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { notifyUser } = require('../utils/notifications');
+
+const OPEN_STATUSES = ['pending', 'countered', 'accepted'];
+
+/**
+ * Close price offers whose turn ran out (unanswered offers and counter-offers,
+ * accepted offers never ordered) and tell the customer. Returns the number expired.
+ */
+const expirePriceOffers = async () => {
+    const { data: expired, error } = await supabaseAdmin
+        .from('price_offers')
+        .update({ status: 'expired' })
+        .in('status', OPEN_STATUSES)
+        .lt('expires_at', new Date().toISOString())
+        .select('id, customer_id, product_id, product:products(name)');
+
+    if (error) {
+        console.error('Failed to expire price offers:', error);
+        return 0;
+    }
+
+    for (const offer of expired) {
+        await notifyUser({
+            userId: offer.customer_id,
+            type: 'price_offer_expired',
+            title: {
+                en: 'Price offer expired',
+                bn: 'দামের প্রস্তাবের মেয়াদ শেষ'
+            },
+            message: {
+                en: `Your price offer for ${offer.product?.name || 'a product'} has expired.`,
+                bn: `${offer.product?.name || 'একটি পণ্য'} এর জন্য আপনার দামের প্রস্তাবের মেয়াদ শেষ হয়েছে।`
+            },
+            data: { price_offer_id: offer.id, product_id: offer.product_id }
+        });
+    }
+
+    return expired.length;
+};
+
+module.exports = {
+    expirePriceOffers
+};
@@ -0,0 +1,96 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { cancelOrderAndRestock } = require('../utils/orderCancellation');
+const { notifyUser } = require('../utils/notifications');
+
+/**
+ * Deadlines used for districts without their own rule.
+ * Confirmed orders only expire when ORDER_CONFIRMED_EXPIRY_HOURS is set.
+ */
+const ORDER_EXPIRY_DEFAULTS = {
+    booked_expiry_hours: parseInt(process.env.ORDER_BOOKED_EXPIRY_HOURS) || 48,
+    confirmed_expiry_hours: parseInt(process.env.ORDER_CONFIRMED_EXPIRY_HOURS) || null
+};
+
+const BATCH_SIZE = 100;
+
+const MESSAGES = {
+    title: {
+        en: 'Order cancelled',
+        bn: 'অর্ডার বাতিল হয়েছে'
+    },
+    message: (hours) => ({
+        en: `Your order was cancelled automatically because it was not processed within ${hours} hours.`,
+        bn: `${hours} ঘণ্টার মধ্যে প্রক্রিয়া না হওয়ায় আপনার অর্ডারটি স্বয়ংক্রিয়ভাবে বাতিল করা হয়েছে।`
+    }),
+    refund: {
+        en: 'The amount you paid is being refunded.',
+        bn: 'আপনার পরিশোধিত টাকা ফেরত দেওয়া হচ্ছে।'
+    }
+};
+
+/**
+ * Cancel booked (and optionally confirmed) orders past their district's deadline,
+ * restock them, refund what was paid (see cancelOrderAndRestock) and notify the customer.
+ * Returns the number of orders cancelled.
+ */
+const expireStaleOrders = async () => {
+    const { data: staleOrders, error } = await supabaseAdmin.rpc('find_expired_orders', {
+        p_booked_hours: ORDER_EXPIRY_DEFAULTS.booked_expiry_hours,
+        p_confirmed_hours: ORDER_EXPIRY_DEFAULTS.confirmed_expiry_hours,
+        p_limit: BATCH_SIZE
+    });
+
+    if (error) {
+        console.error('Failed to find expired orders:', error);
+        return 0;
+    }
+
+    let cancelled = 0;
+
+    for (const order of staleOrders) {
+        const reason = `Automatically cancelled: not ${order.status === 'booked' ? 'confirmed' : 'picked up'} within ${order.deadline_hours} hours`;
+
+        try {
+            await cancelOrderAndRestock({
+                orderId: order.order_id,
+                actor: null,
+                reason,
+                expectedStatuses: [order.status],
+                metadata: {
+                    automatic: true,
+                    deadline_hours: order.deadline_hours,
+                    status_since: order.status_since
+                }
+            });
+        } catch (cancelError) {
+            // Another request confirmed or cancelled the order in the meantime
+            if (!['ORDER_STATUS_CHANGED', 'ORDER_ALREADY_CANCELLED'].includes(cancelError.code)) {
+                console.error(`Failed to expire order ${order.order_id}:`, cancelError);
+            }
+            continue;
+        }
+
+        cancelled++;
+
+        const message = MESSAGES.message(order.deadline_hours);
+        if (order.payment_status === 'paid') {
+            message.en += ` ${MESSAGES.refund.en}`;
+            message.bn += ` ${MESSAGES.refund.bn}`;
+        }
+
+        await notifyUser({
+            userId: order.customer_id,
+            type: 'order_expired',
+            title: MESSAGES.title,
+            message,
+            data: { order_id: order.order_id, previous_status: order.status }
+        });
+    }
+
+    return cancelled;
+};
+
+module.exports = {
+    ORDER_EXPIRY_DEFAULTS,
+    expireStaleOrders
+};
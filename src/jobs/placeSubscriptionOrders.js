@@ -0,0 +1,260 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { loadOrderProducts, validateAgent, placeOrder } = require('../utils/orderPlacement');
+const { matchAgent } = require('../utils/agentMatching');
+const { getLocalDate } = require('../utils/dates');
+const { getEarliestDeliveryDate, getFollowingDeliveryDate } = require('../utils/subscriptionSchedule');
+const { notifyUser } = require('../utils/notifications');
+
+const BATCH_SIZE = 100;
+
+/**
+ * Move a subscription on to its next cycle, unless another worker already did
+ */
+const advanceSubscription = async (subscription) => {
+    await supabaseAdmin
+        .from('subscriptions')
+        .update({ next_delivery_date: getFollowingDeliveryDate(subscription, subscription.next_delivery_date) })
+        .eq('id', subscription.id)
+        .eq('next_delivery_date', subscription.next_delivery_date);
+};
+
+/**
+ * The preferred agent when they can still take orders in the product's district,
+ * otherwise the best available agent (or none)
+ */
+const chooseAgent = async (subscription, product) => {
+    if (subscription.agent_id) {
+        try {
+            await validateAgent(subscription.agent_id, product.district_id);
+            return subscription.agent_id;
+        } catch (error) {
+            if (error.statusCode >= 500) {
+                throw error;
+            }
+        }
+    }
+
+    const matching = await matchAgent({ districtId: product.district_id });
+    return matching.selected_agent_id;
+};
+
+/**
+ * First delivery slot in the product's district on the delivery date that still has room
+ */
+const findDeliverySlot = async (districtId, deliveryDate) => {
+    const { data: slots } = await supabaseAdmin
+        .from('delivery_slots')
+        .select('id, booked_count, capacity')
+        .eq('district_id', districtId)
+        .eq('slot_date', deliveryDate)
+        .eq('is_active', true)
+        .order('start_time');
+
+    const slot = (slots || []).find((deliverySlot) => deliverySlot.booked_count < deliverySlot.capacity);
+    return slot ? slot.id : null;
+};
+
+/**
+ * Place the cycle's order the same way POST /orders does, booking a delivery slot
+ * on the delivery date when the district has one free
+ */
+const placeCycleOrder = async (subscription, deliveryDate) => {
+    const [product] = await loadOrderProducts([subscription.product_id]);
+    const agentId = await chooseAgent(subscription, product);
+    const deliverySlotId = await findDeliverySlot(product.district_id, deliveryDate);
+
+    const order = (slotId) => placeOrder({
+        customerId: subscription.customer_id,
+        actor: null,
+        lines: [{ product, quantity: Number(subscription.quantity) }],
+        agentId,
+        deliverySlotId: slotId,
+        deliveryAddress: subscription.delivery_address,
+        customerNotes: subscription.customer_notes,
+        subscriptionId: subscription.id
+    });
+
+    try {
+        return await order(deliverySlotId);
+    } catch (error) {
+        // Another order took the slot's last place; deliver without a reserved window
+        if (deliverySlotId && error.code === 'DELIVERY_SLOT_UNAVAILABLE') {
+            return order(null);
+        }
+        throw error;
+    }
+};
+
+/**
+ * Tell the customer (and, when stock ran short, the farmer) that a cycle was not ordered
+ */
+const notifyCycleFailed = async (subscription, deliveryDate, error) => {
+    const productName = subscription.product?.name || 'your product';
+    const insufficientStock = error.code === 'INSUFFICIENT_QUANTITY';
+
+    await notifyUser({
+        userId: subscription.customer_id,
+        type: insufficientStock ? 'subscription_stock_insufficient' : 'subscription_order_failed',
+        title: {
+            en: 'Subscription delivery not ordered',
+            bn: 'সাবস্ক্রিপশনের ডেলিভারি অর্ডার হয়নি'
+        },
+        message: insufficientStock
+            ? {
+                en: `There is not enough ${productName} in stock for your delivery on ${deliveryDate}. Your subscription continues with the next delivery.`,
+                bn: `${deliveryDate} তারিখের ডেলিভারির জন্য যথেষ্ট ${productName} মজুদ নেই। পরবর্তী ডেলিভারি থেকে আপনার সাবস্ক্রিপশন চলবে।`
+            }
+            : {
+                en: `Your ${productName} delivery on ${deliveryDate} could not be ordered: ${error.message}`,
+                bn: `${deliveryDate} তারিখের ${productName} ডেলিভারি অর্ডার করা যায়নি: ${error.message}`
+            },
+        data: { subscription_id: subscription.id, product_id: subscription.product_id, delivery_date: deliveryDate }
+    });
+
+    if (insufficientStock) {
+        await notifyUser({
+            userId: subscription.farmer_id,
+            type: 'subscription_stock_insufficient',
+            title: {
+                en: 'Not enough stock for a subscription',
+                bn: 'সাবস্ক্রিপশনের জন্য যথেষ্ট মজুদ নেই'
+            },
+            message: {
+                en: `A subscriber's ${subscription.quantity} ${subscription.product?.unit || ''} of ${productName} for ${deliveryDate} could not be ordered because stock ran short.`,
+                bn: `মজুদ কম থাকায় ${deliveryDate} তারিখের জন্য একজন গ্রাহকের ${productName} এর ${subscription.quantity} ${subscription.product?.unit || ''} অর্ডার করা যায়নি।`
+            },
+            data: { subscription_id: subscription.id, product_id: subscription.product_id, delivery_date: deliveryDate }
+        });
+    }
+};
+
+/**
+ * Order one due cycle of a subscription. The cycle is claimed through its
+ * subscription_runs row first so no delivery is ordered twice.
+ */
+const runSubscriptionCycle = async (subscription) => {
+    const deliveryDate = subscription.next_delivery_date;
+
+    // The scheduler was not running while the cycle was due; it is too late to order it
+    if (deliveryDate < getLocalDate()) {
+        await supabaseAdmin
+            .from('subscription_runs')
+            .upsert({
+                subscription_id: subscription.id,
+                delivery_date: deliveryDate,
+                status: 'missed'
+            }, { onConflict: 'subscription_id,delivery_date', ignoreDuplicates: true });
+
+        await advanceSubscription(subscription);
+        return false;
+    }
+
+    const { data: run, error: claimError } = await supabaseAdmin
+        .from('subscription_runs')
+        .insert({
+            subscription_id: subscription.id,
+            delivery_date: deliveryDate,
+            status: 'processing'
+        })
+        .select('id')
+        .single();
+
+    if (claimError) {
+        if (claimError.code !== '23505') {
+            throw claimError;
+        }
+
+        // The customer skipped the cycle, or a run finished without advancing
+        const { data: existing } = await supabaseAdmin
+            .from('subscription_runs')
+            .select('status')
+            .eq('subscription_id', subscription.id)
+            .eq('delivery_date', deliveryDate)
+            .single();
+
+        if (existing && existing.status !== 'processing') {
+            await advanceSubscription(subscription);
+        }
+        return false;
+    }
+
+    let order;
+    try {
+        order = await placeCycleOrder(subscription, deliveryDate);
+    } catch (error) {
+        // Server errors leave the cycle unclaimed so the next run retries it
+        if (!error.statusCode || error.statusCode >= 500) {
+            await supabaseAdmin.from('subscription_runs').delete().eq('id', run.id);
+            throw error;
+        }
+
+        await supabaseAdmin
+            .from('subscription_runs')
+            .update({ status: 'failed', failure_code: error.code, failure_reason: error.message })
+            .eq('id', run.id);
+
+        await advanceSubscription(subscription);
+        await notifyCycleFailed(subscription, deliveryDate, error);
+        return false;
+    }
+
+    await supabaseAdmin
+        .from('subscription_runs')
+        .update({ status: 'ordered', order_id: order.id })
+        .eq('id', run.id);
+
+    await advanceSubscription(subscription);
+
+    await notifyUser({
+        userId: subscription.customer_id,
+        type: 'subscription_order_placed',
+        title: {
+            en: 'Subscription order placed',
+            bn: 'সাবস্ক্রিপশনের অর্ডার দেওয়া হয়েছে'
+        },
+        message: {
+            en: `Your ${subscription.quantity} ${order.product.unit} of ${order.product.name} for ${deliveryDate} has been ordered.`,
+            bn: `${deliveryDate} তারিখের জন্য আপনার ${order.product.name} এর ${subscription.quantity} ${order.product.unit} অর্ডার করা হয়েছে।`
+        },
+        data: { subscription_id: subscription.id, order_id: order.id, delivery_date: deliveryDate }
+    });
+
+    return true;
+};
+
+/**
+ * Place orders for active subscriptions whose next delivery is within the lead time.
+ * Returns the number of orders placed.
+ */
+const placeSubscriptionOrders = async () => {
+    const { data: dueSubscriptions, error } = await supabaseAdmin
+        .from('subscriptions')
+        .select('*, product:products(name, unit)')
+        .eq('status', 'active')
+        .lte('next_delivery_date', getEarliestDeliveryDate())
+        .order('next_delivery_date')
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        console.error('Failed to find due subscriptions:', error);
+        return 0;
+    }
+
+    let placed = 0;
+
+    for (const subscription of dueSubscriptions) {
+        try {
+            if (await runSubscriptionCycle(subscription)) {
+                placed++;
+            }
+        } catch (cycleError) {
+            console.error(`Failed to place order for subscription ${subscription.id}:`, cycleError);
+        }
+    }
+
+    return placed;
+};
+
+module.exports = {
+    placeSubscriptionOrders
+};
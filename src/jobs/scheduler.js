@@ -0,0 +1,83 @@
+const { expireStaleOrders } = require('./expireStaleOrders');
+const { expireAssignmentOffers } = require('./expireAssignmentOffers');
+const { expirePriceOffers } = require('./expirePriceOffers');
+const { placeSubscriptionOrders } = require('./placeSubscriptionOrders');
+const { expireDemandPosts } = require('./expireDemandPosts');
+const { closeAuctions } = require('./closeAuctions');
+
+/**
+ * Background jobs run inside the API process.
+ * Each job runs on its own interval and never overlaps with itself.
+ */
+const JOBS = [
+    {
+        name: 'expire-stale-orders',
+        intervalMinutes: parseInt(process.env.ORDER_EXPIRY_INTERVAL_MINUTES) || 15,
+        run: expireStaleOrders
+    },
+    {
+        name: 'expire-assignment-offers',
+        intervalMinutes: parseInt(process.env.ASSIGNMENT_EXPIRY_INTERVAL_MINUTES) || 5,
+        run: expireAssignmentOffers
+    },
+    {
+        name: 'expire-price-offers',
+        intervalMinutes: parseInt(process.env.PRICE_OFFER_EXPIRY_INTERVAL_MINUTES) || 15,
+        run: expirePriceOffers
+    },
+    {
+        name: 'place-subscription-orders',
+        intervalMinutes: parseInt(process.env.SUBSCRIPTION_INTERVAL_MINUTES) || 30,
+        run: placeSubscriptionOrders
+    },
+    {
+        name: 'expire-demand-posts',
+        intervalMinutes: parseInt(process.env.DEMAND_POST_EXPIRY_INTERVAL_MINUTES) || 15,
+        run: expireDemandPosts
+    },
+    {
+        name: 'close-auctions',
+        intervalMinutes: parseInt(process.env.AUCTION_CLOSE_INTERVAL_MINUTES) || 1,
+        run: closeAuctions
+    }
+];
+
+const runJob = async (job) => {
+    if (job.running) {
+        return;
+    }
+
+    job.running = true;
+    try {
+        const processed = await job.run();
+        if (processed) {
+            console.log(`⏱️  ${job.name}: processed ${processed}`);
+        }
+    } catch (error) {
+        console.error(`Scheduled job ${job.name} failed:`, error);
+    } finally {
+        job.running = false;
+    }
+};
+
+/**
+ * Start all jobs. Set ENABLE_SCHEDULER=false to run the API without them,
+ * e.g. when a separate instance handles background work.
+ */
+const startScheduler = () => {
+    if (process.env.ENABLE_SCHEDULER === 'false') {
+        return;
+    }
+
+    for (const job of JOBS) {
+        // Timers must not keep the process alive on shutdown
+        setInterval(() => runJob(job), job.intervalMinutes * 60 * 1000).unref();
+        setImmediate(() => runJob(job));
+    }
+
+    console.log(`⏱️  Scheduler started: ${JOBS.map((job) => job.name).join(', ')}`);
+};
+
+module.exports = {
+    startScheduler
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24;
+// A request still processing after this long is assumed lost (e.g. the server crashed) and a retry may take it over
+const PROCESSING_LEASE_MINUTES = parseInt(process.env.IDEMPOTENCY_PROCESSING_LEASE_MINUTES) || 5;
+
+/**
+ * Hash what makes two requests "the same": method, path and body
+ */
+const hashRequest = (req) => {
+    return crypto
+        .createHash('sha256')
+        .update(JSON.stringify({
+            method: req.method,
+            path: req.originalUrl.split('?')[0],
+            body: req.body || {}
+        }))
+        .digest('hex');
+};
+
+/**
+ * Claim the key for this request at claimedAt. Returns null when claimed, otherwise the stored record.
+ * Expired records are removed and the key is claimed again; a retry of a request whose
+ * processing lease has run out takes the key over.
+ */
+const claimKey = async (req, key, requestHash, claimedAt) => {
+    const record = {
+        user_id: req.user.id,
+        idempotency_key: key,
+        request_method: req.method,
+        request_path: req.originalUrl.split('?')[0],
+        request_hash: requestHash,
+        claimed_at: claimedAt,
+        expires_at: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000).toISOString()
+    };
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+        const { error } = await supabaseAdmin.from('idempotency_keys').insert(record);
+
+        if (!error) {
+            return null;
+        }
+
+        if (error.code !== '23505') {
+            throw error;
+        }
+
+        const { data: existing } = await supabaseAdmin
+            .from('idempotency_keys')
+            .select('*')
+            .eq('user_id', req.user.id)
+            .eq('idempotency_key', key)
+            .maybeSingle();
+
+        if (existing && new Date(existing.expires_at) > new Date()) {
+            const leaseEnd = new Date(existing.claimed_at).getTime() + PROCESSING_LEASE_MINUTES * 60 * 1000;
+
+            if (existing.status !== 'processing' || existing.request_hash !== requestHash || leaseEnd > Date.now()) {
+                return existing;
+            }
+
+            // Only one retry wins the takeover; the others find the renewed claim next time round
+            const { data: taken } = await supabaseAdmin
+                .from('idempotency_keys')
+                .update({ claimed_at: claimedAt })
+                .eq('user_id', req.user.id)
+                .eq('idempotency_key', key)
+                .eq('status', 'processing')
+                .eq('claimed_at', existing.claimed_at)
+                .select('id')
+                .maybeSingle();
+
+            if (taken) {
+                return null;
+            }
+            continue;
+        }
+
+        await supabaseAdmin
+            .from('idempotency_keys')
+            .delete()
+            .eq('user_id', req.user.id)
+            .eq('idempotency_key', key)
+            .lt('expires_at', new Date().toISOString());
+    }
+
+    throw new Error('Could not claim idempotency key');
+};
+
+/**
+ * Make a request safe to retry with an `Idempotency-Key` header.
+ * The first response is stored and replayed for retries with the same key and body;
+ * reusing a key with a different body is rejected. Server errors release the key
+ * so the client can retry. Requests without the header are processed normally.
+ */
+const idempotent = async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+
+    if (!key) {
+        return next();
+    }
+
+    if (key.length > 255) {
+        return res.status(400).json({
+            success: false,
+            message: `${IDEMPOTENCY_HEADER} must be at most 255 characters`,
+            code: 'INVALID_IDEMPOTENCY_KEY'
+        });
+    }
+
+    const requestHash = hashRequest(req);
+    const claimedAt = new Date().toISOString();
+    let existing;
+
+    try {
+        existing = await claimKey(req, key, requestHash, claimedAt);
+    } catch (error) {
+        console.error('Idempotency key error:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to process idempotency key',
+            code: 'IDEMPOTENCY_ERROR'
+        });
+    }
+
+    if (existing) {
+        if (existing.request_hash !== requestHash) {
+            return res.status(409).json({
+                success: false,
+                message: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+                code: 'IDEMPOTENCY_KEY_REUSED'
+            });
+        }
+
+        if (existing.status !== 'completed') {
+            return res.status(409).json({
+                success: false,
+                message: 'A request with this idempotency key is still being processed',
+                code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+            });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Store the response before it reaches the client so a quick retry finds it.
+    // Nothing is stored if a retry has taken the key over in the meantime.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+        const keys = supabaseAdmin.from('idempotency_keys');
+        const persist = (res.statusCode >= 500
+            ? keys.delete()
+            : keys.update({
+                status: 'completed',
+                response_status: res.statusCode,
+                response_body: body
+            })).eq('user_id', req.user.id).eq('idempotency_key', key).eq('claimed_at', claimedAt);
+
+        Promise.resolve(persist)
+            .then(({ error }) => {
+                if (error) {
+                    console.error('Failed to store idempotent response:', error);
+                }
+            })
+            .catch((error) => console.error('Failed to store idempotent response:', error))
+            .finally(() => originalJson(body));
+
+        return res;
+    };
+
+    next();
+};
+
+module.exports = {
+    IDEMPOTENCY_HEADER,
+    idempotent
+};
@@ -33,6 +33,20 @@ const uploadSingle = (fieldName) => {
     return upload.single(fieldName);
 };
 
+/**
+ * Middleware to handle multiple image uploads for one field
+ */
+const uploadMultiple = (fieldName, maxCount) => {
+    return multer({
+        storage,
+        fileFilter,
+        limits: {
+            fileSize: 10 * 1024 * 1024, // 10MB limit per file
+            files: maxCount
+        }
+    }).array(fieldName, maxCount);
+};
+
 /**
  * Get storage folder based on image type and user role
  */
@@ -40,6 +54,14 @@ const getStorageFolder = (imageType, userRole) => {
     switch (imageType) {
         case 'product':
             return 'products-image';
+        case 'claim':
+            return 'claim-images';
+        case 'delivery':
+            return 'delivery-proofs';
+        case 'message':
+            return 'message-images';
+        case 'review':
+            return 'review-images';
         case 'user':
             switch (userRole) {
                 case 'farmer':
@@ -56,6 +78,50 @@ const getStorageFolder = (imageType, userRole) => {
     }
 };
 
+/**
+ * Resize, compress and store one image buffer, returning its storage details
+ */
+const storeImage = async (buffer, folder) => {
+    // Process image with Sharp
+    const processedImageBuffer = await sharp(buffer)
+        .resize(800, 600, {
+            fit: 'inside',
+            withoutEnlargement: true
+        })
+        .jpeg({
+            quality: 80,
+            progressive: true
+        })
+        .toBuffer();
+
+    const filePath = `${folder}/${uuidv4()}.jpg`;
+
+    // Upload to Supabase Storage
+    const { error } = await supabase.storage
+        .from(process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image')
+        .upload(filePath, processedImageBuffer, {
+            contentType: 'image/jpeg',
+            cacheControl: '3600'
+        });
+
+    if (error) {
+        console.error('Supabase storage error:', error);
+        throw new AppError('Failed to upload image', 500, 'UPLOAD_FAILED');
+    }
+
+    // Get public URL
+    const { data: { publicUrl } } = supabase.storage
+        .from(process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image')
+        .getPublicUrl(filePath);
+
+    return {
+        path: filePath,
+        url: publicUrl,
+        size: processedImageBuffer.length,
+        folder
+    };
+};
+
 /**
  * Process and upload image to Supabase Storage
  */
@@ -66,52 +132,47 @@ const processAndUploadImage = (imageType = 'product') => {
                 return next();
             }
 
-            // Process image with Sharp
-            const processedImageBuffer = await sharp(req.file.buffer)
-                .resize(800, 600, {
-                    fit: 'inside',
-                    withoutEnlargement: true
-                })
-                .jpeg({
-                    quality: 80,
-                    progressive: true
-                })
-                .toBuffer();
-
-            // Generate unique filename
-            const fileExtension = 'jpg';
-            const fileName = `${uuidv4()}.${fileExtension}`;
-            
             // Get appropriate folder based on image type and user role
             const folder = getStorageFolder(imageType, req.user?.role);
-            const filePath = `${folder}/${fileName}`;
-
-            // Upload to Supabase Storage
-            const { data, error } = await supabase.storage
-                .from(process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image')
-                .upload(filePath, processedImageBuffer, {
-                    contentType: 'image/jpeg',
-                    cacheControl: '3600'
-                });
-
-            if (error) {
-                console.error('Supabase storage error:', error);
-                throw new AppError('Failed to upload image', 500, 'UPLOAD_FAILED');
+            const uploadedFile = await storeImage(req.file.buffer, folder);
+
+            // Attach image URL to request
+            req.imageUrl = uploadedFile.url;
+            req.uploadedFile = uploadedFile;
+
+            next();
+        } catch (error) {
+            next(error);
+        }
+    };
+};
+
+/**
+ * Process and upload multiple images to Supabase Storage
+ */
+const processAndUploadImages = (imageType) => {
+    return async (req, res, next) => {
+        try {
+            if (!req.files || !req.files.length) {
+                req.imageUrls = [];
+                return next();
             }
 
-            // Get public URL
-            const { data: { publicUrl } } = supabase.storage
-                .from(process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image')
-                .getPublicUrl(filePath);
+            const folder = getStorageFolder(imageType, req.user?.role);
+            const uploadedFiles = [];
 
-            // Attach image URL to request
-            req.imageUrl = publicUrl;
-            req.uploadedFile = {
-                path: filePath,
-                url: publicUrl,
-                size: processedImageBuffer.length,
-                folder: folder
-            };
+            try {
+                for (const file of req.files) {
+                    uploadedFiles.push(await storeImage(file.buffer, folder));
+                }
+            } catch (error) {
+                // Don't leave half of the batch behind
+                await Promise.all(uploadedFiles.map((file) => deleteImage(file.url)));
+                throw error;
+            }
+
+            req.imageUrls = uploadedFiles.map((file) => file.url);
+            req.uploadedFiles = uploadedFiles;
 
             next();
         } catch (error) {
@@ -127,28 +188,21 @@ const deleteImage = async (imagePath) => {
     try {
         if (!imagePath) return;
 
-        // Extract file path from URL
-        const urlParts = imagePath.split('/');
-        const fileName = urlParts[urlParts.length - 1];
-        
-        // Try to determine the folder from the URL structure
-        // Look for known folder patterns in the URL
-        let folder = 'products-image'; // Default
-        
-        if (imagePath.includes('farmer-user-image')) {
-            folder = 'farmer-user-image';
-        } else if (imagePath.includes('customer-image')) {
-            folder = 'customer-image';
-        } else if (imagePath.includes('agent-user-image')) {
-            folder = 'agent-user-image';
-        } else if (imagePath.includes('products-image')) {
-            folder = 'products-image';
+        // Public URLs end in /<bucket>/<folder>/<file>; the path inside the bucket is what to remove
+        const bucket = process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image';
+        const marker = `/${bucket}/`;
+        const { pathname } = new URL(imagePath);
+        const markerIndex = pathname.indexOf(marker);
+
+        if (markerIndex === -1) {
+            console.error('Image is not in the storage bucket:', imagePath);
+            return;
         }
 
-        const filePath = `${folder}/${fileName}`;
+        const filePath = decodeURIComponent(pathname.slice(markerIndex + marker.length));
 
         const { error } = await supabase.storage
-            .from(process.env.SUPABASE_STORAGE_BUCKET || 'krishoker_ponno_image')
+            .from(bucket)
             .remove([filePath]);
 
         if (error) {
@@ -179,11 +233,57 @@ const uploadUserImage = (fieldName = 'image') => {
     ];
 };
 
+/**
+ * Middleware for claim photo uploads (up to 5 images)
+ */
+const uploadClaimImages = (fieldName = 'photos') => {
+    return [
+        uploadMultiple(fieldName, 5),
+        processAndUploadImages('claim')
+    ];
+};
+
+/**
+ * Middleware for the proof-of-delivery photo
+ */
+const uploadDeliveryPhoto = (fieldName = 'photo') => {
+    return [
+        uploadSingle(fieldName),
+        processAndUploadImage('delivery')
+    ];
+};
+
+/**
+ * Middleware for order message attachments (up to 5 images)
+ */
+const uploadMessageImages = (fieldName = 'attachments') => {
+    return [
+        uploadMultiple(fieldName, 5),
+        processAndUploadImages('message')
+    ];
+};
+
+/**
+ * Middleware for review photos (up to 5 images)
+ */
+const uploadReviewImages = (fieldName = 'photos') => {
+    return [
+        uploadMultiple(fieldName, 5),
+        processAndUploadImages('review')
+    ];
+};
+
 module.exports = {
     uploadSingle,
+    uploadMultiple,
     processAndUploadImage,
+    processAndUploadImages,
     deleteImage,
     uploadProductImage,
     uploadUserImage,
+    uploadClaimImages,
+    uploadDeliveryPhoto,
+    uploadMessageImages,
+    uploadReviewImages,
     getStorageFolder
 };
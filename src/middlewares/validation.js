@@ -30,6 +30,26 @@ const validate = (schema) => {
     };
 };
 
+// Wholesale price tiers; multipart forms send them as a JSON string
+const priceTierList = Joi.array().items(Joi.object({
+    min_quantity: Joi.number().positive().precision(2).required(),
+    unit_price: Joi.number().positive().precision(2).required()
+})).unique('min_quantity').max(10);
+
+const priceTiers = Joi.alternatives().try(
+    priceTierList,
+    Joi.string().custom((value, helpers) => {
+        try {
+            return priceTierList.validate(JSON.parse(value)).error ? helpers.error('any.invalid') : value;
+        } catch (error) {
+            return helpers.error('any.invalid');
+        }
+    })
+).messages({
+    'alternatives.match': 'Price tiers must be a list of min_quantity and unit_price pairs with distinct quantities',
+    'any.invalid': 'Price tiers must be a list of min_quantity and unit_price pairs with distinct quantities'
+});
+
 /**
  * Validation schemas
  */
@@ -81,10 +101,15 @@ const schemas = {
         category: Joi.string().max(100).optional(),
         unit: Joi.string().valid('kg', 'piece', 'liter', 'dozen', 'quintal').default('kg'),
         available_quantity: Joi.number().min(0).precision(2).default(0),
+        price_tiers: priceTiers.optional(),
+        expected_harvest_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().allow(null).messages({
+            'string.pattern.base': 'Expected harvest date must be in YYYY-MM-DD format'
+        }),
+        projected_quantity: Joi.number().min(0).precision(2).optional().allow(null),
         district_id: Joi.string().uuid().required().messages({
             'any.required': 'District is required'
         })
-    }),
+    }).and('expected_harvest_date', 'projected_quantity'),
 
     // Product update
     productUpdate: Joi.object({
@@ -94,6 +119,11 @@ const schemas = {
         category: Joi.string().max(100).optional(),
         unit: Joi.string().valid('kg', 'piece', 'liter', 'dozen', 'quintal').optional(),
         available_quantity: Joi.number().min(0).precision(2).optional(),
+        price_tiers: priceTiers.optional(),
+        expected_harvest_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().allow(null).messages({
+            'string.pattern.base': 'Expected harvest date must be in YYYY-MM-DD format'
+        }),
+        projected_quantity: Joi.number().min(0).precision(2).optional().allow(null),
         is_active: Joi.boolean().optional()
     }),
 
@@ -107,14 +137,313 @@ const schemas = {
             'any.required': 'Quantity is required'
         }),
         agent_id: Joi.string().uuid().optional().allow(null),
+        auto_assign: Joi.boolean().optional().when('agent_id', {
+            is: Joi.string().required(),
+            then: Joi.valid(false).messages({
+                'any.only': 'Choose an agent or auto_assign, not both'
+            })
+        }),
+        delivery_slot_id: Joi.string().uuid().optional().allow(null),
+        delivery_address: Joi.string().max(500).optional(),
+        customer_notes: Joi.string().max(500).optional(),
+        coupon_code: Joi.string().trim().max(50).optional()
+    }),
+
+    // Cart item add
+    cartItemAdd: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        })
+    }),
+
+    // Cart item quantity update
+    cartItemUpdate: Joi.object({
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        })
+    }),
+
+    // Cart checkout
+    cartCheckout: Joi.object({
+        agent_id: Joi.string().uuid().optional().allow(null),
+        delivery_slot_id: Joi.string().uuid().optional().allow(null),
+        delivery_address: Joi.string().max(500).optional(),
+        customer_notes: Joi.string().max(500).optional(),
+        coupon_code: Joi.string().trim().max(50).optional()
+    }),
+
+    // Pre-order against a product's projected harvest
+    preorderCreate: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        }),
+        deposit_amount: Joi.number().min(0).precision(2).optional(),
+        accept_partial: Joi.boolean().optional(),
+        delivery_address: Joi.string().max(500).optional(),
+        customer_notes: Joi.string().max(500).optional()
+    }),
+
+    // Cancelling a pending pre-order
+    preorderCancel: Joi.object({
+        reason: Joi.string().max(500).optional()
+    }),
+
+    // Farmer recording a harvest (0 retries pre-orders left pending)
+    harvestRecord: Joi.object({
+        quantity: Joi.number().min(0).precision(2).required().messages({
+            'any.required': 'Harvested quantity is required'
+        })
+    }),
+
+    // Recurring subscription to a product
+    subscriptionCreate: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        }),
+        frequency: Joi.string().valid('weekly', 'biweekly', 'monthly').required().messages({
+            'any.only': 'Frequency must be weekly, biweekly or monthly',
+            'any.required': 'Frequency is required'
+        }),
+        // Weekday (0 = Sunday) for weekly and biweekly, day of the month for monthly
+        delivery_day: Joi.when('frequency', {
+            is: 'monthly',
+            then: Joi.number().integer().min(1).max(28).required().messages({
+                'number.min': 'Monthly delivery day must be between 1 and 28',
+                'number.max': 'Monthly delivery day must be between 1 and 28'
+            }),
+            otherwise: Joi.number().integer().min(0).max(6).required().messages({
+                'number.min': 'Delivery day must be a weekday from 0 (Sunday) to 6 (Saturday)',
+                'number.max': 'Delivery day must be a weekday from 0 (Sunday) to 6 (Saturday)'
+            })
+        }),
+        agent_id: Joi.string().uuid().optional().allow(null),
+        start_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+            'string.pattern.base': 'Start date must be in YYYY-MM-DD format'
+        }),
         delivery_address: Joi.string().max(500).optional(),
         customer_notes: Joi.string().max(500).optional()
     }),
 
+    // Skipping one delivery of a subscription (the next one by default)
+    subscriptionSkip: Joi.object({
+        delivery_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+            'string.pattern.base': 'Delivery date must be in YYYY-MM-DD format'
+        })
+    }),
+
+    // Cancelling a subscription
+    subscriptionCancel: Joi.object({
+        reason: Joi.string().max(500).optional()
+    }),
+
+    // Customer price offer on a product
+    priceOfferCreate: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        }),
+        unit_price: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Unit price must be positive',
+            'any.required': 'Unit price is required'
+        }),
+        note: Joi.string().max(500).optional()
+    }),
+
+    // Farmer counter-offer
+    priceOfferCounter: Joi.object({
+        unit_price: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Unit price must be positive',
+            'any.required': 'Unit price is required'
+        }),
+        note: Joi.string().max(500).optional()
+    }),
+
+    // Rejecting an offer or counter-offer
+    priceOfferReject: Joi.object({
+        note: Joi.string().max(500).optional()
+    }),
+
+    // Ordering an accepted offer (quantity and price come from the offer)
+    priceOfferOrder: Joi.object({
+        agent_id: Joi.string().uuid().optional().allow(null),
+        auto_assign: Joi.boolean().optional().when('agent_id', {
+            is: Joi.string().required(),
+            then: Joi.valid(false).messages({
+                'any.only': 'Choose an agent or auto_assign, not both'
+            })
+        }),
+        delivery_slot_id: Joi.string().uuid().optional().allow(null),
+        delivery_address: Joi.string().max(500).optional(),
+        customer_notes: Joi.string().max(500).optional()
+    }),
+
+    // Buyer demand post (request for quotes)
+    demandPostCreate: Joi.object({
+        district_id: Joi.string().uuid().required().messages({
+            'any.required': 'District is required'
+        }),
+        category: Joi.string().max(100).required().messages({
+            'any.required': 'Category is required'
+        }),
+        title: Joi.string().min(3).max(255).required().messages({
+            'any.required': 'Title is required'
+        }),
+        description: Joi.string().max(2000).optional(),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        }),
+        unit: Joi.string().max(20).optional(),
+        max_unit_price: Joi.number().positive().precision(2).optional(),
+        needed_by: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).optional().messages({
+            'string.pattern.base': 'Needed-by date must be in YYYY-MM-DD format'
+        }),
+        expires_at: Joi.date().iso().greater('now').optional().messages({
+            'date.greater': 'Expiry must be in the future'
+        }),
+        delivery_address: Joi.string().max(500).optional()
+    }),
+
+    // Cancelling a demand post
+    demandPostCancel: Joi.object({
+        reason: Joi.string().max(500).optional()
+    }),
+
+    // Farmer quote on a demand post (quantity defaults to the full requirement)
+    demandQuoteCreate: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        unit_price: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Unit price must be positive',
+            'any.required': 'Unit price is required'
+        }),
+        quantity: Joi.number().positive().precision(2).optional(),
+        note: Joi.string().max(500).optional()
+    }),
+
+    // Rejecting a quote
+    demandQuoteReject: Joi.object({
+        note: Joi.string().max(500).optional()
+    }),
+
+    // Accepting a quote (quantity and price come from the quote)
+    demandQuoteAccept: Joi.object({
+        agent_id: Joi.string().uuid().optional().allow(null),
+        auto_assign: Joi.boolean().optional().when('agent_id', {
+            is: Joi.string().required(),
+            then: Joi.valid(false).messages({
+                'any.only': 'Choose an agent or auto_assign, not both'
+            })
+        }),
+        delivery_slot_id: Joi.string().uuid().optional().allow(null),
+        delivery_address: Joi.string().max(500).optional(),
+        customer_notes: Joi.string().max(500).optional()
+    }),
+
+    // Timed auction of a product lot (prices per unit; start price defaults to the reserve)
+    auctionCreate: Joi.object({
+        product_id: Joi.string().uuid().required().messages({
+            'any.required': 'Product ID is required'
+        }),
+        quantity: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Quantity must be positive',
+            'any.required': 'Quantity is required'
+        }),
+        reserve_price: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Reserve price must be positive',
+            'any.required': 'Reserve price is required'
+        }),
+        start_price: Joi.number().positive().precision(2).optional(),
+        bid_increment: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Bid increment must be positive',
+            'any.required': 'Bid increment is required'
+        }),
+        starts_at: Joi.date().iso().optional(),
+        ends_at: Joi.date().iso().greater('now').required().messages({
+            'date.greater': 'Auction must end in the future',
+            'any.required': 'End time is required'
+        })
+    }),
+
+    // Bid on an auction
+    auctionBid: Joi.object({
+        unit_price: Joi.number().positive().precision(2).required().messages({
+            'number.positive': 'Bid must be positive',
+            'any.required': 'Bid price per unit is required'
+        })
+    }),
+
+    // Cancelling an auction
+    auctionCancel: Joi.object({
+        reason: Joi.string().max(500).optional()
+    }),
+
     // Order update (for agents/admins)
     orderUpdate: Joi.object({
         status: Joi.string().valid('booked', 'confirmed', 'picked', 'delivered', 'cancelled').optional(),
-        agent_notes: Joi.string().max(500).optional()
+        agent_notes: Joi.string().max(500).optional(),
+        cancellation_reason: Joi.string().max(500).when('status', {
+            is: 'cancelled',
+            then: Joi.required(),
+            otherwise: Joi.optional()
+        }).messages({
+            'any.required': 'Cancellation reason is required'
+        }),
+        // Proof of delivery (status delivered; the photo is uploaded as `photo`)
+        recipient_name: Joi.string().min(2).max(255).when('status', {
+            is: 'delivered',
+            then: Joi.required(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'any.required': 'Recipient name is required for delivery'
+        }),
+        delivery_otp: Joi.string().length(6).pattern(/^\d+$/).when('status', {
+            is: 'delivered',
+            then: Joi.optional(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'string.length': 'Delivery OTP must be 6 digits',
+            'string.pattern.base': 'Delivery OTP must be 6 digits'
+        }),
+        latitude: Joi.number().min(-90).max(90).optional(),
+        longitude: Joi.number().min(-180).max(180).optional()
+    }).and('latitude', 'longitude'),
+
+    // Order payment
+    paymentCreate: Joi.object({
+        provider: Joi.string().valid('cod', 'bkash', 'nagad').required().messages({
+            'any.only': 'Provider must be cod, bkash or nagad',
+            'any.required': 'Payment provider is required'
+        })
+    }),
+
+    // Order cancellation
+    orderCancel: Joi.object({
+        cancellation_reason: Joi.string().max(500).required().messages({
+            'any.required': 'Cancellation reason is required'
+        })
+    }),
+
+    // Agent declining an assignment offer
+    assignmentDecline: Joi.object({
+        reason: Joi.string().max(500).optional()
     }),
 
     // District creation
@@ -125,6 +454,250 @@ const schemas = {
         })
     }),
 
+    // Commission rule creation
+    commissionRuleCreate: Joi.object({
+        name: Joi.string().min(2).max(255).required().messages({
+            'any.required': 'Rule name is required'
+        }),
+        rate: Joi.number().min(0).max(100).precision(2).required().messages({
+            'number.max': 'Commission rate cannot exceed 100%',
+            'any.required': 'Commission rate is required'
+        }),
+        district_id: Joi.string().uuid().optional().allow(null),
+        category: Joi.string().max(100).optional().allow(null),
+        agent_id: Joi.string().uuid().optional().allow(null),
+        priority: Joi.number().integer().default(0),
+        valid_from: Joi.date().iso().optional().allow(null),
+        valid_until: Joi.date().iso().when('valid_from', {
+            is: Joi.date().required(),
+            then: Joi.date().greater(Joi.ref('valid_from'))
+        }).optional().allow(null),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    // Commission rule update
+    commissionRuleUpdate: Joi.object({
+        name: Joi.string().min(2).max(255).optional(),
+        rate: Joi.number().min(0).max(100).precision(2).optional(),
+        district_id: Joi.string().uuid().optional().allow(null),
+        category: Joi.string().max(100).optional().allow(null),
+        agent_id: Joi.string().uuid().optional().allow(null),
+        priority: Joi.number().integer().optional(),
+        valid_from: Joi.date().iso().optional().allow(null),
+        valid_until: Joi.date().iso().optional().allow(null),
+        is_active: Joi.boolean().optional()
+    }),
+
+    // Promotion creation; without a code it applies automatically to every order in scope
+    promotionCreate: Joi.object({
+        name: Joi.string().min(2).max(255).required().messages({
+            'any.required': 'Promotion name is required'
+        }),
+        code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,50}$/).optional().allow(null).messages({
+            'string.pattern.base': 'Coupon code must be 3-50 letters, digits, dashes or underscores'
+        }),
+        description: Joi.string().max(1000).optional().allow(null),
+        discount_type: Joi.string().valid('percentage', 'fixed').required().messages({
+            'any.only': 'Discount type must be percentage or fixed',
+            'any.required': 'Discount type is required'
+        }),
+        discount_value: Joi.number().positive().precision(2).required()
+            .when('discount_type', { is: 'percentage', then: Joi.number().max(100) })
+            .messages({
+                'number.max': 'Percentage discount cannot exceed 100%',
+                'any.required': 'Discount value is required'
+            }),
+        max_discount: Joi.number().positive().precision(2).optional().allow(null),
+        min_order_amount: Joi.number().min(0).precision(2).optional(),
+        district_id: Joi.string().uuid().optional().allow(null),
+        category: Joi.string().max(100).optional().allow(null),
+        product_id: Joi.string().uuid().optional().allow(null),
+        farmer_id: Joi.string().uuid().optional().allow(null),
+        usage_limit: Joi.number().integer().positive().optional().allow(null),
+        per_user_limit: Joi.number().integer().positive().optional().allow(null),
+        commission_basis: Joi.string().valid('gross', 'net').optional().messages({
+            'any.only': 'Commission basis must be gross or net'
+        }),
+        valid_from: Joi.date().iso().optional().allow(null),
+        valid_until: Joi.date().iso().when('valid_from', {
+            is: Joi.date().required(),
+            then: Joi.date().greater(Joi.ref('valid_from'))
+        }).optional().allow(null),
+        is_active: Joi.boolean().default(true)
+    }),
+
+    // Promotion update (type and value changes only affect new orders)
+    promotionUpdate: Joi.object({
+        name: Joi.string().min(2).max(255).optional(),
+        code: Joi.string().trim().pattern(/^[A-Za-z0-9_-]{3,50}$/).optional().allow(null).messages({
+            'string.pattern.base': 'Coupon code must be 3-50 letters, digits, dashes or underscores'
+        }),
+        description: Joi.string().max(1000).optional().allow(null),
+        discount_type: Joi.string().valid('percentage', 'fixed').optional(),
+        discount_value: Joi.number().positive().precision(2).optional(),
+        max_discount: Joi.number().positive().precision(2).optional().allow(null),
+        min_order_amount: Joi.number().min(0).precision(2).optional(),
+        district_id: Joi.string().uuid().optional().allow(null),
+        category: Joi.string().max(100).optional().allow(null),
+        product_id: Joi.string().uuid().optional().allow(null),
+        farmer_id: Joi.string().uuid().optional().allow(null),
+        usage_limit: Joi.number().integer().positive().optional().allow(null),
+        per_user_limit: Joi.number().integer().positive().optional().allow(null),
+        commission_basis: Joi.string().valid('gross', 'net').optional(),
+        valid_from: Joi.date().iso().optional().allow(null),
+        valid_until: Joi.date().iso().optional().allow(null),
+        is_active: Joi.boolean().optional()
+    }),
+
+    // Agent payouts (bulk)
+    payoutCreate: Joi.object({
+        payouts: Joi.array().min(1).max(100).items(Joi.object({
+            agent_id: Joi.string().uuid().required(),
+            amount: Joi.number().positive().precision(2).required(),
+            method: Joi.string().valid('cash', 'bkash', 'nagad', 'bank').default('cash'),
+            reference: Joi.string().max(100).optional(),
+            note: Joi.string().max(500).optional()
+        })).unique('agent_id').required().messages({
+            'array.unique': 'Each agent can only appear once per payout batch',
+            'any.required': 'Payouts are required'
+        })
+    }),
+
+    // Order expiry deadlines for a district (null uses the default)
+    orderExpiryRuleUpdate: Joi.object({
+        booked_expiry_hours: Joi.number().integer().min(1).max(720).allow(null),
+        confirmed_expiry_hours: Joi.number().integer().min(1).max(720).allow(null)
+    }).min(1).messages({
+        'object.min': 'Provide booked_expiry_hours and/or confirmed_expiry_hours'
+    }),
+
+    // Agent availability (working hours and holidays replace the existing lists)
+    agentAvailabilityUpdate: Joi.object({
+        working_hours: Joi.array().items(Joi.object({
+            day_of_week: Joi.number().integer().min(0).max(6).required(),
+            start_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+            end_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required()
+        }).custom((slot, helpers) => (
+            slot.start_time < slot.end_time ? slot : helpers.message('end_time must be after start_time')
+        ))).max(21),
+        holidays: Joi.array().items(Joi.object({
+            date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().custom((date, helpers) => (
+                new Date(date).toISOString().slice(0, 10) === date ? date : helpers.message('Holiday date does not exist')
+            )).messages({
+                'string.pattern.base': 'Holiday date must be in YYYY-MM-DD format'
+            }),
+            reason: Joi.string().max(255).optional()
+        })).max(366),
+        max_concurrent_orders: Joi.number().integer().min(1).max(1000).allow(null)
+    }).min(1).messages({
+        'object.min': 'Provide working_hours, holidays and/or max_concurrent_orders'
+    }),
+
+    // Delivery slot creation (admins, or agents for their own district)
+    deliverySlotCreate: Joi.object({
+        slot_date: Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).required().messages({
+            'string.pattern.base': 'Slot date must be in YYYY-MM-DD format',
+            'any.required': 'Slot date is required'
+        }),
+        start_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+        end_time: Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d$/).required(),
+        capacity: Joi.number().integer().min(1).max(10000).required().messages({
+            'any.required': 'Capacity is required'
+        })
+    }).custom((slot, helpers) => (
+        slot.start_time < slot.end_time ? slot : helpers.message('end_time must be after start_time')
+    )),
+
+    // Delivery slot update
+    deliverySlotUpdate: Joi.object({
+        capacity: Joi.number().integer().min(1).max(10000),
+        is_active: Joi.boolean()
+    }).min(1).messages({
+        'object.min': 'Provide capacity and/or is_active'
+    }),
+
+    // Order thread message (images are uploaded as `attachments`)
+    orderMessageCreate: Joi.object({
+        body: Joi.string().trim().min(1).max(2000).optional()
+    }),
+
+    // Review of a delivered order's product or agent (photos are uploaded as `photos`)
+    reviewCreate: Joi.object({
+        target: Joi.string().valid('product', 'agent').required().messages({
+            'any.only': 'Target must be either product or agent',
+            'any.required': 'Review target is required'
+        }),
+        product_id: Joi.when('target', {
+            is: 'product',
+            then: Joi.string().uuid().optional(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'any.unknown': 'Product ID is only allowed for product reviews'
+        }),
+        rating: Joi.number().integer().min(1).max(5).required().messages({
+            'number.min': 'Rating must be between 1 and 5',
+            'number.max': 'Rating must be between 1 and 5',
+            'any.required': 'Rating is required'
+        }),
+        comment: Joi.string().trim().max(1000).optional()
+    }),
+
+    // Admin moderation of a review
+    reviewModerate: Joi.object({
+        is_hidden: Joi.boolean().required(),
+        reason: Joi.when('is_hidden', {
+            is: true,
+            then: Joi.string().min(2).max(500).required(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'any.required': 'A reason is required to hide a review',
+            'any.unknown': 'A reason is only allowed when hiding a review'
+        })
+    }),
+
+    // Return/refund claim on a delivered order
+    claimCreate: Joi.object({
+        reason: Joi.string().valid('damaged', 'spoiled', 'wrong_item', 'short_quantity', 'other').required().messages({
+            'any.only': 'Reason must be one of: damaged, spoiled, wrong_item, short_quantity, other',
+            'any.required': 'Claim reason is required'
+        }),
+        description: Joi.string().max(1000).optional()
+    }),
+
+    // Farmer/agent response to a claim
+    claimRespond: Joi.object({
+        response: Joi.string().min(2).max(1000).required().messages({
+            'any.required': 'Response is required'
+        })
+    }),
+
+    // Admin resolution of a claim
+    claimResolve: Joi.object({
+        resolution: Joi.string().valid('full_refund', 'partial_refund', 'rejected').required().messages({
+            'any.only': 'Resolution must be one of: full_refund, partial_refund, rejected',
+            'any.required': 'Resolution is required'
+        }),
+        refund_amount: Joi.when('resolution', {
+            is: 'partial_refund',
+            then: Joi.number().positive().precision(2).required(),
+            otherwise: Joi.forbidden()
+        }).messages({
+            'any.required': 'Refund amount is required for a partial refund',
+            'any.unknown': 'Refund amount is only allowed for a partial refund'
+        }),
+        restock_items: Joi.when('resolution', {
+            is: 'rejected',
+            then: Joi.array().max(0),
+            otherwise: Joi.array().items(Joi.object({
+                product_id: Joi.string().uuid().required(),
+                quantity: Joi.number().positive().required()
+            })).unique('product_id').default([])
+        }).messages({
+            'array.max': 'A rejected claim cannot restock items'
+        }),
+        note: Joi.string().max(1000).optional()
+    }),
+
     // Phone OTP request
     otpRequest: Joi.object({
         phone: Joi.string().pattern(/^(\+88)?01[3-9]\d{8}$/).required().messages({
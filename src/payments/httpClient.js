@@ -0,0 +1,48 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Minimal JSON POST helper for payment gateway APIs
+ */
+const postJson = (url, body, headers = {}) => {
+    return new Promise((resolve, reject) => {
+        const payload = JSON.stringify(body);
+        const target = new URL(url);
+        const client = target.protocol === 'https:' ? https : http;
+
+        const req = client.request(target, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Content-Length': Buffer.byteLength(payload),
+                ...headers
+            },
+            timeout: 15000
+        }, (res) => {
+            let data = '';
+            res.on('data', (chunk) => { data += chunk; });
+            res.on('end', () => {
+                let parsed = null;
+                try {
+                    parsed = data ? JSON.parse(data) : null;
+                } catch (error) {
+                    return reject(new Error(`Invalid JSON from ${target.host}`));
+                }
+
+                if (res.statusCode >= 400) {
+                    return reject(new Error(`Gateway responded with ${res.statusCode}`));
+                }
+                resolve(parsed);
+            });
+        });
+
+        req.on('timeout', () => req.destroy(new Error('Gateway request timed out')));
+        req.on('error', reject);
+        req.write(payload);
+        req.end();
+    });
+};
+
+module.exports = {
+    postJson
+};
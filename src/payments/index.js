@@ -0,0 +1,461 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { recordOrderEvent } = require('../utils/orderEvents');
+const cashOnDelivery = require('./providers/cashOnDelivery');
+const { createMobileWalletProvider } = require('./providers/mobileWallet');
+
+const callbackBaseUrl = process.env.PAYMENT_CALLBACK_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+/**
+ * Registered payment providers.
+ * Every provider implements createPayment, verifyWebhook, parseWebhook and refund.
+ * parseWebhook returns a null status for callbacks that do not settle the payment.
+ */
+const providers = {
+    cod: cashOnDelivery,
+    bkash: createMobileWalletProvider('bkash', {
+        apiUrl: process.env.BKASH_API_URL || 'http://localhost:4010/bkash',
+        apiKey: process.env.BKASH_API_KEY,
+        webhookSecret: process.env.BKASH_WEBHOOK_SECRET,
+        callbackBaseUrl
+    }),
+    nagad: createMobileWalletProvider('nagad', {
+        apiUrl: process.env.NAGAD_API_URL || 'http://localhost:4010/nagad',
+        apiKey: process.env.NAGAD_API_KEY,
+        webhookSecret: process.env.NAGAD_WEBHOOK_SECRET,
+        callbackBaseUrl
+    })
+};
+
+const PAYMENT_PROVIDERS = Object.keys(providers);
+
+/**
+ * Get a payment provider by name
+ */
+const getProvider = (name) => {
+    const provider = providers[name];
+    if (!provider) {
+        throw new AppError('Unsupported payment provider', 400, 'INVALID_PAYMENT_PROVIDER');
+    }
+    return provider;
+};
+
+/**
+ * Whether confirming an order requires it to be paid (cash on delivery counts as arranged)
+ */
+const isPaymentRequiredForConfirmation = () => process.env.REQUIRE_PAYMENT_BEFORE_CONFIRMATION === 'true';
+
+/**
+ * Set the payment status shown on the order
+ */
+const setOrderPaymentStatus = async (orderId, paymentStatus) => {
+    const { error } = await supabaseAdmin
+        .from('orders')
+        .update({ payment_status: paymentStatus })
+        .eq('id', orderId);
+
+    if (error) {
+        console.error('Failed to update order payment status:', error);
+    }
+};
+
+/**
+ * Work out the order's payment status from the payments it keeps: paid once they cover the
+ * total, pending while one is in progress, partially paid when they cover part of it (e.g. a
+ * pre-order deposit), otherwise unpaid.
+ */
+const refreshOrderPaymentStatus = async (orderId) => {
+    const [orderResult, paymentsResult] = await Promise.all([
+        supabaseAdmin
+            .from('orders')
+            .select('total_price')
+            .eq('id', orderId)
+            .single(),
+        supabaseAdmin
+            .from('payments')
+            .select('status, amount, refunded_amount')
+            .eq('order_id', orderId)
+            .in('status', ['pending', 'paid'])
+            .eq('refund_required', false)
+    ]);
+
+    if (orderResult.error || paymentsResult.error) {
+        console.error('Failed to fetch order payments:', orderResult.error || paymentsResult.error);
+        return;
+    }
+
+    const payments = paymentsResult.data;
+    const paid = payments
+        .filter((payment) => payment.status === 'paid')
+        .reduce((sum, payment) => sum + Number(payment.amount) - Number(payment.refunded_amount || 0), 0);
+
+    let paymentStatus = 'unpaid';
+    if (paid >= Number(orderResult.data.total_price)) {
+        paymentStatus = 'paid';
+    } else if (payments.some((payment) => payment.status === 'pending')) {
+        paymentStatus = 'pending';
+    } else if (paid > 0) {
+        paymentStatus = 'partially_paid';
+    }
+
+    await setOrderPaymentStatus(orderId, paymentStatus);
+};
+
+/**
+ * Refund a payment that succeeded at the gateway after it had been cancelled (the customer
+ * finished an older checkout after starting a new one). The money is recorded as received;
+ * if the refund fails the payment stays paid with refund_required set for an admin to handle.
+ */
+const refundLatePayment = async (payment, { payload }) => {
+    const { data: late, error } = await supabaseAdmin
+        .from('payments')
+        .update({
+            status: 'paid',
+            provider_payload: payload,
+            paid_at: new Date().toISOString(),
+            refund_required: true
+        })
+        .eq('id', payment.id)
+        .eq('status', 'cancelled')
+        .select()
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to update payment', 500, 'PAYMENT_UPDATE_FAILED');
+    }
+
+    if (!late) {
+        return false;
+    }
+
+    let result;
+    try {
+        result = await getProvider(late.provider).refund({ payment: late, amount: late.amount });
+    } catch (refundError) {
+        console.error(`Refund of late payment ${late.id} failed:`, refundError);
+        return true;
+    }
+
+    if (!result.refunded) {
+        console.error(`Refund of late payment ${late.id} was declined by the gateway`);
+        return true;
+    }
+
+    const { error: refundedError } = await supabaseAdmin
+        .from('payments')
+        .update({ status: 'refunded', refunded_amount: late.amount, refund_required: false })
+        .eq('id', late.id);
+
+    if (refundedError) {
+        console.error('Failed to record late payment refund:', refundedError);
+    }
+
+    return true;
+};
+
+/**
+ * Apply a final gateway result to a pending payment and its order.
+ * A success on a cancelled payment is refunded rather than lost.
+ * Returns false when the payment was already settled (duplicate callback).
+ */
+const completePayment = async (payment, { status, payload }) => {
+    const { data: updated, error } = await supabaseAdmin
+        .from('payments')
+        .update({
+            status,
+            provider_payload: payload,
+            paid_at: status === 'paid' ? new Date().toISOString() : null
+        })
+        .eq('id', payment.id)
+        .eq('status', 'pending')
+        .select('id');
+
+    if (error) {
+        throw new AppError('Failed to update payment', 500, 'PAYMENT_UPDATE_FAILED');
+    }
+
+    if (!updated.length) {
+        return status === 'paid' && payment.status === 'cancelled'
+            ? refundLatePayment(payment, { payload })
+            : false;
+    }
+
+    // A pre-order deposit has no order yet
+    if (!payment.order_id) {
+        const { error: preorderError } = await supabaseAdmin
+            .from('preorders')
+            .update({ deposit_status: status === 'paid' ? 'paid' : 'unpaid' })
+            .eq('id', payment.preorder_id);
+
+        if (preorderError) {
+            console.error('Failed to update pre-order deposit status:', preorderError);
+        }
+        return true;
+    }
+
+    await refreshOrderPaymentStatus(payment.order_id);
+
+    await recordOrderEvent({
+        orderId: payment.order_id,
+        eventType: 'payment_updated',
+        metadata: {
+            payment_id: payment.id,
+            provider: payment.provider,
+            status
+        }
+    });
+
+    return true;
+};
+
+/**
+ * Mark pending cash-on-delivery payments as paid once the order is delivered
+ */
+const settleCashOnDelivery = async (orderId, actor) => {
+    const { data: settled, error } = await supabaseAdmin
+        .from('payments')
+        .update({ status: 'paid', paid_at: new Date().toISOString() })
+        .eq('order_id', orderId)
+        .eq('provider', cashOnDelivery.name)
+        .eq('status', 'pending')
+        .select('id');
+
+    if (error) {
+        console.error('Failed to settle cash on delivery payment:', error);
+        return;
+    }
+
+    if (settled.length) {
+        await setOrderPaymentStatus(orderId, 'paid');
+        await recordOrderEvent({
+            orderId,
+            eventType: 'payment_updated',
+            actor,
+            metadata: {
+                payment_id: settled[0].id,
+                provider: cashOnDelivery.name,
+                status: 'paid'
+            }
+        });
+    }
+};
+
+/**
+ * Refund part or all of one of an order's paid payments through its provider and record it.
+ * Returns null when the gateway refund failed, otherwise whether the payment is now fully refunded.
+ */
+const refundPayment = async (payment, amount, actor) => {
+    let result;
+    try {
+        result = await getProvider(payment.provider).refund({ payment, amount });
+    } catch (error) {
+        console.error('Payment refund failed:', error);
+        return null;
+    }
+
+    if (!result.refunded) {
+        return null;
+    }
+
+    const refundedAmount = parseFloat(payment.refunded_amount || 0) + parseFloat(amount);
+    const fullyRefunded = refundedAmount >= parseFloat(payment.amount);
+
+    const { error } = await supabaseAdmin
+        .from('payments')
+        .update({
+            refunded_amount: refundedAmount,
+            status: fullyRefunded ? 'refunded' : 'paid'
+        })
+        .eq('id', payment.id);
+
+    if (error) {
+        console.error('Failed to record payment refund:', error);
+    }
+
+    await recordOrderEvent({
+        orderId: payment.order_id,
+        eventType: 'payment_updated',
+        actor,
+        metadata: {
+            payment_id: payment.id,
+            provider: payment.provider,
+            status: fullyRefunded ? 'refunded' : 'partially_refunded',
+            refunded_amount: refundedAmount
+        }
+    });
+
+    return fullyRefunded;
+};
+
+/**
+ * Refund part or all of an order's paid amount through the provider that collected it.
+ * Returns the refund status to store on the claim: 'completed', 'failed', or 'pending'
+ * when there is no recorded payment and the refund has to be handled by hand.
+ */
+const refundOrderPayment = async (orderId, amount, actor) => {
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('order_id', orderId)
+        .eq('status', 'paid')
+        .eq('refund_required', false)
+        .order('paid_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (!payment) {
+        return 'pending';
+    }
+
+    const fullyRefunded = await refundPayment(payment, amount, actor);
+
+    if (fullyRefunded === null) {
+        return 'failed';
+    }
+
+    if (fullyRefunded) {
+        await setOrderPaymentStatus(orderId, 'refunded');
+    }
+
+    return 'completed';
+};
+
+/**
+ * Refund whatever is left of every payment collected for a cancelled order (cancel_order has
+ * already cancelled the pending ones). A failed refund is logged and leaves the order paid
+ * for an admin to handle.
+ */
+const refundCancelledOrder = async (orderId, actor) => {
+    const { data: payments, error } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('order_id', orderId)
+        .eq('status', 'paid')
+        .eq('refund_required', false);
+
+    if (error) {
+        console.error('Failed to fetch payments of cancelled order:', error);
+        return;
+    }
+
+    if (!payments.length) {
+        // Nothing was collected, and the payment that was in progress no longer is
+        await supabaseAdmin
+            .from('orders')
+            .update({ payment_status: 'unpaid' })
+            .eq('id', orderId)
+            .eq('payment_status', 'pending');
+        return;
+    }
+
+    let refunded = true;
+    for (const payment of payments) {
+        const remaining = Number(payment.amount) - Number(payment.refunded_amount || 0);
+
+        if (await refundPayment(payment, remaining, actor) === null) {
+            console.error(`Refund of payment ${payment.id} for cancelled order ${orderId} failed`);
+            refunded = false;
+        }
+    }
+
+    if (refunded) {
+        await setOrderPaymentStatus(orderId, 'refunded');
+    }
+};
+
+/**
+ * Refund a pre-order's paid deposit in full through the provider that collected it.
+ * Returns the deposit status to store: 'refunded', or 'paid' when the refund failed
+ * and has to be handled by hand.
+ */
+const refundPreorderDeposit = async (preorderId) => {
+    const { data: payment } = await supabaseAdmin
+        .from('payments')
+        .select('*')
+        .eq('preorder_id', preorderId)
+        .is('order_id', null)
+        .eq('status', 'paid')
+        .eq('refund_required', false)
+        .maybeSingle();
+
+    if (!payment) {
+        return 'paid';
+    }
+
+    let result;
+    try {
+        result = await getProvider(payment.provider).refund({ payment, amount: payment.amount });
+    } catch (error) {
+        console.error('Deposit refund failed:', error);
+        return 'paid';
+    }
+
+    if (!result.refunded) {
+        return 'paid';
+    }
+
+    const { error } = await supabaseAdmin
+        .from('payments')
+        .update({ status: 'refunded', refunded_amount: payment.amount })
+        .eq('id', payment.id);
+
+    if (error) {
+        console.error('Failed to record deposit refund:', error);
+    }
+
+    return 'refunded';
+};
+
+/**
+ * Move a pre-order's paid deposit to the order it became. Whatever the deposit paid
+ * beyond the order total (after a partial fill) is refunded.
+ */
+const applyPreorderDeposit = async (preorderId, order, actor) => {
+    const { data: payment, error } = await supabaseAdmin
+        .from('payments')
+        .update({ order_id: order.id })
+        .eq('preorder_id', preorderId)
+        .is('order_id', null)
+        .eq('status', 'paid')
+        .eq('refund_required', false)
+        .select()
+        .maybeSingle();
+
+    if (error || !payment) {
+        console.error('Failed to move deposit to order:', error);
+        return;
+    }
+
+    await recordOrderEvent({
+        orderId: order.id,
+        eventType: 'payment_updated',
+        actor,
+        metadata: {
+            payment_id: payment.id,
+            provider: payment.provider,
+            status: 'paid',
+            deposit: true
+        }
+    });
+
+    const excess = Number(payment.amount) - Number(order.total_price);
+    if (excess > 0) {
+        await refundOrderPayment(order.id, excess, actor);
+    }
+
+    // A smaller deposit leaves the rest to pay with POST /orders/:id/payments
+    await refreshOrderPaymentStatus(order.id);
+};
+
+module.exports = {
+    PAYMENT_PROVIDERS,
+    getProvider,
+    isPaymentRequiredForConfirmation,
+    setOrderPaymentStatus,
+    completePayment,
+    settleCashOnDelivery,
+    refundOrderPayment,
+    refundCancelledOrder,
+    refundPreorderDeposit,
+    applyPreorderDeposit
+};
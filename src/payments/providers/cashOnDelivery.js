@@ -0,0 +1,25 @@
+/**
+ * Cash on delivery provider.
+ * Nothing is collected up front; the payment is settled when the agent delivers the order.
+ */
+const cashOnDelivery = {
+    name: 'cod',
+    settlesOnDelivery: true,
+
+    createPayment: async () => ({
+        providerPaymentId: null,
+        checkoutUrl: null
+    }),
+
+    // Cash providers never receive gateway callbacks
+    verifyWebhook: () => false,
+
+    parseWebhook: () => {
+        throw new Error('Cash on delivery does not support webhooks');
+    },
+
+    // Cash is handed back by the agent or admin, nothing to call
+    refund: async () => ({ refunded: true })
+};
+
+module.exports = cashOnDelivery;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { postJson } = require('../httpClient');
+
+// Gateway statuses that settle a payment, and the payment status each becomes
+const FINAL_STATUSES = {
+    completed: 'paid',
+    failed: 'failed',
+    cancelled: 'failed',
+    expired: 'failed'
+};
+
+/**
+ * Create a mobile wallet provider (bKash/Nagad style checkout).
+ *
+ * The gateway creates a payment and returns a checkout URL for the customer; once the
+ * customer pays, it calls our webhook with the result signed as HMAC-SHA256 of the raw
+ * body in the `X-Signature` header. In development both wallets point at the mock
+ * server in scripts/mockWalletServer.js.
+ */
+const createMobileWalletProvider = (name, { apiUrl, apiKey, webhookSecret, callbackBaseUrl }) => ({
+    name,
+    settlesOnDelivery: false,
+
+    createPayment: async ({ payment }) => {
+        const response = await postJson(`${apiUrl}/payments`, {
+            merchant_invoice: payment.id,
+            amount: Number(payment.amount),
+            currency: payment.currency,
+            callback_url: `${callbackBaseUrl}/api/v1/payments/webhooks/${name}`
+        }, { 'X-Api-Key': apiKey });
+
+        return {
+            providerPaymentId: response.payment_id,
+            checkoutUrl: response.checkout_url
+        };
+    },
+
+    verifyWebhook: (req) => {
+        const signature = req.headers['x-signature'] || '';
+        if (!webhookSecret || !req.rawBody) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHmac('sha256', webhookSecret)
+            .update(req.rawBody)
+            .digest('hex');
+
+        const received = Buffer.from(signature.replace(/^sha256=/, ''));
+        return received.length === expected.length &&
+            crypto.timingSafeEqual(received, Buffer.from(expected));
+    },
+
+    // Statuses the gateway reports while the customer is still paying map to no status
+    parseWebhook: (body) => ({
+        providerPaymentId: body.payment_id,
+        status: FINAL_STATUSES[body.status] || null,
+        payload: body
+    }),
+
+    refund: async ({ payment, amount }) => {
+        const response = await postJson(`${apiUrl}/payments/${payment.provider_payment_id}/refund`, {
+            amount: Number(amount)
+        }, { 'X-Api-Key': apiKey });
+
+        return { refunded: response.status === 'refunded' };
+    }
+});
+
+module.exports = {
+    createMobileWalletProvider
+};
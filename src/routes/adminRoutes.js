@@ -40,6 +40,41 @@ router.post('/districts', validate(schemas.districtCreate), adminController.crea
 router.put('/districts/:id', validate(schemas.districtCreate), adminController.updateDistrict);
 router.delete('/districts/:id', adminController.deleteDistrict);
 
+/**
+ * Commission Rule Routes
+ */
+router.get('/commission-rules', adminController.getCommissionRules);
+router.post('/commission-rules', validate(schemas.commissionRuleCreate), adminController.createCommissionRule);
+router.put('/commission-rules/:id', validate(schemas.commissionRuleUpdate), adminController.updateCommissionRule);
+router.delete('/commission-rules/:id', adminController.deleteCommissionRule);
+
+/**
+ * Promotion Routes
+ */
+router.get('/promotions', adminController.getPromotions);
+router.post('/promotions', validate(schemas.promotionCreate), adminController.createPromotion);
+router.put('/promotions/:id', validate(schemas.promotionUpdate), adminController.updatePromotion);
+router.delete('/promotions/:id', adminController.deletePromotion);
+
+/**
+ * Agent Payout Routes
+ */
+router.get('/payouts', adminController.getPayouts);
+router.post('/payouts', validate(schemas.payoutCreate), adminController.createPayouts);
+
+/**
+ * Order Expiry Routes
+ */
+router.get('/order-expiry', adminController.getOrderExpiryRules);
+router.put('/order-expiry/:districtId', validate(schemas.orderExpiryRuleUpdate), adminController.updateOrderExpiryRule);
+router.delete('/order-expiry/:districtId', adminController.deleteOrderExpiryRule);
+
+/**
+ * Review Moderation Routes
+ */
+router.get('/reviews', adminController.getAllReviews);
+router.put('/reviews/:id/moderate', validate(schemas.reviewModerate), adminController.moderateReview);
+
 /**
  * Analytics and Stats Routes
  */
@@ -47,5 +82,6 @@ router.get('/stats/overview', adminController.getOverviewStats);
 router.get('/stats/users', adminController.getUserStats);
 router.get('/stats/products', adminController.getProductStats);
 router.get('/stats/orders', adminController.getOrderStats);
+router.get('/stats/promotions', adminController.getPromotionStats);
 
 module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+
+const agentController = require('../controllers/agentController');
+const { requireAgent } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
+
+/**
+ * @route GET /api/v1/agents/me/earnings
+ * @desc Get current agent's earnings summary
+ * @access Private (Agent)
+ */
+router.get('/me/earnings', requireAgent, agentController.getMyEarnings);
+
+/**
+ * @route GET /api/v1/agents/me/ledger
+ * @desc Get current agent's commission ledger entries
+ * @access Private (Agent)
+ */
+router.get('/me/ledger', requireAgent, agentController.getMyLedger);
+
+/**
+ * @route GET /api/v1/agents/me/availability
+ * @desc Get current agent's working hours, holidays and capacity
+ * @access Private (Agent)
+ */
+router.get('/me/availability', requireAgent, agentController.getMyAvailability);
+
+/**
+ * @route PUT /api/v1/agents/me/availability
+ * @desc Update current agent's working hours, holidays and capacity
+ * @access Private (Agent)
+ */
+router.put('/me/availability', requireAgent, validate(schemas.agentAvailabilityUpdate), agentController.updateMyAvailability);
+
+module.exports = router;
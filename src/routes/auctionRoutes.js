@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+
+const auctionController = require('../controllers/auctionController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomer, requireFarmer, requireFarmerAccess } = require('../middlewares/auth');
+
+/**
+ * @route POST /api/v1/auctions
+ * @desc List a lot of one of the farmer's products for a timed auction
+ * @access Private (Farmer)
+ */
+router.post('/',
+    requireFarmer,
+    validate(schemas.auctionCreate),
+    auctionController.createAuction
+);
+
+/**
+ * @route GET /api/v1/auctions
+ * @desc Get auctions, soonest ending first
+ * @access Private
+ */
+router.get('/', auctionController.getAuctions);
+
+/**
+ * @route GET /api/v1/auctions/:id
+ * @desc Get single auction with the next acceptable bid
+ * @access Private
+ */
+router.get('/:id', auctionController.getAuction);
+
+/**
+ * @route GET /api/v1/auctions/:id/bids
+ * @desc Get an auction's bid history
+ * @access Private
+ */
+router.get('/:id/bids', auctionController.getAuctionBids);
+
+/**
+ * @route POST /api/v1/auctions/:id/bids
+ * @desc Bid a price per unit for the lot
+ * @access Private (Customer)
+ */
+router.post('/:id/bids',
+    requireCustomer,
+    validate(schemas.auctionBid),
+    auctionController.placeBid
+);
+
+/**
+ * @route PUT /api/v1/auctions/:id/cancel
+ * @desc Cancel an open auction that has no bids
+ * @access Private (Farmer/Admin)
+ */
+router.put('/:id/cancel',
+    requireFarmerAccess,
+    validate(schemas.auctionCancel),
+    auctionController.cancelAuction
+);
+
+module.exports = router;
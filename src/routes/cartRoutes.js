@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+const cartController = require('../controllers/cartController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomerAccess } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+
+// Apply customer requirement to all routes
+router.use(requireCustomerAccess);
+
+/**
+ * @route GET /api/v1/cart
+ * @desc Get current user's cart
+ * @access Private (Customer/Admin)
+ */
+router.get('/', cartController.getCart);
+
+/**
+ * @route POST /api/v1/cart/items
+ * @desc Add product to cart
+ * @access Private (Customer/Admin)
+ */
+router.post('/items',
+    validate(schemas.cartItemAdd),
+    cartController.addToCart
+);
+
+/**
+ * @route PUT /api/v1/cart/items/:productId
+ * @desc Update quantity of a product in cart
+ * @access Private (Customer/Admin)
+ */
+router.put('/items/:productId',
+    validate(schemas.cartItemUpdate),
+    cartController.updateCartItem
+);
+
+/**
+ * @route DELETE /api/v1/cart/items/:productId
+ * @desc Remove product from cart
+ * @access Private (Customer/Admin)
+ */
+router.delete('/items/:productId', cartController.removeCartItem);
+
+/**
+ * @route DELETE /api/v1/cart
+ * @desc Remove all items from cart
+ * @access Private (Customer/Admin)
+ */
+router.delete('/', cartController.clearCart);
+
+/**
+ * @route POST /api/v1/cart/checkout
+ * @desc Checkout cart into a single order (retry-safe with Idempotency-Key header)
+ * @access Private (Customer/Admin)
+ */
+router.post('/checkout',
+    validate(schemas.cartCheckout),
+    idempotent,
+    cartController.checkout
+);
+
+module.exports = router;
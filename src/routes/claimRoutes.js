@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+
+const claimController = require('../controllers/claimController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireRole, requireAdmin } = require('../middlewares/auth');
+
+/**
+ * @route GET /api/v1/claims
+ * @desc Get claims (filtered by user role)
+ * @access Private
+ */
+router.get('/', claimController.getMyClaims);
+
+/**
+ * @route GET /api/v1/claims/:id
+ * @desc Get single claim
+ * @access Private (parties to the order, Admin)
+ */
+router.get('/:id', claimController.getClaim);
+
+/**
+ * @route PUT /api/v1/claims/:id/respond
+ * @desc Respond to a claim
+ * @access Private (Farmer/Agent/Admin)
+ */
+router.put('/:id/respond',
+    requireRole(['farmer', 'agent', 'admin']),
+    validate(schemas.claimRespond),
+    claimController.respondToClaim
+);
+
+/**
+ * @route PUT /api/v1/claims/:id/resolve
+ * @desc Resolve a claim with a full refund, partial refund or rejection
+ * @access Private (Admin)
+ */
+router.put('/:id/resolve',
+    requireAdmin,
+    validate(schemas.claimResolve),
+    claimController.resolveClaim
+);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require('express');
+const router = express.Router();
+
+const demandController = require('../controllers/demandController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomer, requireFarmer, requireCustomerAccess } = require('../middlewares/auth');
+
+/**
+ * @route POST /api/v1/demands
+ * @desc Post a requirement for farmers in the district and category to quote on
+ * @access Private (Customer)
+ */
+router.post('/',
+    requireCustomer,
+    validate(schemas.demandPostCreate),
+    demandController.createDemandPost
+);
+
+/**
+ * @route GET /api/v1/demands
+ * @desc Get own demand posts (customer) or open posts matching own products (farmer)
+ * @access Private (Customer/Farmer/Admin)
+ */
+router.get('/', demandController.getDemandPosts);
+
+/**
+ * @route GET /api/v1/demands/quotes
+ * @desc Get quotes the farmer has submitted
+ * @access Private (Farmer)
+ */
+router.get('/quotes', requireFarmer, demandController.getMyQuotes);
+
+/**
+ * @route GET /api/v1/demands/:id
+ * @desc Get single demand post with its quotes
+ * @access Private (Customer of the post, Farmer, Admin)
+ */
+router.get('/:id', demandController.getDemandPost);
+
+/**
+ * @route PUT /api/v1/demands/:id/cancel
+ * @desc Cancel an open demand post
+ * @access Private (Customer/Admin)
+ */
+router.put('/:id/cancel',
+    requireCustomerAccess,
+    validate(schemas.demandPostCancel),
+    demandController.cancelDemandPost
+);
+
+/**
+ * @route POST /api/v1/demands/:id/quotes
+ * @desc Quote on an open demand post from one of the farmer's products
+ * @access Private (Farmer)
+ */
+router.post('/:id/quotes',
+    requireFarmer,
+    validate(schemas.demandQuoteCreate),
+    demandController.submitQuote
+);
+
+/**
+ * @route PUT /api/v1/demands/:id/quotes/:quoteId/withdraw
+ * @desc Withdraw a pending quote
+ * @access Private (Farmer)
+ */
+router.put('/:id/quotes/:quoteId/withdraw', requireFarmer, demandController.withdrawQuote);
+
+/**
+ * @route PUT /api/v1/demands/:id/quotes/:quoteId/reject
+ * @desc Reject a pending quote
+ * @access Private (Customer)
+ */
+router.put('/:id/quotes/:quoteId/reject',
+    requireCustomer,
+    validate(schemas.demandQuoteReject),
+    demandController.rejectQuote
+);
+
+/**
+ * @route POST /api/v1/demands/:id/quotes/:quoteId/accept
+ * @desc Accept a quote and order it at the quoted unit price
+ * @access Private (Customer)
+ */
+router.post('/:id/quotes/:quoteId/accept',
+    requireCustomer,
+    validate(schemas.demandQuoteAccept),
+    demandController.acceptQuote
+);
+
+module.exports = router;
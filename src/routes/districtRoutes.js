@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 
 const districtController = require('../controllers/districtController');
-const { authenticateUser } = require('../middlewares/auth');
+const deliverySlotController = require('../controllers/deliverySlotController');
+const { authenticateUser, requireAgentAccess } = require('../middlewares/auth');
+const { validate, schemas } = require('../middlewares/validation');
 
 /**
  * @route GET /api/v1/districts
@@ -32,4 +34,46 @@ router.get('/:id/agents', authenticateUser, districtController.getDistrictAgents
  */
 router.get('/:id/products', districtController.getDistrictProducts);
 
+/**
+ * @route GET /api/v1/districts/:id/delivery-slots
+ * @desc Get upcoming delivery slots with remaining capacity
+ * @access Public
+ */
+router.get('/:id/delivery-slots', deliverySlotController.getDistrictDeliverySlots);
+
+/**
+ * @route POST /api/v1/districts/:id/delivery-slots
+ * @desc Create a delivery slot
+ * @access Private (Agent of the district/Admin)
+ */
+router.post('/:id/delivery-slots',
+    authenticateUser,
+    requireAgentAccess,
+    validate(schemas.deliverySlotCreate),
+    deliverySlotController.createDeliverySlot
+);
+
+/**
+ * @route PUT /api/v1/districts/:id/delivery-slots/:slotId
+ * @desc Change a delivery slot's capacity or close it
+ * @access Private (Agent of the district/Admin)
+ */
+router.put('/:id/delivery-slots/:slotId',
+    authenticateUser,
+    requireAgentAccess,
+    validate(schemas.deliverySlotUpdate),
+    deliverySlotController.updateDeliverySlot
+);
+
+/**
+ * @route DELETE /api/v1/districts/:id/delivery-slots/:slotId
+ * @desc Delete a delivery slot without bookings
+ * @access Private (Agent of the district/Admin)
+ */
+router.delete('/:id/delivery-slots/:slotId',
+    authenticateUser,
+    requireAgentAccess,
+    deliverySlotController.deleteDeliverySlot
+);
+
 module.exports = router;
@@ -2,17 +2,24 @@ const express = require('express');
 const router = express.Router();
 
 const orderController = require('../controllers/orderController');
+const paymentController = require('../controllers/paymentController');
+const claimController = require('../controllers/claimController');
+const reviewController = require('../controllers/reviewController');
+const messageController = require('../controllers/messageController');
 const { validate, schemas } = require('../middlewares/validation');
-const { requireCustomerAccess, requireAgentAccess, requireRole } = require('../middlewares/auth');
+const { requireCustomer, requireCustomerAccess, requireAgentAccess, requireAgent, requireRole } = require('../middlewares/auth');
+const { uploadClaimImages, uploadDeliveryPhoto, uploadMessageImages, uploadReviewImages } = require('../middlewares/uploadEnhanced');
+const { idempotent } = require('../middlewares/idempotency');
 
 /**
  * @route POST /api/v1/orders
- * @desc Create new order
+ * @desc Create new order (retry-safe with Idempotency-Key header)
  * @access Private (Customer/Admin)
  */
 router.post('/',
     requireCustomerAccess,
     validate(schemas.orderCreate),
+    idempotent,
     orderController.createOrder
 );
 
@@ -30,17 +37,118 @@ router.get('/', orderController.getMyOrders);
  */
 router.get('/:id', orderController.getOrder);
 
+/**
+ * @route GET /api/v1/orders/:id/timeline
+ * @desc Get order status timeline
+ * @access Private
+ */
+router.get('/:id/timeline', orderController.getOrderTimeline);
+
+/**
+ * @route GET /api/v1/orders/:id/invoice.pdf
+ * @desc Get order invoice as PDF (Bangla or English, override with ?lang=bn|en)
+ * @access Private
+ */
+router.get('/:id/invoice.pdf', orderController.getOrderInvoice);
+
+/**
+ * @route GET /api/v1/orders/:id/receipt.pdf
+ * @desc Get delivery receipt as PDF with signature lines
+ * @access Private
+ */
+router.get('/:id/receipt.pdf', orderController.getDeliveryReceipt);
+
 /**
  * @route PUT /api/v1/orders/:id/status
- * @desc Update order status (Agent/Admin only)
+ * @desc Update order status (Agent/Admin only). Delivering takes proof:
+ *       a `photo` upload, recipient_name, optional delivery_otp and GPS coordinates
  * @access Private (Agent/Admin)
  */
 router.put('/:id/status',
     requireRole(['agent', 'admin', 'farmer']),
+    ...uploadDeliveryPhoto('photo'),
     validate(schemas.orderUpdate),
     orderController.updateOrderStatus
 );
 
+/**
+ * @route PUT /api/v1/orders/:id/cancel
+ * @desc Cancel order and restock its products
+ * @access Private (Customer/Agent/Farmer/Admin related to the order)
+ */
+router.put('/:id/cancel',
+    validate(schemas.orderCancel),
+    orderController.cancelOrder
+);
+
+/**
+ * @route POST /api/v1/orders/:id/payments
+ * @desc Create payment intent for an order (retry-safe with Idempotency-Key header)
+ * @access Private (Customer/Admin)
+ */
+router.post('/:id/payments',
+    requireCustomerAccess,
+    validate(schemas.paymentCreate),
+    idempotent,
+    paymentController.createOrderPayment
+);
+
+/**
+ * @route GET /api/v1/orders/:id/payments
+ * @desc Get payments for an order
+ * @access Private
+ */
+router.get('/:id/payments', paymentController.getOrderPayments);
+
+/**
+ * @route POST /api/v1/orders/:id/claims
+ * @desc Open a return/refund claim on a delivered order (up to 5 photos)
+ * @access Private (Customer/Admin)
+ */
+router.post('/:id/claims',
+    requireCustomerAccess,
+    ...uploadClaimImages('photos'),
+    validate(schemas.claimCreate),
+    claimController.createClaim
+);
+
+/**
+ * @route POST /api/v1/orders/:id/reviews
+ * @desc Rate the product/farmer or the agent of a delivered order (up to 5 photos)
+ * @access Private (Customer)
+ */
+router.post('/:id/reviews',
+    requireCustomer,
+    ...uploadReviewImages('photos'),
+    validate(schemas.reviewCreate),
+    reviewController.createReview
+);
+
+/**
+ * @route GET /api/v1/orders/:id/messages
+ * @desc Get order message thread (newest first) with read receipts
+ * @access Private
+ */
+router.get('/:id/messages', messageController.getOrderMessages);
+
+/**
+ * @route POST /api/v1/orders/:id/messages
+ * @desc Post a message to the order thread (text and/or up to 5 images)
+ * @access Private
+ */
+router.post('/:id/messages',
+    ...uploadMessageImages('attachments'),
+    validate(schemas.orderMessageCreate),
+    messageController.sendOrderMessage
+);
+
+/**
+ * @route PUT /api/v1/orders/:id/messages/read
+ * @desc Mark the order thread as read
+ * @access Private
+ */
+router.put('/:id/messages/read', messageController.markOrderMessagesRead);
+
 /**
  * @route PUT /api/v1/orders/:id/assign-agent
  * @desc Assign agent to order
@@ -51,6 +159,44 @@ router.put('/:id/assign-agent',
     orderController.assignAgent
 );
 
+/**
+ * @route POST /api/v1/orders/:id/auto-assign
+ * @desc Offer order to the best-scoring available agent in its district
+ * @access Private (Customer/Admin)
+ */
+router.post('/:id/auto-assign',
+    requireRole(['customer', 'admin']),
+    orderController.autoAssignAgent
+);
+
+/**
+ * @route GET /api/v1/orders/:id/assignment
+ * @desc Get agent assignment state and offer history
+ * @access Private
+ */
+router.get('/:id/assignment', orderController.getAssignment);
+
+/**
+ * @route PUT /api/v1/orders/:id/assignment/accept
+ * @desc Accept an assignment offer
+ * @access Private (Agent)
+ */
+router.put('/:id/assignment/accept',
+    requireAgent,
+    orderController.acceptAssignment
+);
+
+/**
+ * @route PUT /api/v1/orders/:id/assignment/decline
+ * @desc Decline an assignment offer
+ * @access Private (Agent)
+ */
+router.put('/:id/assignment/decline',
+    requireAgent,
+    validate(schemas.assignmentDecline),
+    orderController.declineAssignment
+);
+
 /**
  * @route GET /api/v1/orders/agents/available
  * @desc Get available agents by district
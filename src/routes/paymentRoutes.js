@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const paymentController = require('../controllers/paymentController');
+
+/**
+ * @route POST /api/v1/payments/webhooks/:provider
+ * @desc Payment gateway callback (verified by signature)
+ * @access Public
+ */
+router.post('/webhooks/:provider', paymentController.handleWebhook);
+
+module.exports = router;
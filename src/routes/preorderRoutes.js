@@ -0,0 +1,58 @@
+const express = require('express');
+const router = express.Router();
+
+const preorderController = require('../controllers/preorderController');
+const paymentController = require('../controllers/paymentController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomer, requireCustomerAccess } = require('../middlewares/auth');
+const { idempotent } = require('../middlewares/idempotency');
+
+/**
+ * @route POST /api/v1/preorders
+ * @desc Pre-order part of a product's projected harvest
+ * @access Private (Customer)
+ */
+router.post('/',
+    requireCustomer,
+    validate(schemas.preorderCreate),
+    preorderController.createPreorder
+);
+
+/**
+ * @route GET /api/v1/preorders
+ * @desc Get pre-orders placed (customer) or received (farmer)
+ * @access Private (Customer/Farmer/Admin)
+ */
+router.get('/', preorderController.getPreorders);
+
+/**
+ * @route GET /api/v1/preorders/:id
+ * @desc Get single pre-order
+ * @access Private (Customer/Farmer of the pre-order, Admin)
+ */
+router.get('/:id', preorderController.getPreorder);
+
+/**
+ * @route PUT /api/v1/preorders/:id/cancel
+ * @desc Cancel a pending pre-order (refunds a paid deposit)
+ * @access Private (Customer/Admin)
+ */
+router.put('/:id/cancel',
+    requireCustomerAccess,
+    validate(schemas.preorderCancel),
+    preorderController.cancelPreorder
+);
+
+/**
+ * @route POST /api/v1/preorders/:id/deposit
+ * @desc Create payment intent for the advance deposit (retry-safe with Idempotency-Key header)
+ * @access Private (Customer)
+ */
+router.post('/:id/deposit',
+    requireCustomer,
+    validate(schemas.paymentCreate),
+    idempotent,
+    paymentController.createPreorderDeposit
+);
+
+module.exports = router;
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+
+const priceOfferController = require('../controllers/priceOfferController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomer, requireFarmer, requireRole } = require('../middlewares/auth');
+
+/**
+ * @route POST /api/v1/offers
+ * @desc Offer a unit price for a quantity of a product
+ * @access Private (Customer)
+ */
+router.post('/',
+    requireCustomer,
+    validate(schemas.priceOfferCreate),
+    priceOfferController.createPriceOffer
+);
+
+/**
+ * @route GET /api/v1/offers
+ * @desc Get offers made (customer) or received (farmer)
+ * @access Private (Customer/Farmer/Admin)
+ */
+router.get('/', priceOfferController.getPriceOffers);
+
+/**
+ * @route GET /api/v1/offers/:id
+ * @desc Get single offer
+ * @access Private (Customer/Farmer of the offer, Admin)
+ */
+router.get('/:id', priceOfferController.getPriceOffer);
+
+/**
+ * @route PUT /api/v1/offers/:id/accept
+ * @desc Accept an offer (farmer) or a counter-offer (customer)
+ * @access Private (Customer/Farmer)
+ */
+router.put('/:id/accept',
+    requireRole(['customer', 'farmer']),
+    priceOfferController.acceptPriceOffer
+);
+
+/**
+ * @route PUT /api/v1/offers/:id/reject
+ * @desc Reject an offer (farmer) or a counter-offer (customer)
+ * @access Private (Customer/Farmer)
+ */
+router.put('/:id/reject',
+    requireRole(['customer', 'farmer']),
+    validate(schemas.priceOfferReject),
+    priceOfferController.rejectPriceOffer
+);
+
+/**
+ * @route PUT /api/v1/offers/:id/counter
+ * @desc Counter an offer with a higher unit price
+ * @access Private (Farmer)
+ */
+router.put('/:id/counter',
+    requireFarmer,
+    validate(schemas.priceOfferCounter),
+    priceOfferController.counterPriceOffer
+);
+
+/**
+ * @route POST /api/v1/offers/:id/order
+ * @desc Order an accepted offer at the agreed unit price before it expires
+ * @access Private (Customer)
+ */
+router.post('/:id/order',
+    requireCustomer,
+    validate(schemas.priceOfferOrder),
+    priceOfferController.orderPriceOffer
+);
+
+module.exports = router;
@@ -2,9 +2,11 @@ const express = require('express');
 const router = express.Router();
 
 const productController = require('../controllers/productController');
+const preorderController = require('../controllers/preorderController');
 const { validate, schemas } = require('../middlewares/validation');
 const { authenticateUser, requireFarmerAccess } = require('../middlewares/auth');
 const { uploadProductImage } = require('../middlewares/uploadEnhanced');
+const { idempotent } = require('../middlewares/idempotency');
 
 /**
  * @route GET /api/v1/products
@@ -57,6 +59,19 @@ router.delete('/:id',
     productController.deleteProduct
 );
 
+/**
+ * @route POST /api/v1/products/:id/harvest
+ * @desc Record a harvest and turn the product's pre-orders into orders
+ * @access Private (Farmer/Admin)
+ */
+router.post('/:id/harvest',
+    authenticateUser,
+    requireFarmerAccess,
+    validate(schemas.harvestRecord),
+    idempotent,
+    preorderController.recordHarvest
+);
+
 /**
  * @route GET /api/v1/products/farmer/my-products
  * @desc Get farmer's own products
@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+
+const reviewController = require('../controllers/reviewController');
+
+/**
+ * @route GET /api/v1/reviews
+ * @desc Get visible reviews, filtered by product_id, farmer_id or agent_id
+ * @access Public
+ */
+router.get('/', reviewController.getReviews);
+
+module.exports = router;
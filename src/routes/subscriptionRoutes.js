@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+
+const subscriptionController = require('../controllers/subscriptionController');
+const { validate, schemas } = require('../middlewares/validation');
+const { requireCustomer, requireCustomerAccess } = require('../middlewares/auth');
+
+/**
+ * @route POST /api/v1/subscriptions
+ * @desc Subscribe to a product delivered weekly, biweekly or monthly
+ * @access Private (Customer)
+ */
+router.post('/',
+    requireCustomer,
+    validate(schemas.subscriptionCreate),
+    subscriptionController.createSubscription
+);
+
+/**
+ * @route GET /api/v1/subscriptions
+ * @desc Get subscriptions (customer) or subscriptions to own products (farmer)
+ * @access Private (Customer/Farmer/Admin)
+ */
+router.get('/', subscriptionController.getSubscriptions);
+
+/**
+ * @route GET /api/v1/subscriptions/:id
+ * @desc Get single subscription with its recent deliveries
+ * @access Private (Customer/Farmer of the subscription, Admin)
+ */
+router.get('/:id', subscriptionController.getSubscription);
+
+/**
+ * @route PUT /api/v1/subscriptions/:id/pause
+ * @desc Pause an active subscription
+ * @access Private (Customer/Admin)
+ */
+router.put('/:id/pause', requireCustomerAccess, subscriptionController.pauseSubscription);
+
+/**
+ * @route PUT /api/v1/subscriptions/:id/resume
+ * @desc Resume a paused subscription
+ * @access Private (Customer/Admin)
+ */
+router.put('/:id/resume', requireCustomerAccess, subscriptionController.resumeSubscription);
+
+/**
+ * @route POST /api/v1/subscriptions/:id/skip
+ * @desc Skip the next (or a given upcoming) delivery
+ * @access Private (Customer/Admin)
+ */
+router.post('/:id/skip',
+    requireCustomerAccess,
+    validate(schemas.subscriptionSkip),
+    subscriptionController.skipSubscriptionDelivery
+);
+
+/**
+ * @route PUT /api/v1/subscriptions/:id/cancel
+ * @desc Cancel a subscription
+ * @access Private (Customer/Admin)
+ */
+router.put('/:id/cancel',
+    requireCustomerAccess,
+    validate(schemas.subscriptionCancel),
+    subscriptionController.cancelSubscription
+);
+
+module.exports = router;
@@ -37,4 +37,25 @@ router.put('/change-district', userController.changeDistrict);
  */
 router.delete('/account', userController.deactivateAccount);
 
+/**
+ * @route GET /api/v1/users/notifications
+ * @desc Get current user's notifications (?unread_only=true)
+ * @access Private
+ */
+router.get('/notifications', userController.getNotifications);
+
+/**
+ * @route PUT /api/v1/users/notifications/read
+ * @desc Mark all notifications as read
+ * @access Private
+ */
+router.put('/notifications/read', userController.markNotificationsRead);
+
+/**
+ * @route PUT /api/v1/users/notifications/:id/read
+ * @desc Mark a notification as read
+ * @access Private
+ */
+router.put('/notifications/:id/read', userController.markNotificationsRead);
+
 module.exports = router;
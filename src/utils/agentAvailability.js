@@ -0,0 +1,72 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { getLocalDate } = require('./dates');
+
+const OPEN_ORDER_STATUSES = ['booked', 'confirmed', 'picked'];
+
+/**
+ * Why an agent cannot take new orders on a date, or null when they can.
+ * `agent` is a row from get_district_agent_availability or get_agent_match_stats.
+ */
+const getUnavailableReason = (agent) => {
+    if (agent.on_holiday) {
+        return 'On holiday';
+    }
+    if (!agent.works_on_date) {
+        return 'Does not work on this day';
+    }
+    if (agent.remaining_capacity === 0) {
+        return `At capacity (${agent.open_orders} of ${agent.max_concurrent_orders} open orders)`;
+    }
+    return null;
+};
+
+/**
+ * Get an agent's weekly working hours, upcoming holidays and remaining capacity
+ */
+const getAgentAvailability = async (agentId) => {
+    const [hoursResult, holidaysResult, agentResult, loadResult] = await Promise.all([
+        supabaseAdmin
+            .from('agent_working_hours')
+            .select('day_of_week, start_time, end_time')
+            .eq('agent_id', agentId)
+            .order('day_of_week')
+            .order('start_time'),
+        supabaseAdmin
+            .from('agent_holidays')
+            .select('holiday_date, reason')
+            .eq('agent_id', agentId)
+            .gte('holiday_date', getLocalDate())
+            .order('holiday_date'),
+        supabaseAdmin
+            .from('users')
+            .select('max_concurrent_orders')
+            .eq('id', agentId)
+            .single(),
+        supabaseAdmin
+            .from('orders')
+            .select('id', { count: 'exact', head: true })
+            .eq('agent_id', agentId)
+            .in('status', OPEN_ORDER_STATUSES)
+    ]);
+
+    if (hoursResult.error || holidaysResult.error || agentResult.error || loadResult.error) {
+        throw new AppError('Failed to fetch availability', 500, 'FETCH_FAILED');
+    }
+
+    const maxConcurrentOrders = agentResult.data.max_concurrent_orders;
+    const openOrders = loadResult.count || 0;
+
+    return {
+        working_hours: hoursResult.data,
+        holidays: holidaysResult.data.map(({ holiday_date, reason }) => ({ date: holiday_date, reason })),
+        max_concurrent_orders: maxConcurrentOrders,
+        open_orders: openOrders,
+        remaining_capacity: maxConcurrentOrders === null ? null : Math.max(maxConcurrentOrders - openOrders, 0)
+    };
+};
+
+module.exports = {
+    getUnavailableReason,
+    getAgentAvailability
+};
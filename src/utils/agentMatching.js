@@ -0,0 +1,129 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { getUnavailableReason } = require('./agentAvailability');
+const { TIMEZONE } = require('./dates');
+
+// Points each factor can add to an agent's score (out of 100)
+const MATCH_WEIGHTS = {
+    workload: 40,
+    completion_rate: 40,
+    working_hours: 20
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Score one agent from their match stats. Every factor reports the value it was
+ * based on, the points it earned and why, so admins can audit the choice.
+ */
+const scoreAgent = (stats) => {
+    // Fewer open orders earn more points: all of them with none, half with one, a third with two...
+    const workloadPoints = MATCH_WEIGHTS.workload / (1 + stats.open_orders);
+
+    // Agents without history start from an even rate instead of zero or perfect
+    const finished = stats.delivered_orders + stats.cancelled_orders;
+    const completionRate = (stats.delivered_orders + 1) / (finished + 2);
+
+    let workingHours;
+    if (!stats.has_working_hours) {
+        workingHours = { on_duty: null, points: MATCH_WEIGHTS.working_hours / 2, reason: 'No working hours declared' };
+    } else if (stats.on_duty) {
+        workingHours = { on_duty: true, points: MATCH_WEIGHTS.working_hours, reason: 'Within declared working hours' };
+    } else {
+        workingHours = { on_duty: false, points: 0, reason: 'Outside declared working hours' };
+    }
+
+    const unavailableReason = getUnavailableReason(stats);
+
+    const factors = {
+        district: {
+            matched: true,
+            reason: 'Works in the order\'s district'
+        },
+        availability: {
+            available: stats.is_available,
+            max_concurrent_orders: stats.max_concurrent_orders,
+            remaining_capacity: stats.remaining_capacity,
+            reason: unavailableReason || (stats.max_concurrent_orders === null
+                ? 'Available today, no capacity limit'
+                : `Available today, ${stats.remaining_capacity} of ${stats.max_concurrent_orders} order slot(s) free`)
+        },
+        workload: {
+            open_orders: stats.open_orders,
+            points: round(workloadPoints),
+            reason: `${stats.open_orders} open order(s)`
+        },
+        completion_rate: {
+            delivered_orders: stats.delivered_orders,
+            cancelled_orders: stats.cancelled_orders,
+            rate: round(completionRate),
+            points: round(MATCH_WEIGHTS.completion_rate * completionRate),
+            reason: finished
+                ? `${stats.delivered_orders} of ${finished} accepted order(s) delivered`
+                : 'No finished orders yet'
+        },
+        working_hours: {
+            ...workingHours,
+            points: round(workingHours.points)
+        }
+    };
+
+    return {
+        agent: {
+            id: stats.agent_id,
+            name: stats.name,
+            phone: stats.phone,
+            image_url: stats.image_url
+        },
+        score: round(factors.workload.points + factors.completion_rate.points + factors.working_hours.points),
+        factors,
+        unavailableReason
+    };
+};
+
+/**
+ * Rank the active agents of a district for an order and pick the best one.
+ * Agents who are off, on holiday or at capacity today cannot be picked, nor can those in
+ * `exclude`, which maps agent IDs to a reason (e.g. they already turned the order down).
+ * Agents who cannot be picked are still listed with the reason, for audit.
+ * Candidates are ordered by score, then fewer open orders, then name.
+ */
+const matchAgent = async ({ districtId, at = new Date(), exclude = {} }) => {
+    const { data: stats, error } = await supabaseAdmin.rpc('get_agent_match_stats', {
+        p_district_id: districtId,
+        p_at: at.toISOString(),
+        p_timezone: TIMEZONE
+    });
+
+    if (error) {
+        throw new AppError('Failed to match agents', 500, 'AGENT_MATCHING_FAILED');
+    }
+
+    const candidates = stats
+        .map((agentStats) => {
+            const { unavailableReason, ...candidate } = scoreAgent(agentStats);
+            const excludedReason = exclude[candidate.agent.id] || unavailableReason;
+            return {
+                ...candidate,
+                eligible: !excludedReason,
+                ...(excludedReason && { excluded_reason: excludedReason })
+            };
+        })
+        .sort((a, b) => b.score - a.score
+            || a.factors.workload.open_orders - b.factors.workload.open_orders
+            || a.agent.name.localeCompare(b.agent.name));
+
+    const selected = candidates.find((candidate) => candidate.eligible) || null;
+
+    return {
+        selected_agent_id: selected ? selected.agent.id : null,
+        evaluated_at: at.toISOString(),
+        weights: MATCH_WEIGHTS,
+        candidates
+    };
+};
+
+module.exports = {
+    MATCH_WEIGHTS,
+    matchAgent
+};
@@ -0,0 +1,66 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+
+const DEFAULT_COMMISSION_RATE = parseFloat(process.env.DEFAULT_COMMISSION_RATE) || 5.00; // Percentage
+
+/**
+ * Number of scopes a rule is restricted by (more specific rules win ties)
+ */
+const ruleSpecificity = (rule) => {
+    return [rule.district_id, rule.category, rule.agent_id].filter(Boolean).length;
+};
+
+/**
+ * Resolve the commission rule that applies to an order.
+ * Rules with no value for a scope match any district, category or agent.
+ * Highest priority wins, then the most specific rule, then the newest.
+ * Falls back to DEFAULT_COMMISSION_RATE when no rule matches.
+ */
+const resolveCommission = async ({ districtId, category, agentId }) => {
+    const now = new Date().toISOString();
+
+    let query = supabaseAdmin
+        .from('commission_rules')
+        .select('*')
+        .eq('is_active', true)
+        .or(`valid_from.is.null,valid_from.lte.${now}`)
+        .or(`valid_until.is.null,valid_until.gt.${now}`)
+        .or(districtId ? `district_id.is.null,district_id.eq.${districtId}` : 'district_id.is.null')
+        .or(agentId ? `agent_id.is.null,agent_id.eq.${agentId}` : 'agent_id.is.null');
+
+    query = category
+        ? query.or(`category.is.null,category.eq."${category}"`)
+        : query.is('category', null);
+
+    const { data: rules, error } = await query;
+
+    if (error) {
+        throw new AppError('Failed to resolve commission rule', 500, 'COMMISSION_RESOLVE_FAILED');
+    }
+
+    const [rule] = rules.sort((a, b) =>
+        (b.priority - a.priority) ||
+        (ruleSpecificity(b) - ruleSpecificity(a)) ||
+        (new Date(b.created_at) - new Date(a.created_at))
+    );
+
+    return {
+        rate: rule ? Number(rule.rate) : DEFAULT_COMMISSION_RATE,
+        rule: rule || null
+    };
+};
+
+/**
+ * Amount an order's commission is calculated on: what the customer pays, plus the
+ * promotion discount when the promotion's commission basis is gross
+ */
+const getCommissionableAmount = (order) => {
+    const discount = order.commission_basis === 'gross' ? Number(order.discount_amount || 0) : 0;
+    return Number(order.total_price) + discount;
+};
+
+module.exports = {
+    DEFAULT_COMMISSION_RATE,
+    resolveCommission,
+    getCommissionableAmount
+};
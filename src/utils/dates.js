@@ -0,0 +1,32 @@
+const { AppError } = require('../middlewares/errorHandler');
+
+// Calendar dates (delivery days, working hours, holidays, harvests) are in the marketplace's local time
+const TIMEZONE = process.env.TIMEZONE || 'Asia/Dhaka';
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a moment, today by default
+ */
+const getLocalDate = (at = new Date()) => at.toLocaleDateString('en-CA', { timeZone: TIMEZONE });
+
+/**
+ * Validate a YYYY-MM-DD date from a request, defaulting to today
+ */
+const parseDate = (date) => {
+    if (date === undefined || date === '') {
+        return getLocalDate();
+    }
+
+    // Round-trip through Date to reject days that do not exist, like 2025-02-30
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))
+        || new Date(date).toISOString().slice(0, 10) !== date) {
+        throw new AppError('Date must be in YYYY-MM-DD format', 400, 'INVALID_DATE');
+    }
+
+    return date;
+};
+
+module.exports = {
+    TIMEZONE,
+    getLocalDate,
+    parseDate
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { notifyUser } = require('./notifications');
+
+// Wrong codes allowed before the order's code stops being accepted
+const DELIVERY_OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * Whether delivered orders must be confirmed with the customer's code
+ */
+const isDeliveryOtpRequired = () => process.env.REQUIRE_DELIVERY_OTP === 'true';
+
+const hashCode = (orderId, code) => crypto
+    .createHash('sha256')
+    .update(`${orderId}:${code}`)
+    .digest('hex');
+
+/**
+ * Create a 6-digit delivery OTP for a new order and send it to the customer.
+ * The customer reads it out to the agent, who enters it when marking the order delivered.
+ * Failures are logged rather than thrown so they never undo the order.
+ */
+const issueDeliveryOtp = async (orderId, customerId) => {
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    const { error } = await supabaseAdmin
+        .from('order_delivery_otps')
+        .insert({
+            order_id: orderId,
+            code_hash: hashCode(orderId, code)
+        });
+
+    if (error) {
+        console.error('Failed to create delivery OTP:', error);
+        return;
+    }
+
+    await notifyUser({
+        userId: customerId,
+        type: 'delivery_otp',
+        title: {
+            en: 'Your delivery code',
+            bn: 'আপনার ডেলিভারি কোড'
+        },
+        message: {
+            en: `Give code ${code} to the agent only when you receive your order.`,
+            bn: `অর্ডার হাতে পাওয়ার পরই কেবল এজেন্টকে ${code} কোডটি দিন।`
+        },
+        data: { order_id: orderId }
+    });
+};
+
+/**
+ * Check the code the agent entered for an order. Throws on a wrong code, and once
+ * DELIVERY_OTP_MAX_ATTEMPTS wrong codes have been entered stops accepting any.
+ * check_delivery_otp counts wrong attempts atomically, so parallel guesses share the limit.
+ */
+const verifyDeliveryOtp = async (orderId, code) => {
+    const { data: result, error } = await supabaseAdmin.rpc('check_delivery_otp', {
+        p_order_id: orderId,
+        p_code_hash: hashCode(orderId, code),
+        p_max_attempts: DELIVERY_OTP_MAX_ATTEMPTS
+    });
+
+    if (error) {
+        throw new AppError('Failed to verify delivery OTP', 500, 'FETCH_FAILED');
+    }
+
+    switch (result) {
+        case 'verified':
+            return;
+        case 'missing':
+            throw new AppError('This order has no delivery OTP', 400, 'DELIVERY_OTP_UNAVAILABLE');
+        case 'locked':
+            throw new AppError('Too many wrong delivery OTP attempts for this order', 429, 'DELIVERY_OTP_LOCKED');
+        default:
+            throw new AppError('Delivery OTP is incorrect', 400, 'INVALID_DELIVERY_OTP');
+    }
+};
+
+module.exports = {
+    isDeliveryOtpRequired,
+    issueDeliveryOtp,
+    verifyDeliveryOtp
+};
@@ -0,0 +1,48 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Pick the user's language from `{ en, bn }` text, or return plain strings as they are
+ */
+const localize = (text, language) => {
+    if (typeof text === 'string') {
+        return text;
+    }
+    return text[language] || text.bn;
+};
+
+/**
+ * Send an in-app notification to a user.
+ * `title` and `message` are strings or `{ en, bn }` pairs chosen by the user's language.
+ * Failures are logged rather than thrown so they never undo the action being reported.
+ */
+const notifyUser = async ({ userId, type, title, message, data = null }) => {
+    let language = 'bn';
+
+    if (typeof title !== 'string' || typeof message !== 'string') {
+        const { data: user } = await supabaseAdmin
+            .from('users')
+            .select('language')
+            .eq('id', userId)
+            .maybeSingle();
+
+        language = user?.language || language;
+    }
+
+    const { error } = await supabaseAdmin
+        .from('notifications')
+        .insert({
+            user_id: userId,
+            type,
+            title: localize(title, language),
+            message: localize(message, language),
+            data
+        });
+
+    if (error) {
+        console.error('Failed to send notification:', error);
+    }
+};
+
+module.exports = {
+    notifyUser
+};
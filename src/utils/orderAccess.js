@@ -0,0 +1,39 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Whether a user may view an order: admin, the customer, the assigned agent
+ * or the farmer who owns the ordered product. Expects `order.product.farmer_id`.
+ */
+const hasOrderAccess = (order, user) => {
+    return user.role === 'admin' ||
+        order.customer_id === user.id ||
+        order.agent_id === user.id ||
+        order.product.farmer_id === user.id;
+};
+
+/**
+ * Fetch an order the user is allowed to view, or throw 404/403
+ */
+const getAccessibleOrder = async (orderId, user, select = '*, product:products(farmer_id)') => {
+    const { data: order, error } = await supabaseAdmin
+        .from('orders')
+        .select(select)
+        .eq('id', orderId)
+        .single();
+
+    if (error || !order) {
+        throw new AppError('Order not found', 404, 'ORDER_NOT_FOUND');
+    }
+
+    if (!hasOrderAccess(order, user)) {
+        throw new AppError('Access denied', 403, 'ACCESS_DENIED');
+    }
+
+    return order;
+};
+
+module.exports = {
+    hasOrderAccess,
+    getAccessibleOrder
+};
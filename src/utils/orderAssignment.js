@@ -0,0 +1,107 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { recordOrderEvent } = require('./orderEvents');
+const { notifyUser } = require('./notifications');
+
+// How long an agent has to accept an offered order
+const ASSIGNMENT_OFFER_TIMEOUT_MINUTES = parseInt(process.env.ASSIGNMENT_OFFER_TIMEOUT_MINUTES) || 60;
+
+/**
+ * Deadline for an offer made now
+ */
+const getOfferExpiry = () => new Date(Date.now() + ASSIGNMENT_OFFER_TIMEOUT_MINUTES * 60 * 1000).toISOString();
+
+/**
+ * Tell an agent they have an order to accept or decline
+ */
+const notifyAgentOfOffer = (agentId, orderId, expiresAt) => notifyUser({
+    userId: agentId,
+    type: 'assignment_offered',
+    title: {
+        en: 'New order offer',
+        bn: 'নতুন অর্ডারের প্রস্তাব'
+    },
+    message: {
+        en: `You have been offered an order. Accept or decline within ${ASSIGNMENT_OFFER_TIMEOUT_MINUTES} minutes.`,
+        bn: `আপনাকে একটি অর্ডারের প্রস্তাব দেওয়া হয়েছে। ${ASSIGNMENT_OFFER_TIMEOUT_MINUTES} মিনিটের মধ্যে গ্রহণ বা প্রত্যাখ্যান করুন।`
+    },
+    data: { order_id: orderId, expires_at: expiresAt }
+});
+
+/**
+ * Tell the customer their agent declined or did not answer, so they can choose another
+ */
+const notifyCustomerOfRelease = (customerId, orderId, status) => notifyUser({
+    userId: customerId,
+    type: `assignment_${status}`,
+    title: {
+        en: 'Agent unavailable',
+        bn: 'এজেন্ট পাওয়া যায়নি'
+    },
+    message: status === 'declined'
+        ? {
+            en: 'The agent declined your order. Please choose another agent.',
+            bn: 'এজেন্ট আপনার অর্ডারটি প্রত্যাখ্যান করেছেন। অনুগ্রহ করে অন্য এজেন্ট বেছে নিন।'
+        }
+        : {
+            en: 'The agent did not respond in time. Please choose another agent.',
+            bn: 'এজেন্ট সময়মতো সাড়া দেননি। অনুগ্রহ করে অন্য এজেন্ট বেছে নিন।'
+        },
+    data: { order_id: orderId }
+});
+
+/**
+ * Offer an order to an agent with the commission they would earn.
+ * Replaces any earlier offer or acceptance on the order.
+ */
+const offerAssignment = async ({ orderId, agentId, actor, commission, commissionRate, commissionRuleId }) => {
+    const expiresAt = getOfferExpiry();
+
+    const { data: offer, error } = await supabaseAdmin.rpc('offer_order_assignment', {
+        p_order_id: orderId,
+        p_agent_id: agentId,
+        p_offered_by: actor ? actor.id : null,
+        p_expires_at: expiresAt,
+        p_commission: commission,
+        p_commission_rate: commissionRate,
+        p_commission_rule_id: commissionRuleId
+    });
+
+    if (error) {
+        throw new AppError('Failed to assign agent', 500, 'ASSIGN_FAILED');
+    }
+
+    await notifyAgentOfOffer(agentId, orderId, expiresAt);
+
+    return offer;
+};
+
+/**
+ * Record the outcome of an offer in the timeline and tell the customer
+ * when the order is left without an agent
+ */
+const recordAssignmentOutcome = async ({ offer, customerId, actor = null }) => {
+    await recordOrderEvent({
+        orderId: offer.order_id,
+        eventType: 'assignment_updated',
+        actor,
+        note: offer.decline_reason,
+        metadata: {
+            assignment_id: offer.id,
+            agent_id: offer.agent_id,
+            status: offer.status
+        }
+    });
+
+    if (customerId && (offer.status === 'declined' || offer.status === 'expired')) {
+        await notifyCustomerOfRelease(customerId, offer.order_id, offer.status);
+    }
+};
+
+module.exports = {
+    ASSIGNMENT_OFFER_TIMEOUT_MINUTES,
+    getOfferExpiry,
+    notifyAgentOfOffer,
+    offerAssignment,
+    recordAssignmentOutcome
+};
@@ -0,0 +1,49 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { recordOrderEvent } = require('./orderEvents');
+const { refundCancelledOrder } = require('../payments');
+
+/**
+ * Cancel an order and return its reserved quantity to the products.
+ * Restocking is skipped for delivered orders and never happens twice.
+ * Whatever the customer has paid is refunded.
+ * `actor` is the cancelling user, or null for system-initiated cancellations.
+ * With `expectedStatuses`, the order is only cancelled if it is still in one of them.
+ * Returns the status the order had before it was cancelled.
+ */
+const cancelOrderAndRestock = async ({ orderId, actor, reason, expectedStatuses = null, metadata }) => {
+    const { data: previousStatus, error } = await supabaseAdmin.rpc('cancel_order', {
+        p_order_id: orderId,
+        p_cancelled_by: actor ? actor.id : null,
+        p_reason: reason,
+        p_expected_statuses: expectedStatuses
+    });
+
+    if (error) {
+        if (error.message === 'ORDER_STATUS_CHANGED') {
+            throw new AppError(`Order status changed to ${error.details}`, 409, 'ORDER_STATUS_CHANGED');
+        }
+        throw new AppError('Failed to cancel order', 500, 'CANCEL_FAILED');
+    }
+
+    if (!previousStatus) {
+        throw new AppError('Order is already cancelled', 400, 'ORDER_ALREADY_CANCELLED');
+    }
+
+    await recordOrderEvent({
+        orderId,
+        fromStatus: previousStatus,
+        toStatus: 'cancelled',
+        actor,
+        note: reason,
+        metadata
+    });
+
+    await refundCancelledOrder(orderId, actor);
+
+    return previousStatus;
+};
+
+module.exports = {
+    cancelOrderAndRestock
+};
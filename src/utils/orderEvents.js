@@ -0,0 +1,37 @@
+const { supabaseAdmin } = require('../config/supabase');
+
+/**
+ * Record an entry in an order's timeline.
+ * `actor` is the user who made the change, or null for system actions.
+ * Failures are logged rather than thrown because the order change itself has already happened.
+ */
+const recordOrderEvent = async ({
+    orderId,
+    eventType = 'status_change',
+    fromStatus = null,
+    toStatus = null,
+    actor = null,
+    note = null,
+    metadata = null
+}) => {
+    const { error } = await supabaseAdmin
+        .from('order_status_events')
+        .insert({
+            order_id: orderId,
+            event_type: eventType,
+            from_status: fromStatus,
+            to_status: toStatus,
+            actor_id: actor ? actor.id : null,
+            actor_role: actor ? actor.role : 'system',
+            note,
+            metadata
+        });
+
+    if (error) {
+        console.error('Failed to record order event:', error);
+    }
+};
+
+module.exports = {
+    recordOrderEvent
+};
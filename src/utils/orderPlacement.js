@@ -0,0 +1,308 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+const { recordOrderEvent } = require('./orderEvents');
+const { DEFAULT_COMMISSION_RATE, resolveCommission, getCommissionableAmount } = require('./commission');
+const { getOfferExpiry, notifyAgentOfOffer } = require('./orderAssignment');
+const { getUnavailableReason } = require('./agentAvailability');
+const { getLocalDate } = require('./dates');
+const { issueDeliveryOtp } = require('./deliveryOtp');
+const { getTierUnitPrice } = require('./priceTiers');
+const { resolvePromotion } = require('./promotions');
+
+/**
+ * Load active products (with farmer) for the given IDs, in the same order
+ */
+const loadOrderProducts = async (productIds) => {
+    const { data: products, error } = await supabaseAdmin
+        .from('products')
+        .select('*, farmer:users!farmer_id(id, name, district_id)')
+        .in('id', productIds)
+        .eq('is_active', true);
+
+    if (error) {
+        throw new AppError('Failed to fetch products', 500, 'FETCH_FAILED');
+    }
+
+    return productIds.map((productId) => {
+        const product = products.find((p) => p.id === productId);
+        if (!product) {
+            throw new AppError('Product not found or inactive', 404, 'PRODUCT_NOT_FOUND');
+        }
+        return product;
+    });
+};
+
+/**
+ * Validate that an agent is active, works in the given district and can take a new order
+ * on `availableOn` (today by default): not on holiday, working that day and below capacity.
+ * Pass `availableOn: null` to skip the availability check.
+ */
+const validateAgent = async (agentId, districtId, { availableOn = getLocalDate() } = {}) => {
+    const { data: agent, error } = await supabaseAdmin
+        .from('users')
+        .select('*')
+        .eq('id', agentId)
+        .eq('role', 'agent')
+        .eq('is_active', true)
+        .single();
+
+    if (error || !agent) {
+        throw new AppError('Agent not found or inactive', 404, 'AGENT_NOT_FOUND');
+    }
+
+    // Check if agent is in the same district as the product
+    if (agent.district_id !== districtId) {
+        throw new AppError('Agent must be from the same district as the product', 400, 'AGENT_DISTRICT_MISMATCH');
+    }
+
+    if (availableOn) {
+        const { data: agents, error: availabilityError } = await supabaseAdmin.rpc('get_district_agent_availability', {
+            p_district_id: districtId,
+            p_date: availableOn,
+            p_only_available: false
+        });
+
+        if (availabilityError) {
+            throw new AppError('Failed to check agent availability', 500, 'FETCH_FAILED');
+        }
+
+        const availability = agents.find((candidate) => candidate.id === agentId);
+        const unavailableReason = availability ? getUnavailableReason(availability) : null;
+
+        if (unavailableReason) {
+            throw new AppError(`Agent cannot take new orders: ${unavailableReason}`, 409, 'AGENT_UNAVAILABLE');
+        }
+    }
+
+    return agent;
+};
+
+/**
+ * Validate that a delivery slot is open for booking in the given district.
+ * Capacity is checked again when place_order reserves the slot.
+ */
+const validateDeliverySlot = async (slotId, districtId) => {
+    const { data: slot, error } = await supabaseAdmin
+        .from('delivery_slots')
+        .select('*')
+        .eq('id', slotId)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (error || !slot) {
+        throw new AppError('Delivery slot not found', 404, 'DELIVERY_SLOT_NOT_FOUND');
+    }
+
+    if (slot.district_id !== districtId) {
+        throw new AppError('Delivery slot must be in the same district as the product', 400, 'DELIVERY_SLOT_DISTRICT_MISMATCH');
+    }
+
+    if (slot.slot_date < getLocalDate()) {
+        throw new AppError('Delivery slot has already passed', 400, 'DELIVERY_SLOT_PASSED');
+    }
+
+    if (slot.booked_count >= slot.capacity) {
+        throw new AppError('Delivery slot is fully booked', 409, 'DELIVERY_SLOT_UNAVAILABLE');
+    }
+
+    return slot;
+};
+
+/**
+ * Create an order with one order_items row per line and reserve stock atomically
+ * through the place_order database function.
+ *
+ * Each line is `{ product, quantity, unitPrice }` where `product` comes from loadOrderProducts
+ * and `unitPrice` (e.g. a negotiated price) defaults to the product's price tier for the quantity.
+ * All lines must belong to the same farmer. The order row mirrors the first line in
+ * product_id/quantity/unit_price so single-product clients keep working, while
+ * total_price covers every line. `actor` is recorded as the creator in the order timeline.
+ * A chosen delivery slot is reserved in the same transaction.
+ * `subscriptionId` links orders placed by a recurring subscription.
+ * Lines marked `stockReserved` (auction lots, pre-orders' harvest shares) were kept out of stock
+ * beforehand and are not checked against or taken from available_quantity.
+ * `preorderId` marks that pre-order converted, and `auctionId` links that sold auction, in the same
+ * transaction, so each is ordered at most once.
+ *
+ * The entered `couponCode`, or else the best automatic promotion, is taken off total_price and
+ * redeemed in the same transaction. Lines with an explicit `unitPrice` are already discounted
+ * and never count towards a promotion.
+ */
+const placeOrder = async ({
+    customerId,
+    actor,
+    lines,
+    agentId,
+    deliverySlotId,
+    deliveryAddress,
+    customerNotes,
+    subscriptionId,
+    preorderId,
+    auctionId,
+    couponCode
+}) => {
+    if (!lines.length) {
+        throw new AppError('Order must contain at least one product', 400, 'EMPTY_ORDER');
+    }
+
+    const [primary] = lines;
+
+    for (const { product, quantity, stockReserved } of lines) {
+        if (product.farmer_id !== primary.product.farmer_id) {
+            throw new AppError('All products in an order must be from the same farmer', 400, 'MULTIPLE_FARMERS');
+        }
+
+        // Check if sufficient quantity is available
+        if (!stockReserved && product.available_quantity < quantity) {
+            throw new AppError(`Insufficient quantity available for ${product.name}`, 400, 'INSUFFICIENT_QUANTITY');
+        }
+    }
+
+    // Validate agent against every line's district
+    if (agentId) {
+        const districtIds = [...new Set(lines.map(({ product }) => product.district_id))];
+        if (districtIds.length > 1) {
+            throw new AppError('Agent must be from the same district as the product', 400, 'AGENT_DISTRICT_MISMATCH');
+        }
+        await validateAgent(agentId, districtIds[0]);
+    }
+
+    if (deliverySlotId) {
+        await validateDeliverySlot(deliverySlotId, primary.product.district_id);
+    }
+
+    // Calculate order details
+    const items = lines.map(({ product, quantity, unitPrice = getTierUnitPrice(product, quantity), stockReserved }) => ({
+        product_id: product.id,
+        quantity,
+        unit_price: unitPrice,
+        subtotal: unitPrice * quantity,
+        stock_reserved: Boolean(stockReserved)
+    }));
+    const subtotal = items.reduce((sum, item) => sum + item.subtotal, 0);
+
+    const applied = await resolvePromotion({
+        couponCode,
+        customerId,
+        lines: lines.map((line, index) => ({
+            product: line.product,
+            subtotal: items[index].subtotal,
+            promotable: line.unitPrice === undefined
+        }))
+    });
+    const discount_amount = applied ? applied.discount : 0;
+    const commission_basis = applied ? applied.promotion.commission_basis : 'net';
+    const total_price = subtotal - discount_amount;
+
+    // Commission only applies when an agent handles the order
+    const { rate: commission_rate, rule: commissionRule } = agentId
+        ? await resolveCommission({
+            districtId: primary.product.district_id,
+            category: primary.product.category,
+            agentId
+        })
+        : { rate: DEFAULT_COMMISSION_RATE, rule: null };
+    const commission = agentId
+        ? (getCommissionableAmount({ total_price, discount_amount, commission_basis }) * commission_rate) / 100
+        : 0;
+    const assignmentExpiresAt = agentId ? getOfferExpiry() : null;
+
+    // Create order, line items and stock decrement in one transaction
+    const { data: orderId, error: orderError } = await supabaseAdmin.rpc('place_order', {
+        p_order: {
+            product_id: primary.product.id,
+            customer_id: customerId,
+            agent_id: agentId || null,
+            quantity: primary.quantity,
+            unit_price: items[0].unit_price,
+            total_price,
+            commission,
+            commission_rate,
+            commission_rule_id: commissionRule ? commissionRule.id : null,
+            status: 'booked',
+            delivery_address: deliveryAddress,
+            customer_notes: customerNotes,
+            // The chosen agent still has to accept the order
+            assignment_status: agentId ? 'pending' : null,
+            assignment_expires_at: assignmentExpiresAt,
+            delivery_slot_id: deliverySlotId || null,
+            subscription_id: subscriptionId || null,
+            promotion_id: applied ? applied.promotion.id : null,
+            discount_amount,
+            commission_basis,
+            preorder_id: preorderId || null,
+            auction_id: auctionId || null
+        },
+        p_items: items
+    });
+
+    if (orderError) {
+        // Another order took the remaining stock between our check and the reservation
+        if (orderError.message === 'INSUFFICIENT_QUANTITY') {
+            const line = lines.find(({ product }) => product.id === orderError.details);
+            const productName = line ? line.product.name : 'product';
+            throw new AppError(`Insufficient quantity available for ${productName}`, 400, 'INSUFFICIENT_QUANTITY');
+        }
+        // Another order took the slot's last place
+        if (orderError.message === 'DELIVERY_SLOT_UNAVAILABLE') {
+            throw new AppError('Delivery slot is fully booked', 409, 'DELIVERY_SLOT_UNAVAILABLE');
+        }
+        // Other orders used the promotion up in the meantime
+        if (orderError.message === 'PROMOTION_UNAVAILABLE') {
+            throw new AppError('The promotion has just been fully redeemed, please place the order again', 409, 'PROMOTION_UNAVAILABLE');
+        }
+        if (orderError.message === 'PROMOTION_USER_LIMIT') {
+            throw new AppError('You have already used this promotion as many times as allowed', 409, 'PROMOTION_USER_LIMIT');
+        }
+        // Another request converted the pre-order first
+        if (orderError.message === 'PREORDER_ALREADY_HANDLED') {
+            throw new AppError('Pre-order has already been handled', 409, 'PREORDER_ALREADY_HANDLED');
+        }
+        // Another worker placed the auction winner's order first
+        if (orderError.message === 'AUCTION_ALREADY_SETTLED') {
+            throw new AppError('Auction already has an order', 409, 'AUCTION_ALREADY_SETTLED');
+        }
+        throw new AppError('Failed to create order', 500, 'ORDER_CREATE_FAILED');
+    }
+
+    await recordOrderEvent({
+        orderId,
+        eventType: 'created',
+        toStatus: 'booked',
+        actor,
+        metadata: agentId ? { agent_id: agentId } : null
+    });
+
+    if (agentId) {
+        await notifyAgentOfOffer(agentId, orderId, assignmentExpiresAt);
+    }
+
+    await issueDeliveryOtp(orderId, customerId);
+
+    const { data: order, error: fetchError } = await supabaseAdmin
+        .from('orders')
+        .select(`
+            *,
+            product:products(*),
+            items:order_items(*, product:products(id, name, unit, image_url)),
+            customer:users!customer_id(id, name, phone),
+            agent:users!agent_id(id, name, phone),
+            delivery_slot:delivery_slots(id, slot_date, start_time, end_time),
+            promotion:promotions(id, name, code, discount_type, discount_value)
+        `)
+        .eq('id', orderId)
+        .single();
+
+    if (fetchError) {
+        throw new AppError('Failed to fetch order', 500, 'FETCH_FAILED');
+    }
+
+    return order;
+};
+
+module.exports = {
+    loadOrderProducts,
+    validateAgent,
+    validateDeliverySlot,
+    placeOrder
+};
@@ -0,0 +1,73 @@
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Normalize `price_tiers` from a request: multipart forms send them as a JSON string.
+ * Returns the tiers sorted by min_quantity, or undefined when none were sent.
+ */
+const parsePriceTiers = (priceTiers) => {
+    if (priceTiers === undefined) {
+        return undefined;
+    }
+
+    const tiers = typeof priceTiers === 'string' ? JSON.parse(priceTiers) : priceTiers;
+
+    return tiers
+        .map(({ min_quantity, unit_price }) => ({
+            min_quantity: Number(min_quantity),
+            unit_price: Number(unit_price)
+        }))
+        .sort((a, b) => a.min_quantity - b.min_quantity);
+};
+
+/**
+ * Tiers are wholesale discounts: each must be cheaper than the base price
+ * and than every tier for smaller quantities
+ */
+const checkPriceTiers = (basePrice, tiers) => {
+    let previousPrice = Number(basePrice);
+
+    for (const tier of tiers) {
+        if (tier.unit_price >= previousPrice) {
+            throw new AppError(
+                `Tier from ${tier.min_quantity} must be cheaper than ${previousPrice} per unit`,
+                400,
+                'INVALID_PRICE_TIERS'
+            );
+        }
+        previousPrice = tier.unit_price;
+    }
+};
+
+/**
+ * Unit price for buying `quantity` of a product: the tier with the highest
+ * min_quantity the quantity reaches, or the base price below every tier
+ */
+const getTierUnitPrice = (product, quantity) => {
+    const tier = (product.price_tiers || [])
+        .filter((priceTier) => quantity >= priceTier.min_quantity)
+        .sort((a, b) => b.min_quantity - a.min_quantity)[0];
+
+    return tier ? Number(tier.unit_price) : Number(product.price);
+};
+
+/**
+ * A product's full price table, base tier first. Each row applies from
+ * min_quantity up to (not including) max_quantity; the last has no maximum.
+ */
+const getPriceTable = (product) => {
+    const tiers = [...(product.price_tiers || [])].sort((a, b) => a.min_quantity - b.min_quantity);
+    const rows = [{ min_quantity: 0, unit_price: Number(product.price) }, ...tiers];
+
+    return rows.map((row, index) => ({
+        min_quantity: Number(row.min_quantity),
+        max_quantity: index + 1 < rows.length ? Number(rows[index + 1].min_quantity) : null,
+        unit_price: Number(row.unit_price)
+    }));
+};
+
+module.exports = {
+    parsePriceTiers,
+    checkPriceTiers,
+    getTierUnitPrice,
+    getPriceTable
+};
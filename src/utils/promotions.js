@@ -0,0 +1,163 @@
+const { supabaseAdmin } = require('../config/supabase');
+const { AppError } = require('../middlewares/errorHandler');
+
+/**
+ * Coupon codes are matched case-insensitively and stored upper-case
+ */
+const normalizeCouponCode = (code) => code.trim().toUpperCase();
+
+/**
+ * Whether a promotion is switched on and inside its validity window
+ */
+const isPromotionLive = (promotion, at = new Date()) => {
+    return promotion.is_active
+        && (!promotion.valid_from || new Date(promotion.valid_from) <= at)
+        && (!promotion.valid_until || new Date(promotion.valid_until) > at);
+};
+
+/**
+ * Whether a product falls in a promotion's scope; scopes left empty match any product
+ */
+const matchesScope = (promotion, product) => {
+    return (!promotion.district_id || promotion.district_id === product.district_id)
+        && (!promotion.category || promotion.category === product.category)
+        && (!promotion.product_id || promotion.product_id === product.id)
+        && (!promotion.farmer_id || promotion.farmer_id === product.farmer_id);
+};
+
+/**
+ * Discount a promotion gives on an order: a percentage (capped at max_discount) or a fixed
+ * amount off the promotable lines in its scope, never more than those lines cost.
+ * Each line is `{ product, subtotal, promotable }`. Returns 0 when the promotion does not apply.
+ */
+const calculateDiscount = (promotion, lines) => {
+    const orderSubtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    const eligibleSubtotal = lines
+        .filter((line) => line.promotable && matchesScope(promotion, line.product))
+        .reduce((sum, line) => sum + line.subtotal, 0);
+
+    if (!eligibleSubtotal || orderSubtotal < Number(promotion.min_order_amount)) {
+        return 0;
+    }
+
+    let discount = promotion.discount_type === 'percentage'
+        ? (eligibleSubtotal * Number(promotion.discount_value)) / 100
+        : Number(promotion.discount_value);
+
+    if (promotion.max_discount) {
+        discount = Math.min(discount, Number(promotion.max_discount));
+    }
+
+    return Math.round(Math.min(discount, eligibleSubtotal) * 100) / 100;
+};
+
+/**
+ * Whether a customer has used a promotion as often as it allows.
+ * place_order checks again under the promotion's row lock.
+ */
+const hasReachedUserLimit = async (promotion, customerId) => {
+    if (!promotion.per_user_limit) {
+        return false;
+    }
+
+    const { count, error } = await supabaseAdmin
+        .from('promotion_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('promotion_id', promotion.id)
+        .eq('customer_id', customerId)
+        .is('released_at', null);
+
+    if (error) {
+        throw new AppError('Failed to check promotion usage', 500, 'PROMOTION_RESOLVE_FAILED');
+    }
+
+    return count >= promotion.per_user_limit;
+};
+
+const isExhausted = (promotion) => {
+    return promotion.usage_limit !== null && promotion.used_count >= promotion.usage_limit;
+};
+
+/**
+ * Check a coupon the customer entered and work out its discount; a coupon that
+ * cannot be used for the order is an error rather than silently ignored
+ */
+const applyCoupon = async (couponCode, customerId, lines) => {
+    const { data: promotion, error } = await supabaseAdmin
+        .from('promotions')
+        .select('*')
+        .eq('code', normalizeCouponCode(couponCode))
+        .maybeSingle();
+
+    if (error) {
+        throw new AppError('Failed to check coupon', 500, 'PROMOTION_RESOLVE_FAILED');
+    }
+
+    if (!promotion || !isPromotionLive(promotion)) {
+        throw new AppError('Coupon is invalid or has expired', 400, 'INVALID_COUPON');
+    }
+
+    if (isExhausted(promotion)) {
+        throw new AppError('Coupon has been fully redeemed', 409, 'PROMOTION_UNAVAILABLE');
+    }
+
+    if (await hasReachedUserLimit(promotion, customerId)) {
+        throw new AppError('You have already used this coupon as many times as allowed', 409, 'PROMOTION_USER_LIMIT');
+    }
+
+    const orderSubtotal = lines.reduce((sum, line) => sum + line.subtotal, 0);
+    if (orderSubtotal < Number(promotion.min_order_amount)) {
+        throw new AppError(`Coupon needs an order of at least ${promotion.min_order_amount}`, 400, 'COUPON_MINIMUM_NOT_MET');
+    }
+
+    const discount = calculateDiscount(promotion, lines);
+    if (!discount) {
+        throw new AppError('Coupon does not apply to the products in this order', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    return { promotion, discount };
+};
+
+/**
+ * Choose the promotion for an order: the coupon when the customer entered one,
+ * otherwise the automatic promotion (one without a code) giving the biggest discount.
+ * Returns `{ promotion, discount }`, or null when nothing applies.
+ */
+const resolvePromotion = async ({ couponCode, customerId, lines }) => {
+    if (couponCode) {
+        return applyCoupon(couponCode, customerId, lines);
+    }
+
+    const now = new Date().toISOString();
+
+    const { data: promotions, error } = await supabaseAdmin
+        .from('promotions')
+        .select('*')
+        .is('code', null)
+        .eq('is_active', true)
+        .or(`valid_from.is.null,valid_from.lte.${now}`)
+        .or(`valid_until.is.null,valid_until.gt.${now}`);
+
+    if (error) {
+        throw new AppError('Failed to resolve promotions', 500, 'PROMOTION_RESOLVE_FAILED');
+    }
+
+    const candidates = promotions
+        .filter((promotion) => !isExhausted(promotion))
+        .map((promotion) => ({ promotion, discount: calculateDiscount(promotion, lines) }))
+        .filter((candidate) => candidate.discount > 0)
+        .sort((a, b) => b.discount - a.discount);
+
+    for (const candidate of candidates) {
+        if (!(await hasReachedUserLimit(candidate.promotion, customerId))) {
+            return candidate;
+        }
+    }
+
+    return null;
+};
+
+module.exports = {
+    normalizeCouponCode,
+    resolvePromotion
+};
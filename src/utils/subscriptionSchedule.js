@@ -0,0 +1,79 @@
+const { getLocalDate } = require('./dates');
+
+// Each cycle's order is placed this many days before its delivery date
+const SUBSCRIPTION_LEAD_DAYS = parseInt(process.env.SUBSCRIPTION_LEAD_DAYS) || 1;
+
+const FREQUENCY_WEEKS = {
+    weekly: 1,
+    biweekly: 2
+};
+
+// Dates are local calendar days (YYYY-MM-DD); UTC arithmetic keeps them free of DST shifts
+const toUtcDate = (date) => new Date(`${date}T00:00:00Z`);
+const formatDate = (date) => date.toISOString().slice(0, 10);
+
+const addDays = (date, days) => {
+    const result = toUtcDate(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return formatDate(result);
+};
+
+/**
+ * Earliest delivery date whose order can still be placed in time; cycles up to
+ * and including it are due for ordering
+ */
+const getEarliestDeliveryDate = () => addDays(getLocalDate(), SUBSCRIPTION_LEAD_DAYS);
+
+/**
+ * First delivery date on or after `fromDate` that falls on the subscription's delivery day:
+ * a weekday (0 = Sunday) for weekly and biweekly, a day of the month (1-28) for monthly
+ */
+const getFirstDeliveryDate = ({ frequency, delivery_day }, fromDate) => {
+    const from = toUtcDate(fromDate);
+
+    if (frequency === 'monthly') {
+        const date = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), delivery_day));
+        if (date < from) {
+            date.setUTCMonth(date.getUTCMonth() + 1);
+        }
+        return formatDate(date);
+    }
+
+    return addDays(fromDate, (delivery_day - from.getUTCDay() + 7) % 7);
+};
+
+/**
+ * Delivery date of the cycle after the one on `date`
+ */
+const getFollowingDeliveryDate = ({ frequency }, date) => {
+    if (frequency === 'monthly') {
+        const next = toUtcDate(date);
+        next.setUTCMonth(next.getUTCMonth() + 1);
+        return formatDate(next);
+    }
+
+    return addDays(date, 7 * FREQUENCY_WEEKS[frequency]);
+};
+
+/**
+ * The subscription's next delivery date moved forward past cycles that can no longer be
+ * ordered in time, e.g. after a pause. Stepping cycle by cycle keeps biweekly deliveries
+ * on their original weeks.
+ */
+const getNextOrderableDate = (subscription) => {
+    const earliest = getEarliestDeliveryDate();
+    let date = subscription.next_delivery_date;
+
+    while (date < earliest) {
+        date = getFollowingDeliveryDate(subscription, date);
+    }
+
+    return date;
+};
+
+module.exports = {
+    getEarliestDeliveryDate,
+    getFirstDeliveryDate,
+    getFollowingDeliveryDate,
+    getNextOrderableDate
+};